@@ -0,0 +1,523 @@
+#!/opt/smartdc/mako/build/node/bin/node
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * garbage-deleter-adm: tool for inspecting and replaying the instruction files
+ * that the garbage-deleter has moved to the bad_instructions directory. This
+ * should be run inside the mako zone. The commands are:
+ *
+ *  list                   - list each bad instruction file with its size, age
+ *                           and the reason it fails validation *now*
+ *  show FILE              - print an annotated view of a bad instruction file
+ *  validate FILE...       - run the same checks the garbage-deleter would run
+ *                           on the file(s), without deleting anything
+ *  requeue [-F] FILE...   - move the file(s) back into the instruction
+ *                           directory to be processed again. Files that still
+ *                           fail validation are skipped unless -F is passed.
+ *
+ * FILE can be either the name of a file in the bad_instructions directory, or
+ * a path to a file.
+ *
+ * When the config lists "deleters", --deleter NAME selects the one to work
+ * with, and its directories are used instead of the top-level ones.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var assert = require('assert-plus');
+var bunyan = require('bunyan');
+var vasync = require('vasync');
+
+var GarbageDeleter = require('../lib/garbage-deleter');
+var gcConfig = require('../lib/gc-config');
+
+var CONFIG_FILE = gcConfig.DEFAULT_CONFIG_FILE;
+var PROG = 'garbage-deleter-adm';
+
+var COMMANDS = {
+    list: cmdList,
+    requeue: cmdRequeue,
+    show: cmdShow,
+    validate: cmdValidate
+};
+
+function usage(errMsg) {
+    if (errMsg) {
+        console.error(PROG + ': ' + errMsg);
+    }
+    console.error(
+        [
+            'usage: ' + PROG + ' [OPTIONS] list',
+            '       ' + PROG + ' [OPTIONS] show FILE',
+            '       ' + PROG + ' [OPTIONS] validate FILE...',
+            '       ' + PROG + ' [OPTIONS] requeue [-F] FILE...',
+            '',
+            'Inspect and replay garbage-deleter bad instruction files.',
+            '',
+            '    -b, --bad-instruction-dir DIR  (default: ' +
+                'bad_instruction_dir from config)',
+            '    -d, --instruction-dir DIR      (default: ' +
+                'instruction_dir from config)',
+            '    -f, --file CONFIG_FILE         (default: ' + CONFIG_FILE + ')',
+            '    -F, --force                    requeue even if still invalid',
+            '    -h, --help                     print this help and exit',
+            '    -n, --deleter NAME             deleter from "deleters" in ' +
+                'config',
+            '                                   (required when it has any)'
+        ].join('\n')
+    );
+    process.exit(errMsg ? 2 : 0);
+}
+
+function parseArgs(argv) {
+    assert.arrayOfString(argv, 'argv');
+
+    var arg;
+    var idx;
+    var parsed = {
+        badInstructionDir: null,
+        command: null,
+        configFile: CONFIG_FILE,
+        deleter: null,
+        files: [],
+        force: false,
+        instructionDir: null
+    };
+
+    function _optArg() {
+        if (idx + 1 >= argv.length) {
+            usage('option "' + arg + '" requires an argument');
+        }
+        idx++;
+        return argv[idx];
+    }
+
+    for (idx = 0; idx < argv.length; idx++) {
+        arg = argv[idx];
+
+        switch (arg) {
+            case '-b':
+            case '--bad-instruction-dir':
+                parsed.badInstructionDir = _optArg();
+                break;
+            case '-d':
+            case '--instruction-dir':
+                parsed.instructionDir = _optArg();
+                break;
+            case '-f':
+            case '--file':
+                parsed.configFile = _optArg();
+                break;
+            case '-F':
+            case '--force':
+                parsed.force = true;
+                break;
+            case '-h':
+            case '--help':
+                usage();
+                break;
+            case '-n':
+            case '--deleter':
+                parsed.deleter = _optArg();
+                break;
+            default:
+                if (arg[0] === '-') {
+                    usage('unknown option "' + arg + '"');
+                } else if (parsed.command === null) {
+                    parsed.command = arg;
+                } else {
+                    parsed.files.push(arg);
+                }
+                break;
+        }
+    }
+
+    if (parsed.command === null) {
+        usage('missing command');
+    }
+    if (!COMMANDS.hasOwnProperty(parsed.command)) {
+        usage('unknown command "' + parsed.command + '"');
+    }
+    if (parsed.command === 'list' && parsed.files.length > 0) {
+        usage('"list" takes no arguments');
+    }
+    if (parsed.command === 'show' && parsed.files.length !== 1) {
+        usage('"show" requires exactly one FILE');
+    }
+    if (parsed.command !== 'list' && parsed.files.length === 0) {
+        usage('"' + parsed.command + '" requires at least one FILE');
+    }
+
+    return parsed;
+}
+
+//
+// Return a short human readable representation of `ms` milliseconds,
+// e.g. "3d4h", "2h15m" or "42s".
+//
+function humanAge(ms) {
+    var secs = Math.max(0, Math.floor(ms / 1000));
+
+    if (secs >= 86400) {
+        return (
+            Math.floor(secs / 86400) +
+            'd' +
+            Math.floor((secs % 86400) / 3600) +
+            'h'
+        );
+    } else if (secs >= 3600) {
+        return (
+            Math.floor(secs / 3600) + 'h' + Math.floor((secs % 3600) / 60) + 'm'
+        );
+    } else if (secs >= 60) {
+        return Math.floor(secs / 60) + 'm' + (secs % 60) + 's';
+    }
+    return secs + 's';
+}
+
+function pad(str, len) {
+    while (str.length < len) {
+        str += ' ';
+    }
+    return str;
+}
+
+//
+// Given the results of GarbageDeleter.validateFile(), return a short string
+// describing why the file is invalid (or that it is now valid).
+//
+function failureReason(err, results) {
+    var counts = {};
+    var reasons;
+
+    if (err) {
+        return err.name;
+    }
+
+    results.forEach(function _countErr(result) {
+        if (result.err) {
+            counts[result.err.name] = (counts[result.err.name] || 0) + 1;
+        }
+    });
+
+    reasons = Object.keys(counts)
+        .sort()
+        .map(function _fmtReason(name) {
+            return name + ' (' + counts[name] + ' of ' + results.length + ')';
+        });
+
+    return reasons.length > 0 ? reasons.join(', ') : 'valid';
+}
+
+//
+// Returns the deleter (from gcConfig.instanceOptions()) selected by the
+// --deleter option for the validated `config`. Calls usage() which exits if
+// the option doesn't match the deleters in the config.
+//
+function selectInstance(args, config) {
+    var instances = gcConfig.instanceOptions(config);
+    var names = config.deleters.map(function _getName(instance) {
+        return instance.name;
+    });
+
+    if (names.length === 0) {
+        if (args.deleter !== null) {
+            usage('--deleter requires "deleters" in the config');
+        }
+        return instances[0];
+    }
+
+    if (args.deleter === null) {
+        usage(
+            'config has "deleters", --deleter is required (one of: ' +
+                names.join(', ') +
+                ')'
+        );
+    }
+    if (names.indexOf(args.deleter) === -1) {
+        usage('unknown deleter "' + args.deleter + '"');
+    }
+
+    return instances[names.indexOf(args.deleter)];
+}
+
+function resolveFile(ctx, file) {
+    if (file.indexOf('/') !== -1) {
+        return path.resolve(file);
+    }
+    return path.join(ctx.args.badInstructionDir, file);
+}
+
+function cmdList(ctx, callback) {
+    var now = Date.now();
+
+    fs.readdir(ctx.args.badInstructionDir, function _onReaddir(err, files) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        console.log(
+            '%s  %s  %s  %s',
+            pad('SIZE', 8),
+            pad('AGE', 6),
+            pad('NAME', 40),
+            'REASON'
+        );
+
+        vasync.forEachPipeline(
+            {
+                func: function _listFile(file, cb) {
+                    var filename = path.join(ctx.args.badInstructionDir, file);
+
+                    fs.stat(filename, function _onStat(statErr, stats) {
+                        // The file may have been requeued or removed since
+                        // we read the directory.
+                        if (statErr && statErr.code === 'ENOENT') {
+                            cb();
+                            return;
+                        }
+                        if (statErr) {
+                            cb(statErr);
+                            return;
+                        }
+
+                        ctx.deleter.validateFile(filename, function _onValidate(
+                            validateErr,
+                            results
+                        ) {
+                            console.log(
+                                '%s  %s  %s  %s',
+                                pad(String(stats.size), 8),
+                                pad(humanAge(now - stats.mtime.getTime()), 6),
+                                pad(file, 40),
+                                failureReason(validateErr, results)
+                            );
+                            cb();
+                        });
+                    });
+                },
+                inputs: files.sort()
+            },
+            callback
+        );
+    });
+}
+
+function cmdShow(ctx, callback) {
+    var filename = resolveFile(ctx, ctx.args.files[0]);
+
+    fs.readFile(filename, 'utf8', function _onRead(readErr, contents) {
+        if (readErr) {
+            callback(readErr);
+            return;
+        }
+
+        ctx.deleter.validateFile(filename, function _onValidate(err, results) {
+            var lineIdx = 0;
+
+            console.log('file:   %s', filename);
+            console.log('status: %s', failureReason(err, results));
+            if (err) {
+                console.log('error:  %s', err.message);
+            }
+            console.log('');
+
+            contents.split('\n').forEach(function _showLine(line) {
+                var result;
+
+                if (line.length === 0) {
+                    return;
+                }
+
+                // Comments (e.g. annotations from the garbage-deleter) and
+                // the raw lines of invalid files are printed as-is.
+                if (line[0] === '#' || err) {
+                    console.log('       %s', line);
+                    return;
+                }
+
+                result = results[lineIdx];
+                lineIdx++;
+
+                if (result.err) {
+                    console.log(
+                        '%s  INVALID  %s: %s',
+                        pad(String(result.lineNum), 4),
+                        result.err.name,
+                        result.err.message
+                    );
+                    console.log(
+                        '                 %s',
+                        JSON.stringify(result.fields)
+                    );
+                } else {
+                    console.log(
+                        '%s  ok       delete %s (%s bytes, shard %s)',
+                        pad(String(result.lineNum), 4),
+                        result.deleteFile,
+                        result.fields[4],
+                        result.fields[3]
+                    );
+                }
+            });
+
+            callback();
+        });
+    });
+}
+
+//
+// Validate each file, printing the result. Calls callback(err, invalid) where
+// `invalid` is an array of the files that failed validation.
+//
+function validateFiles(ctx, callback) {
+    var invalid = [];
+
+    vasync.forEachPipeline(
+        {
+            func: function _validateOne(file, cb) {
+                var filename = resolveFile(ctx, file);
+
+                ctx.deleter.validateFile(filename, function _onValidate(
+                    err,
+                    results
+                ) {
+                    var reason = failureReason(err, results);
+
+                    if (reason !== 'valid') {
+                        invalid.push(file);
+                    }
+                    console.log('%s: %s', file, reason);
+                    cb();
+                });
+            },
+            inputs: ctx.args.files
+        },
+        function _validated(err) {
+            callback(err, invalid);
+        }
+    );
+}
+
+function cmdValidate(ctx, callback) {
+    validateFiles(ctx, function _onValidated(err, invalid) {
+        if (!err && invalid.length > 0) {
+            process.exitCode = 1;
+        }
+        callback(err);
+    });
+}
+
+function cmdRequeue(ctx, callback) {
+    validateFiles(ctx, function _onValidated(validateErr, invalid) {
+        if (validateErr) {
+            callback(validateErr);
+            return;
+        }
+
+        vasync.forEachPipeline(
+            {
+                func: function _requeueOne(file, cb) {
+                    var filename = resolveFile(ctx, file);
+                    var target = path.join(
+                        ctx.args.instructionDir,
+                        path.basename(filename)
+                    );
+
+                    if (invalid.indexOf(file) !== -1 && !ctx.args.force) {
+                        console.error(
+                            '%s: still invalid, not requeueing (use -F to ' +
+                                'force)',
+                            file
+                        );
+                        process.exitCode = 1;
+                        cb();
+                        return;
+                    }
+
+                    // We link then unlink rather than rename so that we never
+                    // replace an existing instruction file. The new file
+                    // appears in the instruction dir atomically either way.
+                    fs.link(filename, target, function _onLink(linkErr) {
+                        if (linkErr) {
+                            console.error('%s: %s', file, linkErr.message);
+                            process.exitCode = 1;
+                            cb();
+                            return;
+                        }
+
+                        fs.unlink(filename, function _onUnlink(unlinkErr) {
+                            if (unlinkErr) {
+                                cb(unlinkErr);
+                                return;
+                            }
+                            console.log('%s: requeued to %s', file, target);
+                            cb();
+                        });
+                    });
+                },
+                inputs: ctx.args.files
+            },
+            callback
+        );
+    });
+}
+
+function main() {
+    var args = parseArgs(process.argv.slice(2));
+    var ctx = {args: args};
+    var log = bunyan.createLogger({
+        level: process.env.LOG_LEVEL || 'fatal',
+        name: PROG,
+        stream: process.stderr
+    });
+
+    gcConfig.loadConfig(
+        {
+            filename: args.configFile,
+            log: log,
+            required: ['manta_storage_id']
+        },
+        function _onConfig(configErr, config) {
+            var opts;
+
+            if (configErr) {
+                console.error('%s: %s', PROG, configErr.message);
+                process.exit(1);
+            }
+
+            opts = selectInstance(args, config).options;
+
+            args.badInstructionDir =
+                args.badInstructionDir || opts.badInstructionDir;
+            args.instructionDir = args.instructionDir || opts.instructionDir;
+
+            opts.badInstructionDir = args.badInstructionDir;
+            opts.config = config;
+            opts.dryRun = true;
+            opts.instructionDir = args.instructionDir;
+            opts.log = log;
+
+            ctx.deleter = new GarbageDeleter(opts);
+
+            COMMANDS[args.command](ctx, function _onDone(err) {
+                if (err) {
+                    console.error('%s: %s', PROG, err.message);
+                    process.exit(1);
+                }
+            });
+        }
+    );
+}
+
+main();
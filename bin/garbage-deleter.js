@@ -6,7 +6,7 @@
 
 /*
  * Copyright 2020 Joyent, Inc.
- * Copyright 2024 MNX Cloud, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 /*
@@ -26,12 +26,99 @@
  *
  *  - not having a .instruction suffix
  *  - containing a line longer than the max line length (default: 2048)
- *  - having more than the maximum number of lines (default: 1000)
- *  - having (any) improperly formatted instruction lines
+ *  - having more than the maximum number of lines (default: 100000)
  *
- * the file will be moved to the "bad_instructions" directory for debugging. If
- * the problem is fixed, the file(s) can be moved back into the instructions
- * directory and reprocessed.
+ * the file will be moved to the "bad_instructions" directory for debugging.
+ *
+ * Otherwise each instruction line succeeds or fails on its own. When some lines
+ * fail (improperly formatted, or the delete failed), only those lines are
+ * written to a file of the same name in the "bad_instructions" directory, each
+ * preceded by a '#' comment noting the error. Comment lines are ignored when
+ * reading instructions, so if the problem is fixed, the file(s) can be moved
+ * back into the instructions directory and reprocessed. The
+ * garbage-deleter-adm tool can be used to list, inspect, re-validate and
+ * requeue these files. If any of bad_instruction_max_age,
+ * bad_instruction_max_files or bad_instruction_max_bytes are set (none are by
+ * default), files are pruned from "bad_instructions" (oldest first) once
+ * they're older than bad_instruction_max_age, or when there are more than
+ * bad_instruction_max_files of them or they total more than
+ * bad_instruction_max_bytes. The "mismatched_instructions",
+ * "misdirected_instructions" and "deferred_instructions" directories described
+ * below are never pruned.
+ *
+ * When size verification is enabled, each object is stat(2)ed before being
+ * deleted and if its size does not match the size in the instruction, it is
+ * not deleted. These lines are written to the "mismatched_instructions"
+ * directory (next to "bad_instructions") instead, since they most likely
+ * indicate a bug in the garbage collector.
+ *
+ * Similarly, lines for another storage zone (whose storage ID doesn't match
+ * manta_storage_id or any of storage_id_aliases) are written to
+ * "misdirected_instructions/<storage ID>" and counted by the
+ * gc_storage_instruction_lines_misdirected_count_total metric (labelled with
+ * that storage ID), so that routing problems in the garbage collector stand
+ * out.
+ *
+ * When min_object_age is set, objects modified less than that many ms ago are
+ * not deleted yet. Their lines are written to "deferred_instructions" and moved
+ * back into the instructions directory by a later run, once they're old
+ * enough.
+ *
+ * All of the tunables (directories, limits, rate limits, metrics port, etc.)
+ * are read from the config file (gc_config.json) which is rendered from SAPI
+ * metadata. See lib/gc-config.js for the list of tunables and their defaults.
+ *
+ * Normally there's a single deleter for instruction_dir. When the "deleters"
+ * tunable lists several (e.g. for a storage zone with an additional dataset,
+ * each with its own instruction_dir, bad_instruction_dir and manta_root), a
+ * deleter is started for each of them. They share the metrics server, with
+ * each of their metrics labelled with deleter="<name>", and concurrent_deletes
+ * limits the deletes in flight across all of them together. The other limits
+ * (e.g. concurrent_files and the rate limits) apply to each deleter on its
+ * own. The admin routes below apply to all of the deleters, or just one when
+ * passed ?deleter=<name>.
+ *
+ * On SIGTERM (e.g. from svcadm disable or restart) or SIGINT, the deleter stops
+ * starting new work and waits up to drain_timeout ms for the deletes already
+ * in flight to finish. The lines of the current instruction file that were
+ * not started are written back to the file so that it's resumed from there on
+ * the next start. It then logs a summary of the work done and exits. If the
+ * process dies without draining, the lines it completed are recorded in a
+ * checkpoint next to the instruction file (see lib/checkpoint.js) and are
+ * skipped (and counted as resumed rather than missing) when the file is
+ * processed again.
+ *
+ * On SIGHUP the config file is re-read, and changes to the tunables that are
+ * safe to change at runtime (concurrency, rate limits, run timing, etc.) are
+ * applied without interrupting the file currently being processed. Changes to
+ * any other fields are logged and ignored until the service is restarted. The
+ * gc_storage_config_reload_count_total and gc_storage_config_generation
+ * metrics track reloads. A SIGHUP received while still starting up (e.g. while
+ * waiting for the instruction directory) is held and the reload done once
+ * startup completes. config-agent refreshes the service (which sends the
+ * SIGHUP) whenever it rewrites the config, so a change to a field that can't
+ * be reloaded requires an explicit:
+ *
+ *     svcadm restart garbage-deleter
+ *
+ * The metrics server (port 8881 by default, on the admin network) also serves
+ * some admin routes which allow operators to control the deleter without
+ * disabling the service (which would also take down the metrics):
+ *
+ *     GET /status     # running or paused, last run, queue depth, current file
+ *     POST /pause     # stop processing new instruction files
+ *     POST /resume    # start processing instruction files again
+ *     POST /run       # run now rather than waiting for the next run
+ *
+ * When run with --dry-run, this will instead make a single pass through the
+ * instruction directory (which can be overridden with -d), validating every
+ * instruction file and stat(2)ing each object that would be deleted. Nothing
+ * is deleted or moved, and a summary of the would-delete, would-defer (for
+ * min_object_age), size-mismatch, already-missing and error counts is logged
+ * before exiting. This allows validating a new garbage-collector release
+ * against real instructions:
+ *
+ *     garbage-deleter.js --dry-run -d /manta/manta_gc/instructions | bunyan
  *
  * TODO (maybe):
  *
@@ -48,16 +135,92 @@ var createMetricsManager = require('triton-metrics').createMetricsManager;
 var restify = require('restify');
 var vasync = require('vasync');
 
+var addAdminRoutes = require('../lib/garbage-deleter-admin').addAdminRoutes;
 var common = require('../lib/common');
+var DeleteBudget = require('../lib/delete-budget');
 var GarbageDeleter = require('../lib/garbage-deleter');
+var gcConfig = require('../lib/gc-config');
 
 var elapsedSince = common.elapsedSince;
 
-var CONFIG_FILE = '/opt/smartdc/mako/etc/gc_config.json';
-var DEFAULT_BAD_INSTRUCTION_DIR = '/manta/manta_gc/bad_instructions';
-var DEFAULT_INSTRUCTION_DIR = '/manta/manta_gc/instructions';
+var CONFIG_FILE = gcConfig.DEFAULT_CONFIG_FILE;
 var SERVICE_NAME = 'garbage-deleter';
-var METRICS_SERVER_PORT = 8881;
+
+function usage(errMsg) {
+    if (errMsg) {
+        console.error('garbage-deleter: ' + errMsg);
+    }
+    console.error(
+        [
+            'usage: garbage-deleter.js [-h] [--dry-run] [-d INSTRUCTION_DIR] ' +
+                '[-f CONFIG_FILE]',
+            '',
+            '    -d, --instruction-dir DIR  directory to read instructions ' +
+                'from',
+            '                               (default: instruction_dir ' +
+                'from config)',
+            '    --dry-run                  check instructions once without ' +
+                'deleting anything',
+            '    -f, --file CONFIG_FILE     config file (default: ' +
+                CONFIG_FILE +
+                ')',
+            '    -h, --help                 print this help and exit'
+        ].join('\n')
+    );
+    process.exit(errMsg ? 2 : 0);
+}
+
+//
+// Parse the command line arguments (without the leading node and script
+// arguments) and return an object with the options. Calls usage() which exits
+// on invalid arguments.
+//
+function parseArgs(argv) {
+    assert.arrayOfString(argv, 'argv');
+
+    var arg;
+    var idx;
+    var parsed = {
+        configFile: CONFIG_FILE,
+        dryRun: false,
+        instructionDir: null
+    };
+
+    function _optArg() {
+        if (idx + 1 >= argv.length) {
+            usage('option "' + arg + '" requires an argument');
+        }
+        idx++;
+        return argv[idx];
+    }
+
+    for (idx = 0; idx < argv.length; idx++) {
+        arg = argv[idx];
+
+        switch (arg) {
+            case '-d':
+            case '--instruction-dir':
+                parsed.instructionDir = _optArg();
+                break;
+            case '--dry-run':
+                parsed.dryRun = true;
+                break;
+            case '-f':
+            case '--file':
+                parsed.configFile = _optArg();
+                break;
+            case '-h':
+            case '--help':
+                usage();
+                break;
+            default:
+                usage('unknown argument "' + arg + '"');
+                break;
+        }
+    }
+
+    return parsed;
+}
 
 function createLogger(opts) {
     assert.object(opts, 'opts');
@@ -73,181 +236,409 @@ function createLogger(opts) {
 }
 
 //
-// Try to load the config file opts.filename (optional, default: CONFIG_FILE)
-// call callback(err, obj) with the parsed configuration as `obj` on success or
-// an Error object as `err` on failure.
+// Returns the deleters to run for the validated `config` (see
+// gcConfig.instanceOptions()). Since the --instruction-dir option overrides
+// the instruction dir, it can only be used when the config doesn't list
+// "deleters".
 //
-function loadConfig(opts, callback) {
-    assert.object(opts, 'opts');
-    assert.object(opts.log, 'opts.log');
+function getInstances(args, config) {
+    var instances = gcConfig.instanceOptions(config);
 
-    var parsed = {};
-
-    if (!opts.config && !opts.filename) {
-        opts.filename = CONFIG_FILE;
+    if (args.instructionDir) {
+        if (config.deleters.length > 0) {
+            usage(
+                '--instruction-dir cannot be used when the config has ' +
+                    '"deleters"'
+            );
+        }
+        instances[0].options.instructionDir = args.instructionDir;
     }
 
-    if (!opts.filename) {
-        callback(null, parsed);
-        return;
+    return instances;
+}
+
+//
+// Create a GarbageDeleter for the deleter `instance` (from getInstances()),
+// with the options in `shared` (which are the same for all of the deleters)
+// added. Named deleters log (and label their metrics) with their name.
+//
+function createDeleter(instance, shared) {
+    assert.object(instance, 'instance');
+    assert.object(shared, 'shared');
+    assert.object(shared.log, 'shared.log');
+
+    var opts = instance.options;
+
+    Object.keys(shared).forEach(function _addShared(optName) {
+        opts[optName] = shared[optName];
+    });
+
+    if (instance.name !== null) {
+        opts.log = shared.log.child({deleter: instance.name});
+        opts.name = instance.name;
     }
 
-    opts.log.trace({filename: opts.filename}, 'Loading config from file.');
+    return new GarbageDeleter(opts);
+}
+
+//
+// Call callback(err) once the instruction dir `dir` exists.
+//
+// The instruction dir will be created automatically (by nginx) when the first
+// instructions come in. Until that point, there'll be nothing to do. We don't
+// create the directory ourselves since we want nginx to create it with the
+// correct permissions. So we just wait for the directory to exist.
+//
+function waitForDir(dir, logger, callback) {
+    var dirExists = false;
 
-    fs.readFile(opts.filename, function _onReadFile(err, data) {
-        if (!err) {
-            try {
-                parsed = JSON.parse(data.toString('utf8'));
-            } catch (e) {
-                callback(e);
+    function _checkDir(_cb) {
+        fs.stat(dir, function _stat(err, stats) {
+            if (err && err.code !== 'ENOENT') {
+                // Unexpected error
+                _cb(err);
                 return;
+            } else if (!err && stats.isDirectory()) {
+                dirExists = true;
             }
+
+            _cb();
+        });
+    }
+
+    _checkDir(function _onCheck(err) {
+        if (err) {
+            callback(err);
+            return;
         }
 
-        callback(err, parsed);
-        return;
+        if (!dirExists) {
+            logger.info(
+                'Instruction dir "%s" missing, waiting until it exists',
+                dir
+            );
+        }
+
+        //
+        // This will call _checkDir() every 1000ms (1 second) until the
+        // directory exists or there is an error then will call callback(err).
+        //
+        vasync.whilst(
+            function _checkExists() {
+                return !dirExists;
+            },
+            function _checkAgain(_cb) {
+                logger.debug('Dir "%s" still does not exist, waiting.', dir);
+                setTimeout(_checkDir, 1000, _cb);
+            },
+            function _doneWaiting(e) {
+                if (!e) {
+                    logger.info('Instruction dir "%s" exists.', dir);
+                }
+                callback(e);
+            }
+        );
     });
 }
 
+//
+// Returns an object with the totals (since startup) of the work done by the
+// deleter `gd`, for logging at shutdown.
+//
+function summarize(gd) {
+    return {
+        deleteErrors: gd.getCounter('deleteErrorCount'),
+        deletes: gd.getCounter('deleteCountTotal'),
+        deletesDuplicate: gd.getCounter('deleteCountDuplicate'),
+        deletesMissing: gd.getCounter('deleteCountMissing'),
+        instructionFilesBad: gd.getCounter('instructionFilesBad'),
+        instructionFilesProcessed: gd.getCounter('instructionFilesProcessed'),
+        instructionLinesBad: gd.getCounter('instructionLinesBad'),
+        instructionLinesProcessed: gd.getCounter('instructionLinesProcessed')
+    };
+}
+
+//
+// Make a single pass through the instruction directory (of each deleter) in
+// dryRun mode, log a summary and exit non-zero if any errors or invalid files
+// were found.
+//
+function mainDryRun(args, logger) {
+    var ctx = {};
+
+    vasync.pipeline(
+        {
+            arg: ctx,
+            funcs: [
+                function _loadConfig(_, cb) {
+                    gcConfig.loadConfig(
+                        {
+                            filename: args.configFile,
+                            log: logger,
+                            required: ['manta_storage_id']
+                        },
+                        function _loadedConfig(err, cfg) {
+                            if (err) {
+                                cb(err);
+                                return;
+                            }
+
+                            ctx.config = cfg;
+                            ctx.instances = getInstances(args, cfg);
+                            cb();
+                        }
+                    );
+                },
+                function _dryRun(_, cb) {
+                    vasync.forEachPipeline(
+                        {
+                            func: function _dryRunDeleter(instance, next) {
+                                var beginning = process.hrtime();
+                                var gd = createDeleter(instance, {
+                                    config: ctx.config,
+                                    dryRun: true,
+                                    log: logger
+                                });
+
+                                gd.processInstructionDir(function _onDone(err) {
+                                    var results = gd.dryRunResults;
+
+                                    gd.log.info(
+                                        {
+                                            elapsed: elapsedSince(beginning),
+                                            err: err,
+                                            instructionDir: gd.instructionDir,
+                                            results: results
+                                        },
+                                        'Dry run complete.'
+                                    );
+
+                                    if (
+                                        err ||
+                                        results.badFiles > 0 ||
+                                        results.errors > 0
+                                    ) {
+                                        process.exitCode = 1;
+                                    }
+
+                                    // Carry on with the other deleters, if
+                                    // any.
+                                    next();
+                                });
+                            },
+                            inputs: ctx.instances
+                        },
+                        cb
+                    );
+                }
+            ]
+        },
+        function _doneDryRun(err) {
+            if (err) {
+                logger.error({err: err}, 'Dry run failed.');
+                process.exitCode = 1;
+            }
+        }
+    );
+}
+
 function main() {
-    var BAD_INSTRUCTION_DIR = DEFAULT_BAD_INSTRUCTION_DIR;
+    var args = parseArgs(process.argv.slice(2));
     var beginning;
-    var INSTRUCTION_DIR = DEFAULT_INSTRUCTION_DIR;
+    // The deleters, once they've all started.
+    var deleters = null;
     var logger = createLogger({
         level: 'info',
         name: SERVICE_NAME
     });
+    var reloadPending = false;
+    var shuttingDown = false;
+
+    //
+    // Load and validate the config once, then apply it to each of the
+    // deleters, so that they all get the same config and any warnings about it
+    // are only logged once.
+    //
+    function _reloadConfig() {
+        logger.info(
+            {filename: args.configFile},
+            'Got SIGHUP, reloading config.'
+        );
+
+        gcConfig.loadConfig(
+            {
+                filename: args.configFile,
+                log: logger
+            },
+            function _onLoadConfig(err, config) {
+                if (err) {
+                    logger.error(
+                        {err: err},
+                        'Failed to reload config, keeping current config.'
+                    );
+                    deleters.forEach(function _countFailure(gd) {
+                        gd.addCounter('configReloads', 1, {result: 'failure'});
+                    });
+                    return;
+                }
+
+                if (bunyan.resolveLevel(config.log_level) !== logger.level()) {
+                    logger.info(
+                        {
+                            from: bunyan.nameFromLevel[logger.level()],
+                            to: config.log_level
+                        },
+                        'Changing log level.'
+                    );
+                    logger.level(config.log_level);
+                }
+
+                deleters.forEach(function _apply(gd) {
+                    gd.applyConfig(config);
+                });
+            }
+        );
+    }
+
+    //
+    // Stop starting new work, wait (up to drain_timeout) for in-flight deletes
+    // to finish so that the current instruction file(s) can be resumed where
+    // they left off, then exit. A second signal exits immediately.
+    //
+    function _shutdown(ctx, signal) {
+        if (shuttingDown) {
+            logger.warn({signal: signal}, 'Got signal again, exiting now.');
+            process.exit(1);
+        }
+        shuttingDown = true;
+
+        logger.info({signal: signal}, 'Got signal, shutting down.');
+
+        vasync.forEachParallel(
+            {
+                func: function _stopDeleter(gd, cb) {
+                    gd.stop(cb);
+                },
+                inputs: ctx.deleters
+            },
+            function _onStop(err) {
+                var summary = {};
+
+                // With a single unnamed deleter, that's the whole summary.
+                ctx.deleters.forEach(function _addSummary(gd) {
+                    if (gd.name === null) {
+                        summary = summarize(gd);
+                    } else {
+                        summary[gd.name] = summarize(gd);
+                    }
+                });
+
+                logger.info(
+                    {
+                        err: err,
+                        summary: summary,
+                        uptime: elapsedSince(beginning)
+                    },
+                    'Shutdown complete.'
+                );
+                process.exit(err ? 1 : 0);
+            }
+        );
+    }
+
+    if (args.dryRun) {
+        mainDryRun(args, logger);
+        return;
+    }
 
     beginning = process.hrtime();
 
+    //
+    // Without a handler, SIGHUP would kill the process. config-agent can send
+    // one at any time (including while we wait for the instruction dir), so we
+    // install the handler now and hold the reload until the deleters have
+    // started.
+    //
+    process.on('SIGHUP', function _onSighup() {
+        if (deleters === null) {
+            logger.info(
+                {filename: args.configFile},
+                'Got SIGHUP during startup, will reload config once started.'
+            );
+            reloadPending = true;
+            return;
+        }
+        _reloadConfig();
+    });
+
     vasync.pipeline(
         {
             arg: {},
             funcs: [
-                function _waitDir(_, cb) {
-                    var dirExists = false;
-
-                    //
-                    // The INSTRUCTION_DIR will be created automatically (by nginx)
-                    // when the first instructions come in. Until that point,
-                    // there'll be nothing to do. We don't create the directory
-                    // ourselves since we want nginx to create it with the correct
-                    // permissions. So we just wait for the directory to exist.
-                    //
-                    function _checkDir(_cb) {
-                        fs.stat(INSTRUCTION_DIR, function _stat(err, stats) {
-                            if (err && err.code !== 'ENOENT') {
-                                // Unexpected error
-                                _cb(err);
+                function _loadConfig(ctx, cb) {
+                    gcConfig.loadConfig(
+                        {
+                            filename: args.configFile,
+                            log: logger
+                        },
+                        function _loadedConfig(err, cfg) {
+                            if (err) {
+                                cb(err);
                                 return;
-                            } else if (!err && stats.isDirectory()) {
-                                dirExists = true;
                             }
 
-                            _cb();
-                        });
-                    }
+                            logger.level(cfg.log_level);
+                            logger.info({config: cfg}, 'Loaded config.');
 
-                    _checkDir(function _onCheck(err) {
-                        if (err) {
-                            cb(err);
-                            return;
-                        }
+                            ctx.config = cfg;
+                            ctx.instances = getInstances(args, cfg);
 
-                        if (!dirExists) {
-                            logger.info(
-                                'Instruction dir "%s" missing, waiting ' +
-                                    'until it exists',
-                                INSTRUCTION_DIR
-                            );
+                            cb();
                         }
-
-                        //
-                        // This will call _checkDir() every 1000ms (1 second) until
-                        // the directory exists or there is an error then will call
-                        // cb(err).
-                        //
-                        vasync.whilst(
-                            function _checkExists() {
-                                return !dirExists;
-                            },
-                            function _checkAgain(_cb) {
-                                logger.debug(
-                                    'Dir "%s" still does not exist, waiting.',
-                                    INSTRUCTION_DIR
+                    );
+                },
+                function _waitDirs(ctx, cb) {
+                    vasync.forEachParallel(
+                        {
+                            func: function _waitDir(instance, next) {
+                                waitForDir(
+                                    instance.options.instructionDir,
+                                    logger,
+                                    next
                                 );
-                                setTimeout(_checkDir, 1000, _cb);
                             },
-                            function _doneWaiting(e) {
-                                if (!e) {
-                                    logger.info(
-                                        'Instruction dir "%s" exists.',
-                                        INSTRUCTION_DIR
-                                    );
-                                }
-                                cb(e);
-                            }
-                        );
-                    });
-                },
-                function _makeBadInstructionDir(_, cb) {
-                    fs.mkdir(BAD_INSTRUCTION_DIR, function _onMkdir(err) {
-                        if (err && err.code !== 'EEXIST') {
-                            logger.error(
-                                'Unable to create dir "' +
-                                    BAD_INSTRUCTION_DIR +
-                                    '": ' +
-                                    err.message
-                            );
-                            cb(err);
-                            return;
-                        }
-
-                        cb();
-                    });
+                            inputs: ctx.instances
+                        },
+                        cb
+                    );
                 },
-                function _loadConfig(ctx, cb) {
-                    loadConfig(
+                function _makeBadInstructionDirs(ctx, cb) {
+                    vasync.forEachParallel(
                         {
-                            log: logger
-                        },
-                        function _loadedConfig(err, cfg) {
-                            if (!err) {
-                                logger.trace(
-                                    {
-                                        cfg: cfg
-                                    },
-                                    'Loaded config.'
-                                );
-                                ctx.config = cfg;
-                            }
+                            func: function _makeDir(instance, next) {
+                                var BAD_INSTRUCTION_DIR =
+                                    instance.options.badInstructionDir;
 
-                            //
-                            // Validate the config:
-                            //
-                            // config-agent should have ensured these are set in our
-                            // config, we'll just blow up if they're not.
-                            //
-                            assert.string(
-                                ctx.config.admin_ip,
-                                'config.admin_ip'
-                            );
-                            assert.string(
-                                ctx.config.datacenter,
-                                'config.datacenter'
-                            );
-                            assert.uuid(ctx.config.instance, 'config.instance');
-                            assert.string(
-                                ctx.config.manta_storage_id,
-                                'config.manta_storage_id'
-                            );
-                            assert.uuid(
-                                ctx.config.server_uuid,
-                                'config.server_uuid'
-                            );
-
-                            cb(err);
-                        }
+                                fs.mkdir(BAD_INSTRUCTION_DIR, function _onMkdir(
+                                    err
+                                ) {
+                                    if (err && err.code !== 'EEXIST') {
+                                        logger.error(
+                                            'Unable to create dir "' +
+                                                BAD_INSTRUCTION_DIR +
+                                                '": ' +
+                                                err.message
+                                        );
+                                        next(err);
+                                        return;
+                                    }
+
+                                    next();
+                                });
+                            },
+                            inputs: ctx.instances
+                        },
+                        cb
                     );
                 },
                 function _setupMetrics(ctx, cb) {
@@ -260,31 +651,78 @@ function main() {
                             server: ctx.config.server_uuid,
                             service: SERVICE_NAME
                         },
-                        port: METRICS_SERVER_PORT,
+                        port: ctx.config.metrics_port,
                         restify: restify
                     });
                     metricsManager.createNodejsMetrics();
                     metricsManager.listen(cb);
                     ctx.metricsManager = metricsManager;
                 },
-                function _createDeleter(ctx, cb) {
-                    var gd = new GarbageDeleter({
-                        badInstructionDir: BAD_INSTRUCTION_DIR,
-                        config: ctx.config,
-                        instructionDir: INSTRUCTION_DIR,
-                        log: logger,
-                        metricsManager: ctx.metricsManager
+                function _createDeleters(ctx, cb) {
+                    // Shared by all of the deleters, so that
+                    // concurrent_deletes limits the deletes in flight across
+                    // all of them.
+                    var deleteBudget = new DeleteBudget({
+                        limit: ctx.config.concurrent_deletes
                     });
 
-                    gd.start(cb);
+                    ctx.deleters = ctx.instances.map(function _create(
+                        instance
+                    ) {
+                        return createDeleter(instance, {
+                            config: ctx.config,
+                            deleteBudget: deleteBudget,
+                            log: logger,
+                            metricsManager: ctx.metricsManager
+                        });
+                    });
+
+                    if (ctx.config.deleters.length > 0) {
+                        addAdminRoutes({
+                            deleters: ctx.deleters,
+                            log: logger,
+                            server: ctx.metricsManager.server
+                        });
+                    } else {
+                        addAdminRoutes({
+                            deleter: ctx.deleters[0],
+                            log: logger,
+                            server: ctx.metricsManager.server
+                        });
+                    }
+
+                    vasync.forEachParallel(
+                        {
+                            func: function _startDeleter(gd, next) {
+                                gd.start(next);
+                            },
+                            inputs: ctx.deleters
+                        },
+                        cb
+                    );
+                },
+                function _handleSignals(ctx, cb) {
+                    process.on('SIGINT', _shutdown.bind(null, ctx, 'SIGINT'));
+                    process.on('SIGTERM', _shutdown.bind(null, ctx, 'SIGTERM'));
+
+                    deleters = ctx.deleters;
+                    if (reloadPending) {
+                        reloadPending = false;
+                        _reloadConfig();
+                    }
+                    cb();
                 }
             ]
         },
         function _doneMain(err) {
+            if (err) {
+                logger.fatal({err: err}, 'Startup failed.');
+                process.exit(1);
+            }
+
             logger.info(
                 {
-                    elapsed: elapsedSince(beginning),
-                    err: err
+                    elapsed: elapsedSince(beginning)
                 },
                 'Startup complete.'
             );
@@ -0,0 +1,546 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+//
+// The audit journal is an append-only record of every Manta object the
+// garbage-deleter has attempted to delete. It is kept separately from the
+// service log so that it's not lost in the noise or to log rotation.
+//
+// The journal lives in a directory containing:
+//
+//  deletes.log                 - the file currently being appended to
+//  deletes.log.<ms since epoch> - rotated journal files
+//
+// Each line is a JSON record with:
+//
+//  time             - ISO 8601 time the delete completed
+//  instructionFile  - the basename of the instruction file
+//  shard            - the metadata shard the instruction came from
+//  size             - the size of the object according to the instruction
+//  path             - the path of the object
+//  outcome          - one of 'deleted', 'quarantined', 'missing', 'duplicate'
+//                     (skipped since it was recently deleted), 'deferred'
+//                     (modified within min_object_age, so left to be
+//                     retried later), 'refused' (a pre-delete check failed)
+//                     or 'failed'
+//  err              - the name of the error (for 'deferred', 'refused' and
+//                     'failed' only)
+//
+// Records are buffered and written and fsync()ed in batches of up to
+// `maxBatch` records, or after `flushInterval` ms, whichever comes first.
+// Callers that need the records to be durable (e.g. before removing the
+// instruction file they came from) can call flush(). When the current file
+// grows beyond `maxFileSize` bytes it is rotated, and only the newest
+// `maxFiles` rotated files (if non-zero) are kept.
+//
+// If writing fails, the records are kept and written on the next flush. So
+// that a journal which can't be written (e.g. a full filesystem) doesn't grow
+// without bound while we carry on deleting, at most `maxPending` records are
+// held. Any past that are dropped, with `onDropped(count)` (if passed) called
+// for each batch dropped.
+//
+// forEachRecord() can be used to read the records back.
+//
+
+var fs = require('fs');
+var path = require('path');
+var readline = require('readline');
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+var VError = require('verror').VError;
+
+var common = require('./common');
+
+var DEFAULT_FLUSH_INTERVAL = 1000; // ms
+var DEFAULT_MAX_BATCH = 100;
+var DEFAULT_MAX_FILE_SIZE = 100 * 1024 * 1024; // 100 MiB
+var DEFAULT_MAX_FILES = 10;
+var DEFAULT_MAX_PENDING = 100000;
+var JOURNAL_FILENAME = 'deletes.log';
+
+function AuditJournal(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.string(opts.dir, 'opts.dir');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalNumber(opts.flushInterval, 'opts.flushInterval');
+    assert.optionalNumber(opts.maxBatch, 'opts.maxBatch');
+    assert.optionalNumber(opts.maxFileSize, 'opts.maxFileSize');
+    assert.optionalNumber(opts.maxFiles, 'opts.maxFiles');
+    assert.optionalNumber(opts.maxPending, 'opts.maxPending');
+    assert.optionalFunc(opts.onDropped, 'opts.onDropped');
+
+    self.dir = opts.dir;
+    self.filename = path.join(self.dir, JOURNAL_FILENAME);
+    self.flushInterval = opts.flushInterval || DEFAULT_FLUSH_INTERVAL;
+    self.log = opts.log;
+    self.maxBatch = opts.maxBatch || DEFAULT_MAX_BATCH;
+    self.maxFileSize = opts.maxFileSize || DEFAULT_MAX_FILE_SIZE;
+    self.maxFiles =
+        opts.maxFiles !== undefined ? opts.maxFiles : DEFAULT_MAX_FILES;
+    self.maxPending = opts.maxPending || DEFAULT_MAX_PENDING;
+    self.onDropped = opts.onDropped || null;
+
+    self.dropped = 0;
+    self.fd = null;
+    self.flushTimer = null;
+    self.lastRotated = 0;
+    self.pending = [];
+    self.size = 0;
+
+    // Only one flush runs at a time. Flushes requested while one is running
+    // wait in this queue.
+    self.flushQueue = vasync.queue(function _runFlush(_, cb) {
+        self._flush(cb);
+    }, 1);
+}
+
+//
+// Add a record to the journal. The record will be written on the next flush,
+// unless there are already maxPending records waiting, in which case it's
+// dropped.
+//
+AuditJournal.prototype.append = function append(record) {
+    var self = this;
+
+    assert.object(record, 'record');
+    assert.string(record.outcome, 'record.outcome');
+    assert.string(record.path, 'record.path');
+
+    if (self.pending.length >= self.maxPending) {
+        self._drop(1);
+        return;
+    }
+
+    self.pending.push(
+        JSON.stringify({
+            time: record.time || new Date().toISOString(),
+            instructionFile: record.instructionFile,
+            shard: record.shard,
+            size: record.size,
+            path: record.path,
+            outcome: record.outcome,
+            err: record.err
+        }) + '\n'
+    );
+
+    if (self.pending.length >= self.maxBatch) {
+        self.flush();
+    } else if (self.flushTimer === null) {
+        self.flushTimer = setTimeout(function _onFlushTimer() {
+            self.flushTimer = null;
+            self.flush();
+        }, self.flushInterval);
+    }
+};
+
+//
+// Write and fsync() any pending records, then call callback(err) (if passed).
+// Errors are also logged so callers that don't care when the flush completes
+// don't need to pass a callback.
+//
+AuditJournal.prototype.flush = function flush(callback) {
+    var self = this;
+
+    assert.optionalFunc(callback, 'callback');
+
+    if (self.flushTimer !== null) {
+        clearTimeout(self.flushTimer);
+        self.flushTimer = null;
+    }
+
+    self.flushQueue.push({}, function _onFlushed(err) {
+        if (err) {
+            self.log.error(
+                {err: err, filename: self.filename},
+                'Failed to write audit journal.'
+            );
+        }
+        if (callback) {
+            callback(err);
+        }
+    });
+};
+
+AuditJournal.prototype._flush = function _flush(callback) {
+    var self = this;
+
+    var buf;
+    var records = self.pending;
+
+    if (records.length === 0) {
+        callback();
+        return;
+    }
+
+    self.pending = [];
+    buf = Buffer.from(records.join(''), 'utf8');
+
+    vasync.pipeline(
+        {
+            funcs: [
+                function _open(_, cb) {
+                    self._open(cb);
+                },
+                function _write(_, cb) {
+                    _writeAll(self.fd, buf, cb);
+                },
+                function _fsync(_, cb) {
+                    fs.fsync(self.fd, cb);
+                },
+                function _maybeRotate(_, cb) {
+                    self.size += buf.length;
+                    if (self.size < self.maxFileSize) {
+                        cb();
+                        return;
+                    }
+
+                    // The records are already durable at this point, so a
+                    // failure to rotate is not a failure to flush. We'll try
+                    // again after the next flush.
+                    self._rotate(function _onRotate(rotateErr) {
+                        if (rotateErr) {
+                            self.log.error(
+                                {err: rotateErr, filename: self.filename},
+                                'Failed to rotate audit journal.'
+                            );
+                        }
+                        cb();
+                    });
+                }
+            ]
+        },
+        function _flushed(err) {
+            if (err) {
+                // Put the records back so they'll be written on the next
+                // flush, ahead of any that have been appended since. Those
+                // past maxPending (the newest) are dropped.
+                self.pending = records.concat(self.pending);
+                if (self.pending.length > self.maxPending) {
+                    self._drop(self.pending.length - self.maxPending);
+                    self.pending.length = self.maxPending;
+                }
+                callback(
+                    new VError(
+                        {
+                            cause: err,
+                            info: {
+                                filename: self.filename,
+                                records: records.length
+                            },
+                            name: 'AuditJournalWriteError'
+                        },
+                        'Failed to write audit journal.'
+                    )
+                );
+                return;
+            }
+
+            if (self.dropped > 0) {
+                self.log.warn(
+                    {dropped: self.dropped, filename: self.filename},
+                    'Audit journal records were dropped while it could ' +
+                        'not be written.'
+                );
+                self.dropped = 0;
+            }
+            callback();
+        }
+    );
+};
+
+//
+// Count `count` records as dropped. `dropped` is reset (and logged) once the
+// journal has been written again.
+//
+AuditJournal.prototype._drop = function _drop(count) {
+    var self = this;
+
+    if (self.dropped === 0) {
+        self.log.error(
+            {filename: self.filename, maxPending: self.maxPending},
+            'Too many audit journal records pending, dropping records.'
+        );
+    }
+    self.dropped += count;
+
+    if (self.onDropped) {
+        self.onDropped(count);
+    }
+};
+
+AuditJournal.prototype._open = function _open(callback) {
+    var self = this;
+
+    if (self.fd !== null) {
+        callback();
+        return;
+    }
+
+    common.mkdirp(self.dir, function _onMkdirp(mkdirErr) {
+        if (mkdirErr) {
+            callback(mkdirErr);
+            return;
+        }
+
+        fs.open(self.filename, 'a', function _onOpen(openErr, fd) {
+            if (openErr) {
+                callback(openErr);
+                return;
+            }
+
+            fs.fstat(fd, function _onFstat(statErr, stats) {
+                if (statErr) {
+                    fs.close(fd, function _onClose() {
+                        callback(statErr);
+                    });
+                    return;
+                }
+
+                self.fd = fd;
+                self.size = stats.size;
+                callback();
+            });
+        });
+    });
+};
+
+//
+// Close the current journal file and rename it out of the way so that the next
+// flush will start a new one, then remove any rotated files beyond maxFiles.
+//
+AuditJournal.prototype._rotate = function _rotate(callback) {
+    var self = this;
+
+    var fd = self.fd;
+    var rotatedFilename;
+
+    // Make sure we never clobber a previously rotated file, even if we rotate
+    // more than once in a millisecond.
+    self.lastRotated = Math.max(Date.now(), self.lastRotated + 1);
+    rotatedFilename = self.filename + '.' + self.lastRotated;
+
+    self.fd = null;
+    self.size = 0;
+
+    fs.close(fd, function _onClose(closeErr) {
+        if (closeErr) {
+            callback(closeErr);
+            return;
+        }
+
+        fs.rename(self.filename, rotatedFilename, function _onRename(err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            self.log.info(
+                {filename: rotatedFilename},
+                'Rotated audit journal.'
+            );
+
+            self._removeOldFiles(callback);
+        });
+    });
+};
+
+AuditJournal.prototype._removeOldFiles = function _removeOldFiles(callback) {
+    var self = this;
+
+    if (!self.maxFiles) {
+        callback();
+        return;
+    }
+
+    listJournalFiles(self.dir, function _onList(err, files) {
+        var rotated;
+
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        // The current file (if it exists) is always last.
+        rotated = files.filter(function _isRotated(file) {
+            return file !== JOURNAL_FILENAME;
+        });
+
+        vasync.forEachPipeline(
+            {
+                func: function _removeFile(file, cb) {
+                    self.log.info(
+                        {filename: path.join(self.dir, file)},
+                        'Removing old audit journal.'
+                    );
+                    fs.unlink(path.join(self.dir, file), cb);
+                },
+                inputs: rotated.slice(
+                    0,
+                    Math.max(0, rotated.length - self.maxFiles)
+                )
+            },
+            callback
+        );
+    });
+};
+
+//
+// Flush any pending records and close the journal file.
+//
+AuditJournal.prototype.close = function close(callback) {
+    var self = this;
+
+    assert.func(callback, 'callback');
+
+    self.flush(function _onFlushed(flushErr) {
+        var fd = self.fd;
+
+        if (fd === null) {
+            callback(flushErr);
+            return;
+        }
+
+        self.fd = null;
+        fs.close(fd, function _onClose(closeErr) {
+            callback(flushErr || closeErr);
+        });
+    });
+};
+
+function _writeAll(fd, buf, callback) {
+    fs.write(fd, buf, 0, buf.length, null, function _onWrite(err, written) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        if (written < buf.length) {
+            _writeAll(fd, buf.slice(written), callback);
+            return;
+        }
+        callback();
+    });
+}
+
+//
+// Call callback(err, files) with the names of the journal files in `dir`,
+// oldest first.
+//
+function listJournalFiles(dir, callback) {
+    fs.readdir(dir, function _onReaddir(err, files) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        callback(
+            null,
+            files
+                .filter(function _isJournal(file) {
+                    return (
+                        file === JOURNAL_FILENAME ||
+                        /^deletes\.log\.[0-9]+$/.test(file)
+                    );
+                })
+                .sort(function _byAge(a, b) {
+                    // The current file has no suffix, and is the newest.
+                    var aTime = Number(a.split('.')[2] || Infinity);
+                    var bTime = Number(b.split('.')[2] || Infinity);
+
+                    return aTime - bTime;
+                })
+        );
+    });
+}
+
+//
+// Read the records from the journal in opts.dir (oldest first), calling
+// opts.func(record) for each. If opts.since and/or opts.until (Date objects)
+// are passed, only records with a time >= since and < until are included.
+// Lines that can't be parsed (e.g. a partial write before a crash) are
+// skipped. Calls callback(err, {records: <count>, skipped: <count>}) when
+// done.
+//
+function forEachRecord(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.string(opts.dir, 'opts.dir');
+    assert.func(opts.func, 'opts.func');
+    assert.optionalDate(opts.since, 'opts.since');
+    assert.optionalDate(opts.until, 'opts.until');
+    assert.func(callback, 'callback');
+
+    var results = {records: 0, skipped: 0};
+
+    listJournalFiles(opts.dir, function _onList(listErr, files) {
+        if (listErr) {
+            callback(listErr);
+            return;
+        }
+
+        vasync.forEachPipeline(
+            {
+                func: function _readFile(file, cb) {
+                    var done = false;
+                    var rl;
+                    var stream = fs.createReadStream(path.join(opts.dir, file));
+
+                    function _done(err) {
+                        if (!done) {
+                            done = true;
+                            cb(err);
+                        }
+                    }
+
+                    stream.on('error', _done);
+
+                    rl = readline.createInterface({input: stream});
+                    rl.on('line', function _onLine(line) {
+                        var record;
+                        var time;
+
+                        try {
+                            record = JSON.parse(line);
+                            assert.object(record, 'record');
+                            assert.string(record.time, 'record.time');
+                            time = new Date(record.time);
+                        } catch (_) {
+                            results.skipped++;
+                            return;
+                        }
+
+                        if (
+                            (opts.since && time < opts.since) ||
+                            (opts.until && time >= opts.until)
+                        ) {
+                            return;
+                        }
+
+                        results.records++;
+                        opts.func(record);
+                    });
+                    rl.on('close', function _onClose() {
+                        _done();
+                    });
+                },
+                inputs: files
+            },
+            function _readAll(err) {
+                callback(err, results);
+            }
+        );
+    });
+}
+
+module.exports = {
+    AuditJournal: AuditJournal,
+    forEachRecord: forEachRecord
+};
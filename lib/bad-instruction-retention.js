@@ -0,0 +1,194 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+//
+// This applies the garbage-deleter's retention limits to the files in its
+// bad_instructions directory. Going through the files oldest (by mtime) first,
+// we remove those older than maxAge ms, then the oldest of the rest until
+// there are no more than maxFiles files totalling no more than maxBytes. A
+// limit of 0 disables that check.
+//
+// Only regular files are considered. The temporary files that
+// spoolBadLines() renames into place are left alone, as is anything else
+// (e.g. a directory an operator has created).
+//
+
+var fs = require('fs');
+var path = require('path');
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+//
+// Returns which retention limit ('age', 'files' or 'bytes') the bad
+// instruction `file` (with `mtime` and `size`) is pruned for under `limits`
+// (see pruneBadInstructions()), or null if it is to be kept. `stats` has the
+// number of files and bytes that would remain if we stopped pruning here, i.e.
+// this file and all of those newer than it.
+//
+function pruneReason(limits, file, now, stats) {
+    if (limits.maxAge > 0 && now - file.mtime > limits.maxAge) {
+        return 'age';
+    }
+
+    if (limits.maxFiles > 0 && stats.files > limits.maxFiles) {
+        return 'files';
+    }
+
+    if (limits.maxBytes > 0 && stats.bytes > limits.maxBytes) {
+        return 'bytes';
+    }
+
+    return null;
+}
+
+//
+// Prune the files in `opts.dir` to the limits `opts.maxAge`, `opts.maxBytes`
+// and `opts.maxFiles`. Calls callback(err, stats) when complete, where `stats`
+// has:
+//
+//  bytes       - the total size of the files that remain
+//  files       - the number of files that remain
+//  prunedBytes - the total size of the files removed
+//  prunedFiles - the number of files removed
+//  reasons     - the number of files removed for each limit (see
+//                pruneReason())
+//
+// Anything removed before an error is included in prunedBytes and
+// prunedFiles. A missing directory is not an error, since nothing has been
+// written to it yet.
+//
+function pruneBadInstructions(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.string(opts.dir, 'opts.dir');
+    assert.optionalFunc(opts.lstat, 'opts.lstat');
+    assert.number(opts.maxAge, 'opts.maxAge');
+    assert.number(opts.maxBytes, 'opts.maxBytes');
+    assert.number(opts.maxFiles, 'opts.maxFiles');
+    assert.optionalFunc(opts.readdir, 'opts.readdir');
+    assert.optionalFunc(opts.unlink, 'opts.unlink');
+    assert.func(callback, 'callback');
+
+    var dir = opts.dir;
+    var lstat = opts.lstat || fs.lstat;
+    var now = Date.now();
+    var readdir = opts.readdir || fs.readdir;
+    var stats = {
+        bytes: 0,
+        files: 0,
+        prunedBytes: 0,
+        prunedFiles: 0,
+        reasons: {}
+    };
+    var unlink = opts.unlink || fs.unlink;
+
+    vasync.pipeline(
+        {
+            arg: {},
+            funcs: [
+                function _readDir(ctx, cb) {
+                    readdir(dir, function _onReaddir(err, entries) {
+                        ctx.entries = (entries || []).filter(function _notTmp(
+                            entry
+                        ) {
+                            return !/\.tmp$/.test(entry);
+                        });
+                        cb(err);
+                    });
+                },
+                function _statFiles(ctx, cb) {
+                    ctx.files = [];
+
+                    vasync.forEachPipeline(
+                        {
+                            func: function _stat(entry, next) {
+                                var filename = path.join(dir, entry);
+
+                                lstat(filename, function _onStat(err, st) {
+                                    if (err) {
+                                        next(
+                                            err.code === 'ENOENT' ? null : err
+                                        );
+                                        return;
+                                    }
+                                    if (st.isFile()) {
+                                        ctx.files.push({
+                                            filename: filename,
+                                            mtime: st.mtime.getTime(),
+                                            size: st.size
+                                        });
+                                        stats.bytes += st.size;
+                                        stats.files++;
+                                    }
+                                    next();
+                                });
+                            },
+                            inputs: ctx.entries
+                        },
+                        cb
+                    );
+                },
+                function _pruneFiles(ctx, cb) {
+                    ctx.files.sort(function _oldestFirst(a, b) {
+                        return (
+                            a.mtime - b.mtime ||
+                            (a.filename < b.filename ? -1 : 1)
+                        );
+                    });
+
+                    vasync.forEachPipeline(
+                        {
+                            func: function _maybePrune(file, next) {
+                                var reason = pruneReason(
+                                    opts,
+                                    file,
+                                    now,
+                                    stats
+                                );
+
+                                if (reason === null) {
+                                    next();
+                                    return;
+                                }
+
+                                unlink(file.filename, function _onUnlink(err) {
+                                    if (err && err.code !== 'ENOENT') {
+                                        next(err);
+                                        return;
+                                    }
+                                    stats.bytes -= file.size;
+                                    stats.files--;
+                                    stats.prunedBytes += file.size;
+                                    stats.prunedFiles++;
+                                    stats.reasons[reason] =
+                                        (stats.reasons[reason] || 0) + 1;
+                                    next();
+                                });
+                            },
+                            inputs: ctx.files
+                        },
+                        cb
+                    );
+                }
+            ]
+        },
+        function _onPruned(err) {
+            if (err && err.code === 'ENOENT' && err.path === dir) {
+                err = null;
+            }
+            callback(err || null, stats);
+        }
+    );
+}
+
+module.exports = {
+    pruneBadInstructions: pruneBadInstructions,
+    pruneReason: pruneReason
+};
@@ -0,0 +1,290 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+//
+// A checkpoint records which lines of an instruction file have been completed
+// so that if the garbage-deleter dies part way through the file, the lines
+// that are already done can be skipped when the file is processed again
+// (rather than trying to delete objects that are already gone).
+//
+// The checkpoint for the instruction file <dir>/<name> is the hidden file
+// <dir>/.<name>.checkpoint. The first line is a JSON header identifying the
+// instruction file:
+//
+//  ino    - the inode number of the instruction file
+//  lines  - the number of instruction lines in the file
+//
+// and each following line is the (0-based) index of a completed line. If the
+// header doesn't match the instruction file (e.g. the file was replaced) the
+// checkpoint is discarded and the file is processed from the beginning.
+//
+// Indexes are appended (with O_APPEND) as each line completes without waiting
+// for the write, so this adds very little to each delete. The writes are not
+// fsync()ed, so while they survive the process dying, the last few may be
+// lost if the whole system crashes. Those lines are then just processed again.
+//
+
+var fs = require('fs');
+var path = require('path');
+
+var assert = require('assert-plus');
+
+var CHECKPOINT_SUFFIX = '.checkpoint';
+
+//
+// Returns the path of the checkpoint file for the instruction file `filename`.
+//
+function checkpointFilename(filename) {
+    return path.join(
+        path.dirname(filename),
+        '.' + path.basename(filename) + CHECKPOINT_SUFFIX
+    );
+}
+
+function Checkpoint(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.string(opts.filename, 'opts.filename');
+    assert.number(opts.lines, 'opts.lines');
+    assert.object(opts.log, 'opts.log');
+
+    self.checkpointFile = checkpointFilename(opts.filename);
+    self.failed = false;
+    self.fd = null;
+    self.filename = opts.filename;
+    self.lines = opts.lines;
+    self.log = opts.log;
+    self.pendingWrites = 0;
+    self.writesDone = [];
+}
+
+//
+// Read any existing checkpoint for the instruction file and open the
+// checkpoint for appending. Calls callback(err, done) where `done` is an array
+// of the indexes of the lines which were already completed.
+//
+Checkpoint.prototype.open = function open(callback) {
+    var self = this;
+
+    assert.func(callback, 'callback');
+
+    fs.stat(self.filename, function _onStat(statErr, stats) {
+        var header;
+
+        if (statErr) {
+            callback(statErr);
+            return;
+        }
+
+        header = JSON.stringify({ino: stats.ino, lines: self.lines});
+
+        fs.readFile(self.checkpointFile, 'utf8', function _onRead(
+            readErr,
+            data
+        ) {
+            var done = [];
+            var lines;
+
+            if (readErr && readErr.code !== 'ENOENT') {
+                callback(readErr);
+                return;
+            }
+
+            if (data) {
+                lines = data.split('\n');
+                if (lines[0] === header) {
+                    // The last element is either empty or a partial line.
+                    done = self._parseDone(lines.slice(1, -1));
+                } else {
+                    self.log.warn(
+                        {
+                            checkpointFile: self.checkpointFile,
+                            expected: header,
+                            header: lines[0]
+                        },
+                        'Checkpoint does not match instruction file, ' +
+                            'discarding.'
+                    );
+                    data = null;
+                }
+            }
+
+            // If there's no (valid) checkpoint, we start a new one.
+            fs.open(self.checkpointFile, data ? 'a' : 'w', function _onOpen(
+                openErr,
+                fd
+            ) {
+                if (openErr) {
+                    callback(openErr);
+                    return;
+                }
+
+                self.fd = fd;
+
+                if (!data) {
+                    fs.write(fd, header + '\n', function _onWriteHeader(
+                        writeErr
+                    ) {
+                        callback(writeErr, done);
+                    });
+                    return;
+                }
+
+                // Drop any partial last line so that we append after the
+                // complete ones.
+                fs.ftruncate(
+                    fd,
+                    Buffer.byteLength(
+                        data.slice(0, data.lastIndexOf('\n') + 1)
+                    ),
+                    function _onTruncate(truncateErr) {
+                        callback(truncateErr, done);
+                    }
+                );
+            });
+        });
+    });
+};
+
+//
+// Returns the sorted, unique, valid line indexes from the checkpoint `lines`.
+//
+Checkpoint.prototype._parseDone = function _parseDone(lines) {
+    var self = this;
+
+    var seen = {};
+
+    return lines
+        .filter(function _isValid(line) {
+            var idx;
+
+            if (!/^[0-9]+$/.test(line)) {
+                return false;
+            }
+
+            idx = Number(line);
+            if (idx >= self.lines || seen[idx]) {
+                return false;
+            }
+            seen[idx] = true;
+
+            return true;
+        })
+        .map(Number)
+        .sort(function _numeric(a, b) {
+            return a - b;
+        });
+};
+
+//
+// Record that the line at index `idx` has been completed. This does not wait
+// for the write. If writing fails, the error is logged and nothing more will
+// be written, so at worst the file is processed again from the beginning.
+//
+Checkpoint.prototype.markDone = function markDone(idx) {
+    var self = this;
+
+    assert.number(idx, 'idx');
+
+    if (self.fd === null || self.failed) {
+        return;
+    }
+
+    self.pendingWrites++;
+    fs.write(self.fd, idx + '\n', function _onWrite(err) {
+        self.pendingWrites--;
+
+        if (err && !self.failed) {
+            self.failed = true;
+            self.log.warn(
+                {
+                    checkpointFile: self.checkpointFile,
+                    err: err
+                },
+                'Failed to write checkpoint, no longer checkpointing file.'
+            );
+        }
+
+        if (self.pendingWrites === 0) {
+            self.writesDone.splice(0).forEach(function _notify(waiter) {
+                waiter();
+            });
+        }
+    });
+};
+
+//
+// Wait for any outstanding writes then close the checkpoint, leaving it in
+// place so that the file will be resumed from here.
+//
+Checkpoint.prototype.close = function close(callback) {
+    var self = this;
+
+    assert.func(callback, 'callback');
+
+    var fd = self.fd;
+
+    if (fd === null) {
+        setImmediate(callback);
+        return;
+    }
+
+    if (self.pendingWrites > 0) {
+        self.writesDone.push(self.close.bind(self, callback));
+        return;
+    }
+
+    self.fd = null;
+    fs.close(fd, function _onClose(err) {
+        if (err) {
+            self.log.warn(
+                {
+                    checkpointFile: self.checkpointFile,
+                    err: err
+                },
+                'Failed to close checkpoint.'
+            );
+        }
+        callback();
+    });
+};
+
+//
+// Close and remove the checkpoint once the instruction file is finished with.
+// Failure to remove is logged but otherwise ignored, since a checkpoint left
+// behind will be cleaned up or discarded later.
+//
+Checkpoint.prototype.remove = function remove(callback) {
+    var self = this;
+
+    assert.func(callback, 'callback');
+
+    self.close(function _onClosed() {
+        fs.unlink(self.checkpointFile, function _onUnlink(err) {
+            if (err && err.code !== 'ENOENT') {
+                self.log.warn(
+                    {
+                        checkpointFile: self.checkpointFile,
+                        err: err
+                    },
+                    'Failed to remove checkpoint.'
+                );
+            }
+            callback();
+        });
+    });
+};
+
+module.exports = {
+    Checkpoint: Checkpoint,
+    CHECKPOINT_SUFFIX: CHECKPOINT_SUFFIX,
+    checkpointFilename: checkpointFilename
+};
@@ -6,8 +6,12 @@
 
 /*
  * Copyright 2020 Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
+var fs = require('fs');
+var path = require('path');
+
 var NS_PER_SEC = 1e9;
 
 //
@@ -24,6 +28,42 @@ function elapsedSince(beginning) {
     return elapsed;
 }
 
+//
+// Create the directory `dir` along with any missing parent directories (like
+// `mkdir -p`) then call callback(err). It is not an error for any of the
+// directories to exist already.
+//
+function mkdirp(dir, callback) {
+    fs.mkdir(dir, function _onMkdir(err) {
+        if (!err || err.code === 'EEXIST') {
+            callback();
+            return;
+        }
+
+        if (err.code !== 'ENOENT' || path.dirname(dir) === dir) {
+            callback(err);
+            return;
+        }
+
+        // Parent is missing, create that first then try again.
+        mkdirp(path.dirname(dir), function _onMkdirParent(parentErr) {
+            if (parentErr) {
+                callback(parentErr);
+                return;
+            }
+
+            fs.mkdir(dir, function _onMkdirAgain(e) {
+                if (e && e.code !== 'EEXIST') {
+                    callback(e);
+                    return;
+                }
+                callback();
+            });
+        });
+    });
+}
+
 module.exports = {
-    elapsedSince: elapsedSince
+    elapsedSince: elapsedSince,
+    mkdirp: mkdirp
 };
@@ -0,0 +1,145 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+//
+// The lines of an instruction file for objects that were modified too
+// recently to delete are spooled to a file of the same name in the
+// garbage-deleter's deferred_instructions directory. Once that file was last
+// written at least minAge ms ago, requeueDeferred() moves it back into the
+// instruction directory so that its lines are processed again.
+//
+// We link then unlink rather than rename (as `garbage-deleter-adm requeue`
+// does) so that we never replace an existing instruction file: when the
+// deleter stopped part way through a file, its remaining lines were written
+// back under the same name its deferred lines were spooled to. In that case
+// we add a counter before the .instruction suffix until we find a free name.
+//
+
+var fs = require('fs');
+var path = require('path');
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+//
+// Move `deferredFile` into `opts.instructionDir`, calling callback(err,
+// target) with the name it ended up under.
+//
+function requeueFile(opts, deferredFile, callback) {
+    var file = path.basename(deferredFile);
+    var suffix = /\.instruction$/.test(file) ? '.instruction' : '';
+    var base = file.slice(0, file.length - suffix.length);
+
+    function _tryLink(n) {
+        var target = path.join(
+            opts.instructionDir,
+            n === 0 ? file : base + '.' + n + suffix
+        );
+
+        opts.link(deferredFile, target, function _onLink(linkErr) {
+            if (linkErr && linkErr.code === 'EEXIST') {
+                _tryLink(n + 1);
+                return;
+            }
+            if (linkErr) {
+                callback(linkErr);
+                return;
+            }
+
+            opts.unlink(deferredFile, function _onUnlink(unlinkErr) {
+                callback(unlinkErr, target);
+            });
+        });
+    }
+
+    _tryLink(0);
+}
+
+//
+// Move any files in `opts.deferredDir` that were last written at least
+// `opts.minAge` ms ago into `opts.instructionDir`. Calls callback(err,
+// requeued) when done, where `requeued` has the names the files were given in
+// the instruction directory (including those moved before any error). A
+// missing deferred directory is not an error, since nothing has been deferred
+// yet.
+//
+function requeueDeferred(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.string(opts.deferredDir, 'opts.deferredDir');
+    assert.string(opts.instructionDir, 'opts.instructionDir');
+    assert.optionalFunc(opts.link, 'opts.link');
+    assert.number(opts.minAge, 'opts.minAge');
+    assert.optionalFunc(opts.readdir, 'opts.readdir');
+    assert.optionalFunc(opts.stat, 'opts.stat');
+    assert.optionalFunc(opts.unlink, 'opts.unlink');
+    assert.func(callback, 'callback');
+
+    var fsOpts = {
+        instructionDir: opts.instructionDir,
+        link: opts.link || fs.link,
+        unlink: opts.unlink || fs.unlink
+    };
+    var now = Date.now();
+    var readdir = opts.readdir || fs.readdir;
+    var requeued = [];
+    var stat = opts.stat || fs.stat;
+
+    readdir(opts.deferredDir, function _onReaddir(readErr, files) {
+        if (readErr) {
+            callback(readErr.code === 'ENOENT' ? null : readErr, requeued);
+            return;
+        }
+
+        vasync.forEachPipeline(
+            {
+                func: function _maybeRequeue(file, next) {
+                    var deferredFile = path.join(opts.deferredDir, file);
+
+                    // spoolBadLines() renames its temporary files into place,
+                    // so we leave those alone.
+                    if (/\.tmp$/.test(file)) {
+                        next();
+                        return;
+                    }
+
+                    stat(deferredFile, function _onStat(statErr, stats) {
+                        if (statErr) {
+                            next(statErr.code === 'ENOENT' ? null : statErr);
+                            return;
+                        }
+
+                        if (now - stats.mtime.getTime() < opts.minAge) {
+                            next();
+                            return;
+                        }
+
+                        requeueFile(fsOpts, deferredFile, function _onRequeue(
+                            requeueErr,
+                            target
+                        ) {
+                            if (!requeueErr) {
+                                requeued.push(path.basename(target));
+                            }
+                            next(requeueErr);
+                        });
+                    });
+                },
+                inputs: files
+            },
+            function _requeued(err) {
+                callback(err || null, requeued);
+            }
+        );
+    });
+}
+
+module.exports = {
+    requeueDeferred: requeueDeferred
+};
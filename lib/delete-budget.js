@@ -0,0 +1,77 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+//
+// A DeleteBudget caps the number of deletes in flight at once, no matter how
+// many instruction files they come from. Callers use acquire(callback) before
+// starting a delete and are called back (in the order they called acquire())
+// once there's room under the limit, then call release() when the delete is
+// complete.
+//
+// The limit can be changed with setLimit(). Lowering it doesn't affect the
+// deletes already in flight, later deletes just wait until enough of those
+// have been released.
+//
+
+var assert = require('assert-plus');
+
+function DeleteBudget(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.number(opts.limit, 'opts.limit');
+    assert.ok(opts.limit >= 1, 'opts.limit must be >= 1');
+
+    self.inFlight = 0;
+    self.limit = Math.floor(opts.limit);
+    self.waiters = [];
+}
+
+DeleteBudget.prototype._drain = function _drain() {
+    var self = this;
+
+    var waiter;
+
+    while (self.waiters.length > 0 && self.inFlight < self.limit) {
+        self.inFlight++;
+        waiter = self.waiters.shift();
+        setImmediate(waiter);
+    }
+};
+
+DeleteBudget.prototype.acquire = function acquire(callback) {
+    var self = this;
+
+    assert.func(callback, 'callback');
+
+    self.waiters.push(callback);
+    self._drain();
+};
+
+DeleteBudget.prototype.release = function release() {
+    var self = this;
+
+    assert.ok(self.inFlight > 0, 'release() without acquire()');
+
+    self.inFlight--;
+    self._drain();
+};
+
+DeleteBudget.prototype.setLimit = function setLimit(limit) {
+    var self = this;
+
+    assert.number(limit, 'limit');
+    assert.ok(limit >= 1, 'limit must be >= 1');
+
+    self.limit = Math.floor(limit);
+    self._drain();
+};
+
+module.exports = DeleteBudget;
@@ -0,0 +1,159 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+//
+// When pruneEmptyDirs is set, the garbage-deleter removes the directories that
+// deleting an instruction file's objects left empty. As each object is
+// deleted, addPrunableDirs() records the directories containing it along with
+// their inode numbers when the path was checked, then once the file is done
+// pruneDirs() removes those which are now empty.
+//
+// nginx (with create_full_put_path) may be recreating one of these
+// directories for a new object at the same time. rmdir(2) only removes an
+// empty directory, so an object that's already there is never at risk. To
+// avoid removing a directory nginx has just recreated, before the object is
+// renamed into it, we only remove a directory if it has the same inode as
+// when we checked the path before deleting the object.
+//
+
+var fs = require('fs');
+var path = require('path');
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var pathGuard = require('./path-guard');
+
+//
+// Add the directories containing the object deleted for `result` (from
+// processInstruction()), up to but never including the account root (see
+// pathGuard.prunableDirs()), to `dirs`, which maps each directory to prune to
+// its inode number when it was checked. This grows with the number of distinct
+// directories rather than the number of objects deleted.
+//
+function addPrunableDirs(mantaRoot, dirs, result) {
+    assert.string(mantaRoot, 'mantaRoot');
+    assert.object(dirs, 'dirs');
+    assert.object(result, 'result');
+
+    var dirInodes = result.dirInodes || {};
+
+    pathGuard
+        .prunableDirs(mantaRoot, result.deleteFile)
+        .forEach(function _addDir(dir) {
+            // If the path didn't exist when it was checked, we have no
+            // inode for the directory, so we leave it alone.
+            if (dirInodes.hasOwnProperty(dir) && !dirs.hasOwnProperty(dir)) {
+                dirs[dir] = dirInodes[dir];
+            }
+        });
+}
+
+//
+// Remove any of `opts.dirs` (see addPrunableDirs()) which are empty and still
+// have the same inode, deepest first. Calls callback(pruned) with the number
+// of directories removed. Failures are logged but otherwise ignored, since the
+// worst case is an empty directory being left behind.
+//
+function pruneDirs(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.dirs, 'opts.dirs');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalFunc(opts.lstat, 'opts.lstat');
+    assert.optionalFunc(opts.rmdir, 'opts.rmdir');
+    assert.func(callback, 'callback');
+
+    var dirs = opts.dirs;
+    var kept = {};
+    var log = opts.log;
+    var lstat = opts.lstat || fs.lstat;
+    var pruned = 0;
+    var rmdir = opts.rmdir || fs.rmdir;
+
+    // When we can't remove a directory, its parent can't be empty either.
+    function _keep(dir) {
+        kept[path.dirname(dir)] = true;
+    }
+
+    vasync.forEachPipeline(
+        {
+            func: function _pruneDir(dir, cb) {
+                if (kept[dir]) {
+                    _keep(dir);
+                    cb();
+                    return;
+                }
+
+                lstat(dir, function _onStat(statErr, stats) {
+                    if (statErr && statErr.code === 'ENOENT') {
+                        cb();
+                        return;
+                    }
+
+                    if (statErr) {
+                        log.warn(
+                            {dir: dir, err: statErr},
+                            'Failed to stat directory to prune.'
+                        );
+                    }
+
+                    if (
+                        statErr ||
+                        !stats.isDirectory() ||
+                        stats.ino !== dirs[dir]
+                    ) {
+                        _keep(dir);
+                        cb();
+                        return;
+                    }
+
+                    rmdir(dir, function _onRmdir(rmErr) {
+                        if (!rmErr) {
+                            pruned++;
+                            cb();
+                            return;
+                        }
+
+                        // If it's not empty (any more), that's expected.
+                        if (
+                            rmErr.code !== 'EEXIST' &&
+                            rmErr.code !== 'ENOENT' &&
+                            rmErr.code !== 'ENOTEMPTY'
+                        ) {
+                            log.warn(
+                                {dir: dir, err: rmErr},
+                                'Failed to remove empty directory.'
+                            );
+                        }
+                        if (rmErr.code !== 'ENOENT') {
+                            _keep(dir);
+                        }
+                        cb();
+                    });
+                });
+            },
+            // Deepest first, so that children are removed before parents.
+            inputs: Object.keys(dirs).sort(function _deepestFirst(a, b) {
+                return (
+                    b.split(path.sep).length - a.split(path.sep).length ||
+                    (a < b ? -1 : 1)
+                );
+            })
+        },
+        function _onPruned() {
+            callback(pruned);
+        }
+    );
+}
+
+module.exports = {
+    addPrunableDirs: addPrunableDirs,
+    pruneDirs: pruneDirs
+};
@@ -0,0 +1,190 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+//
+// This adds the admin routes for the garbage-deleter to a restify server (the
+// metrics server from triton-metrics in the case of the garbage-deleter
+// program). The routes are:
+//
+//  GET /status  - returns the current status of the deleter (see
+//                 GarbageDeleter.getStatus())
+//  POST /pause  - stop processing new instruction files until resumed
+//  POST /resume - resume processing instruction files
+//  POST /run    - trigger a run of the deleter as soon as possible
+//
+// The POST routes all return the status after the change has been made.
+//
+// When there are several (named) deleters in the process, passed as
+// opts.deleters rather than opts.deleter, each route applies to all of them
+// unless a single one is picked with a 'deleter=NAME' query parameter, and
+// the status returned is an object with a 'deleters' property mapping each of
+// those names to that deleter's status.
+//
+
+var querystring = require('querystring');
+
+var assert = require('assert-plus');
+var restify = require('restify');
+var vasync = require('vasync');
+
+function addAdminRoutes(opts) {
+    assert.object(opts, 'opts');
+    assert.optionalObject(opts.deleter, 'opts.deleter');
+    assert.optionalArrayOfObject(opts.deleters, 'opts.deleters');
+    assert.ok(
+        Boolean(opts.deleter) !== Boolean(opts.deleters),
+        'exactly one of opts.deleter and opts.deleters is required'
+    );
+    assert.object(opts.log, 'opts.log');
+    assert.object(opts.server, 'opts.server');
+
+    var deleters = opts.deleters || [opts.deleter];
+    var log = opts.log;
+    var server = opts.server;
+
+    if (opts.deleters) {
+        opts.deleters.forEach(function _checkName(deleter) {
+            assert.string(deleter.name, 'deleter.name');
+        });
+    }
+
+    //
+    // Returns the deleters the request `req` applies to, or null (after
+    // calling next() with an error) if it names a deleter we don't have.
+    //
+    function _selected(req, next) {
+        var name;
+        var selected;
+
+        if (!opts.deleters) {
+            return deleters;
+        }
+
+        name = querystring.parse(req.getQuery()).deleter;
+        if (name === undefined) {
+            return deleters;
+        }
+
+        selected = deleters.filter(function _isNamed(deleter) {
+            return deleter.name === name;
+        });
+        if (selected.length === 0) {
+            next(new restify.NotFoundError('No deleter named "' + name + '"'));
+            return null;
+        }
+
+        return selected;
+    }
+
+    function _sendStatus(selected, res, next) {
+        vasync.forEachParallel(
+            {
+                func: function _getStatus(deleter, cb) {
+                    deleter.getStatus(cb);
+                },
+                inputs: selected
+            },
+            function _gotStatuses(err, results) {
+                var statuses = {};
+
+                if (err) {
+                    log.error({err: err}, 'Failed to get deleter status.');
+                    next(
+                        new restify.InternalError(err, 'Failed to get status')
+                    );
+                    return;
+                }
+
+                if (!opts.deleters) {
+                    res.send(200, results.operations[0].result);
+                    next();
+                    return;
+                }
+
+                results.operations.forEach(function _addStatus(op, idx) {
+                    statuses[selected[idx].name] = op.result;
+                });
+                res.send(200, {deleters: statuses});
+                next();
+            }
+        );
+    }
+
+    server.get('/status', function _getStatus(req, res, next) {
+        var selected = _selected(req, next);
+
+        if (selected) {
+            _sendStatus(selected, res, next);
+        }
+    });
+
+    server.post('/pause', function _postPause(req, res, next) {
+        var selected = _selected(req, next);
+
+        if (!selected) {
+            return;
+        }
+
+        log.info({remoteAddress: req.connection.remoteAddress}, 'Admin pause.');
+        selected.forEach(function _pause(deleter) {
+            deleter.pause();
+        });
+        _sendStatus(selected, res, next);
+    });
+
+    server.post('/resume', function _postResume(req, res, next) {
+        var selected = _selected(req, next);
+
+        if (!selected) {
+            return;
+        }
+
+        log.info(
+            {remoteAddress: req.connection.remoteAddress},
+            'Admin resume.'
+        );
+        selected.forEach(function _resume(deleter) {
+            deleter.resume();
+        });
+        _sendStatus(selected, res, next);
+    });
+
+    server.post('/run', function _postRun(req, res, next) {
+        var selected = _selected(req, next);
+
+        if (!selected) {
+            return;
+        }
+
+        log.info({remoteAddress: req.connection.remoteAddress}, 'Admin run.');
+
+        if (
+            selected.some(function _isPaused(deleter) {
+                return deleter.paused;
+            })
+        ) {
+            next(
+                new restify.ConflictError(
+                    'Deleter is paused, POST /resume to resume'
+                )
+            );
+            return;
+        }
+
+        selected.forEach(function _run(deleter) {
+            deleter.runAsap();
+        });
+        _sendStatus(selected, res, next);
+    });
+}
+
+module.exports = {
+    addAdminRoutes: addAdminRoutes
+};
@@ -6,6 +6,7 @@
 
 /*
  * Copyright 2020 Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 //
@@ -16,31 +17,81 @@
 
 var fs = require('fs');
 var path = require('path');
-var util = require('util');
 
 var assert = require('assert-plus');
 var vasync = require('vasync');
 var VError = require('verror').VError;
 
+var AuditJournal = require('./audit-journal').AuditJournal;
+var badInstructionRetention = require('./bad-instruction-retention');
+var checkpoint = require('./checkpoint');
 var common = require('./common');
+var deferredRequeue = require('./deferred-requeue');
+var DeleteBudget = require('./delete-budget');
+var dirPruner = require('./dir-pruner');
+var gcConfig = require('./gc-config');
+var lineReader = require('./line-reader');
+var LineSpool = require('./line-spool').LineSpool;
+var pathGuard = require('./path-guard');
+var RecentPaths = require('./recent-paths');
+var RollingMinMax = require('./rolling-min-max');
+var TokenBucket = require('./token-bucket');
 var elapsedSince = common.elapsedSince;
 
-var DEFAULT_CONCURRENT_DELETES = 10;
 var DEFAULT_MANTA_ROOT = '/manta';
 
+//
+// Each run processes up to DEFAULT_CONCURRENT_FILES (or opts.concurrentFiles)
+// instruction files at once, so that a backlog of small files keeps the disk
+// busy. However many files are in progress, no more than
+// DEFAULT_CONCURRENT_DELETES (or opts.concurrentDeletes) deletes are in flight
+// at once. See lib/delete-budget.js. When several deleters run in the same
+// process (for different instruction dirs), they can be passed the same
+// opts.deleteBudget so that the limit applies to all of them together.
+//
+var DEFAULT_CONCURRENT_DELETES = 10;
+var DEFAULT_CONCURRENT_FILES = 4;
+
+//
+// When deleting an object fails with one of the TRANSIENT_DELETE_ERRORS, we'll
+// retry up to DEFAULT_MAX_DELETE_RETRIES times, waiting
+// DEFAULT_DELETE_RETRY_DELAY ms before the first retry and doubling the delay
+// each time after that (up to MAX_DELETE_RETRY_DELAY ms). Only once we've run
+// out of retries is the error treated as permanent.
+//
+var DEFAULT_DELETE_RETRY_DELAY = 100;
+var DEFAULT_MAX_DELETE_RETRIES = 5;
+var MAX_DELETE_RETRY_DELAY = 5000;
+var TRANSIENT_DELETE_ERRORS = [
+    'EAGAIN',
+    'EBUSY',
+    'EINTR',
+    'EIO',
+    'EMFILE',
+    'ENFILE'
+];
+
 //
 // These values specify limits on the number of lines and length of each of
-// those lines in order to protect us against memory exhaustion.
+// those lines. Since instruction files are streamed (see lib/line-reader.js),
+// only the line length affects how much memory we use for reading a file.
 //
 // The line length value was chosen through a "thumb in the air" approach as
 // something that we'd expect lines to always fit within.
 //
-// The maximum number of lines was chosen similarly but should always be >= the
-// size that is produced by the garbage consumer programs in the
-// garbage-collector zone.
+// The maximum number of lines should always be >= the size that is produced by
+// the garbage consumer programs in the garbage-collector zone. It's only a
+// sanity check, since processFile() doesn't keep the lines of a file in
+// memory: it reads the file twice (once to validate it and count the lines,
+// keeping nothing, and once to process them) and writes out the lines which
+// fail, are deferred or aren't run as they complete (see lib/line-spool.js).
+// What does grow with a file is the list of completed lines read from its
+// checkpoint when it's resumed (at most max_lines indexes), and the parent
+// directories cached for the symlink checks and pruning, which grow with the
+// number of distinct directories in the file rather than its lines.
 //
 var DEFAULT_MAX_LINE_LENGTH = 2048;
-var DEFAULT_MAX_LINES = 1000;
+var DEFAULT_MAX_LINES = 100000;
 
 //
 // DEFAULT_MAX_RUN_WAIT is the maximum time (in ms) between runs at which point
@@ -51,11 +102,214 @@ var DEFAULT_MAX_LINES = 1000;
 var DEFAULT_MAX_RUN_WAIT = 300000; // 5m
 var DEFAULT_MIN_RUN_FREQ = 1000;
 
+//
+// When stop() is called while a run is in progress, no new files or lines are
+// started, and we wait up to DEFAULT_DRAIN_TIMEOUT ms (or opts.drainTimeout)
+// for the deletes that are already in flight to finish. The lines that were
+// never started are then written back to the instruction file so that they
+// are picked up where we left off on the next start. This default leaves some
+// time within the 30s SMF stop timeout to flush the audit journal.
+//
+var DEFAULT_DRAIN_TIMEOUT = 25000;
+
+//
+// Each run processes the instruction files oldest first, so that a steady
+// stream of new files can't starve the older ones. With the default
+// instructionOrder of 'mtime', a file's age comes from its mtime. With
+// 'filename' it comes from the timestamp the consumers put at the start of
+// the filename (e.g. 20261019T184628Z-<uuid>-X-<uuid>-mako-<storageId>
+// .instruction), falling back to the mtime for any file without one. Files
+// of the same age are processed in filename order.
+//
+var DEFAULT_INSTRUCTION_ORDER = 'mtime';
+var FILENAME_TIME_RE = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z-/;
+var INSTRUCTION_ORDERS = ['filename', 'mtime'];
+var INSTRUCTION_STAT_CONCURRENCY = 10;
+
+//
+// When quarantine mode is enabled, objects are not unlinked but are instead
+// renamed into the quarantine directory keeping their path relative to
+// mantaRoot. This allows recovering from a bad batch of instructions. The
+// quarantine reaper runs every QUARANTINE_REAP_FREQ ms and purges any objects
+// that have been in quarantine for longer than the retention period (default:
+// DEFAULT_QUARANTINE_RETENTION ms).
+//
+// The quarantine dir (default: <mantaRoot>/manta_gc/quarantine) must be on
+// the same filesystem as the objects for the rename to work. mako_rollup skips
+// <mantaRoot>/manta_gc when it walks the objects, so quarantined objects
+// aren't counted as usage for an account.
+//
+var DEFAULT_QUARANTINE_RETENTION = 86400000; // 24h
+var QUARANTINE_REAP_FREQ = 600000; // 10m
+
+//
+// Nothing else removes files from the bad_instructions directory, so every
+// BAD_INSTRUCTION_PRUNE_FREQ ms we prune it to the badInstructionMaxAge,
+// badInstructionMaxFiles and badInstructionMaxBytes limits (see
+// badInstructionRetention.pruneBadInstructions()). A limit of 0 disables that
+// check, and all of them are disabled by default so that nothing is removed
+// unless an operator chooses to. Either way, the bad_instructions metrics are
+// updated.
+//
+// The mismatched_instructions and misdirected_instructions directories are
+// deliberately not pruned: their lines most likely point to a bug in the
+// garbage collector, so they're kept until someone has looked at them. Nor is
+// deferred_instructions, since its files are moved back into the instruction
+// directory by requeueDeferred() and pruning them would leave garbage behind.
+//
+var BAD_INSTRUCTION_PRUNE_FREQ = 600000; // 10m
+var DEFAULT_BAD_INSTRUCTION_MAX_AGE = 0; // disabled
+var DEFAULT_BAD_INSTRUCTION_MAX_BYTES = 0; // disabled
+var DEFAULT_BAD_INSTRUCTION_MAX_FILES = 0; // disabled
+
+//
+// Storage IDs are hostnames (e.g. 1.stor.coal.joyent.us). The storageId of an
+// instruction line for another storage zone must match this before we'll use
+// it as a directory name (see parseInstruction()).
+//
+var STORAGE_ID_RE = /^[0-9A-Za-z][0-9A-Za-z.-]*$/;
+
+//
+// Deletes can optionally be rate limited by number of objects and/or number of
+// bytes (using the size from the instruction) per second, so that large waves
+// of garbage don't compete too much with other IO on the zpool. The limits are
+// shared by all files and runs, and each is unlimited (the default) when set
+// to 0.
+//
+var RATE_LIMITS = {
+    bytes: 'maxDeleteBytesPerSecond',
+    objects: 'maxDeleteObjectsPerSecond'
+};
+
+//
+// Buckets (in seconds) for the delete latency and instruction file processing
+// time histograms. A healthy zpool unlinks in well under 10ms, so the delete
+// buckets are concentrated there, with enough above to see how slow things
+// get when they do get slow.
+//
+var DELETE_LATENCY_BUCKETS = [
+    0.0005,
+    0.001,
+    0.0025,
+    0.005,
+    0.01,
+    0.025,
+    0.05,
+    0.1,
+    0.25,
+    0.5,
+    1,
+    2.5,
+    5,
+    10
+];
+var FILE_PROCESSING_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+//
+// The deleteTimeMaxSeconds and deleteTimeMinSeconds gauges hold the slowest
+// and fastest deletes seen in the last DEFAULT_DELETE_TIME_WINDOW ms (or
+// opts.deleteTimeWindow ms). See lib/rolling-min-max.js for details. With a
+// window of 0 they instead hold the slowest and fastest since we started.
+//
+var DEFAULT_DELETE_TIME_WINDOW = 60000; // 1m
+
+//
+// The garbage collector can emit the same object in more than one instruction
+// file (e.g. after a consumer restart). So that each of the later copies
+// doesn't cost another delete (and count as a missing object), we remember the
+// paths deleted in the last DEFAULT_DUPLICATE_WINDOW ms (or opts.duplicateWindow
+// ms, where 0 disables this), up to DEFAULT_DUPLICATE_MAX_PATHS of them, and
+// skip any instruction for one of those. Since every Manta object has a unique
+// path, an object can't be recreated at a path we've just deleted.
+//
+var DEFAULT_DUPLICATE_MAX_PATHS = 100000;
+var DEFAULT_DUPLICATE_WINDOW = 3600000; // 1h
+
+//
+// Metadata and storage can briefly disagree about an object that was just
+// written (e.g. during an MPU commit or a rebalancer move), so when
+// opts.minObjectAge is non-zero, we don't delete any object modified less than
+// that many ms ago. Those lines are deferred: they're written to a file of the
+// same name as the instruction file in the deferred_instructions directory
+// (next to bad_instructions), and at the start of each run, any deferred
+// file last written at least minObjectAge ms ago is moved back into the
+// instruction directory to be processed again (see requeueDeferred()).
+//
+var DEFAULT_MIN_OBJECT_AGE = 0; // disabled
+
+//
+// Bytes and objects reclaimed are always counted per shard. When
+// opts.reclaimedByAccount is set, they're also counted per account and every
+// DEFAULT_RECLAIMED_ROLLUP_FREQ ms (or opts.reclaimedRollupFreq) the per
+// account totals are written to DEFAULT_RECLAIMED_ROLLUP_FILE (or
+// opts.reclaimedRollupFile) in the same Prometheus text format that
+// mako_rollup produces.
+//
+var DEFAULT_RECLAIMED_ROLLUP_FILE = '/var/tmp/mako_rollup/gc_reclaimed.out';
+var DEFAULT_RECLAIMED_ROLLUP_FREQ = 300000; // 5m
+
+//
+// The options which can be changed on a running GarbageDeleter with
+// reconfigure() (which applyConfig() uses when it sees a change to the
+// corresponding config tunable). Each of them is read when it's next needed,
+// so e.g. a new concurrentFiles applies from the next run.
+//
+var RECONFIGURABLE_OPTIONS = {
+    badInstructionMaxAge: 'number',
+    badInstructionMaxBytes: 'number',
+    badInstructionMaxFiles: 'number',
+    concurrentDeletes: 'number',
+    concurrentFiles: 'number',
+    deleteRetryDelay: 'number',
+    drainTimeout: 'number',
+    instructionOrder: 'string',
+    maxDeleteBytesPerSecond: 'number',
+    maxDeleteObjectsPerSecond: 'number',
+    maxDeleteRetries: 'number',
+    maxLineLength: 'number',
+    maxLines: 'number',
+    maxRunWait: 'number',
+    minObjectAge: 'number',
+    minRunFreq: 'number',
+    pruneEmptyDirs: 'bool',
+    storageIdAliases: 'arrayOfString',
+    verifySize: 'bool'
+};
+
 var METRIC_PREFIX = 'gc_storage_';
 var QUEUE_CHECK_FREQ = 60000; // ms between checks for number of files in queue
 
 // Helpers
 
+function assertInstructionOrder(order) {
+    assert.string(order, 'opts.instructionOrder');
+    assert.ok(
+        INSTRUCTION_ORDERS.indexOf(order) !== -1,
+        'opts.instructionOrder must be one of: ' + INSTRUCTION_ORDERS.join(', ')
+    );
+}
+
+//
+// Returns the time (in ms since the epoch) from the timestamp at the start of
+// the instruction filename `filename`, or null if it doesn't start with one.
+//
+function filenameTime(filename) {
+    var match = FILENAME_TIME_RE.exec(filename);
+
+    if (!match) {
+        return null;
+    }
+
+    return Date.UTC(
+        Number(match[1]),
+        Number(match[2]) - 1,
+        Number(match[3]),
+        Number(match[4]),
+        Number(match[5]),
+        Number(match[6])
+    );
+}
+
 //
 // This does basically the same thing as vasync.forEachParallel, but allows for
 // a 'concurrency' parameter to limit how many are being done at once.
@@ -133,55 +387,302 @@ function GarbageDeleter(opts) {
 
     assert.object(opts, 'opts');
     assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.auditJournalDir, 'opts.auditJournalDir');
+    assert.optionalNumber(
+        opts.auditJournalMaxFileSize,
+        'opts.auditJournalMaxFileSize'
+    );
+    assert.optionalNumber(
+        opts.auditJournalMaxFiles,
+        'opts.auditJournalMaxFiles'
+    );
+    assert.optionalNumber(
+        opts.auditJournalMaxPending,
+        'opts.auditJournalMaxPending'
+    );
     assert.string(opts.badInstructionDir, 'opts.badInstructionDir');
+    assert.optionalNumber(
+        opts.badInstructionMaxAge,
+        'opts.badInstructionMaxAge'
+    );
+    assert.optionalNumber(
+        opts.badInstructionMaxBytes,
+        'opts.badInstructionMaxBytes'
+    );
+    assert.optionalNumber(
+        opts.badInstructionMaxFiles,
+        'opts.badInstructionMaxFiles'
+    );
     assert.optionalNumber(opts.concurrentDeletes, 'opts.concurrentDeletes');
+    assert.optionalNumber(opts.concurrentFiles, 'opts.concurrentFiles');
     assert.object(opts.config, 'opts.config');
     assert.string(opts.config.manta_storage_id, 'opts.config.manta_storage_id');
+    assert.optionalString(
+        opts.deferredInstructionDir,
+        'opts.deferredInstructionDir'
+    );
+    assert.optionalObject(opts.deleteBudget, 'opts.deleteBudget');
+    assert.optionalNumber(opts.deleteRetryDelay, 'opts.deleteRetryDelay');
+    assert.optionalNumber(opts.deleteTimeWindow, 'opts.deleteTimeWindow');
+    assert.optionalNumber(opts.drainTimeout, 'opts.drainTimeout');
+    assert.optionalBool(opts.dryRun, 'opts.dryRun');
+    assert.optionalNumber(opts.duplicateMaxPaths, 'opts.duplicateMaxPaths');
+    assert.optionalNumber(opts.duplicateWindow, 'opts.duplicateWindow');
     assert.optionalString(opts.instructionDir, 'opts.instructionDir');
+    if (opts.instructionOrder !== undefined) {
+        assertInstructionOrder(opts.instructionOrder);
+    }
     assert.optionalString(opts.mantaRoot, 'opts.mantaRoot');
+    assert.optionalNumber(
+        opts.maxDeleteBytesPerSecond,
+        'opts.maxDeleteBytesPerSecond'
+    );
+    assert.optionalNumber(
+        opts.maxDeleteObjectsPerSecond,
+        'opts.maxDeleteObjectsPerSecond'
+    );
+    assert.optionalNumber(opts.maxDeleteRetries, 'opts.maxDeleteRetries');
     assert.optionalNumber(opts.maxLineLength, 'opts.maxLineLength');
     assert.optionalNumber(opts.maxLines, 'opts.maxLines');
     assert.optionalNumber(opts.maxRunWait, 'opts.maxRunWait');
     assert.optionalObject(opts.metricsManager, 'opts.metricsManager');
+    assert.optionalNumber(opts.minObjectAge, 'opts.minObjectAge');
     assert.optionalNumber(opts.minRunFreq, 'opts.minRunFreq');
+    assert.optionalString(
+        opts.misdirectedInstructionDir,
+        'opts.misdirectedInstructionDir'
+    );
+    assert.optionalString(
+        opts.mismatchInstructionDir,
+        'opts.mismatchInstructionDir'
+    );
+    assert.optionalString(opts.name, 'opts.name');
+    assert.optionalBool(opts.pruneEmptyDirs, 'opts.pruneEmptyDirs');
+    assert.optionalBool(opts.quarantine, 'opts.quarantine');
+    assert.optionalBool(opts.reclaimedByAccount, 'opts.reclaimedByAccount');
+    assert.optionalString(opts.reclaimedRollupFile, 'opts.reclaimedRollupFile');
+    assert.optionalNumber(opts.reclaimedRollupFreq, 'opts.reclaimedRollupFreq');
+    assert.optionalString(opts.quarantineDir, 'opts.quarantineDir');
+    assert.optionalNumber(opts.quarantineRetention, 'opts.quarantineRetention');
+    assert.optionalArrayOfString(
+        opts.storageIdAliases,
+        'opts.storageIdAliases'
+    );
+    assert.optionalBool(opts.verifySize, 'opts.verifySize');
 
     // Options that exist only for testing.
-    assert.optionalFunc(opts._readdir, 'opts._readdir');
-    assert.optionalFunc(opts._readFile, 'opts._readFile');
+    assert.optionalFunc(opts._fsLink, 'opts._fsLink');
+    assert.optionalFunc(opts._fsLstat, 'opts._fsLstat');
     assert.optionalFunc(opts._fsReadFile, 'opts._fsReadFile');
     assert.optionalFunc(opts._fsRename, 'opts._fsRename');
+    assert.optionalFunc(opts._fsRmdir, 'opts._fsRmdir');
+    assert.optionalFunc(opts._fsStat, 'opts._fsStat');
     assert.optionalFunc(opts._fsUnlink, 'opts._fsUnlink');
+    assert.optionalFunc(opts._fsUtimes, 'opts._fsUtimes');
     assert.optionalFunc(opts._processFileHook, 'opts._processFileHook');
 
     self.log = opts.log;
 
     self.badInstructionDir = opts.badInstructionDir;
+    self.badInstructionMaxAge =
+        opts.badInstructionMaxAge !== undefined
+            ? opts.badInstructionMaxAge
+            : DEFAULT_BAD_INSTRUCTION_MAX_AGE;
+    self.badInstructionMaxBytes =
+        opts.badInstructionMaxBytes !== undefined
+            ? opts.badInstructionMaxBytes
+            : DEFAULT_BAD_INSTRUCTION_MAX_BYTES;
+    self.badInstructionMaxFiles =
+        opts.badInstructionMaxFiles !== undefined
+            ? opts.badInstructionMaxFiles
+            : DEFAULT_BAD_INSTRUCTION_MAX_FILES;
     self.concurrentDeletes =
         opts.concurrentDeletes || DEFAULT_CONCURRENT_DELETES;
+    self.concurrentFiles = opts.concurrentFiles || DEFAULT_CONCURRENT_FILES;
     self.config = opts.config;
+    self.deferredInstructionDir =
+        opts.deferredInstructionDir ||
+        path.join(
+            path.dirname(self.badInstructionDir),
+            'deferred_instructions'
+        );
+    self.deleteRetryDelay =
+        opts.deleteRetryDelay !== undefined
+            ? opts.deleteRetryDelay
+            : DEFAULT_DELETE_RETRY_DELAY;
+    self.deleteTimeWindow =
+        opts.deleteTimeWindow !== undefined
+            ? opts.deleteTimeWindow
+            : DEFAULT_DELETE_TIME_WINDOW;
+    self.drainTimeout = opts.drainTimeout || DEFAULT_DRAIN_TIMEOUT;
+    self.dryRun = Boolean(opts.dryRun);
+    self.duplicateWindow =
+        opts.duplicateWindow !== undefined
+            ? opts.duplicateWindow
+            : DEFAULT_DUPLICATE_WINDOW;
     self.instructionDir = opts.instructionDir;
+    self.instructionOrder = opts.instructionOrder || DEFAULT_INSTRUCTION_ORDER;
     self.mantaRoot = opts.mantaRoot || DEFAULT_MANTA_ROOT;
+    self.maxDeleteRetries =
+        opts.maxDeleteRetries !== undefined
+            ? opts.maxDeleteRetries
+            : DEFAULT_MAX_DELETE_RETRIES;
     self.maxLineLength = opts.maxLineLength || DEFAULT_MAX_LINE_LENGTH;
     self.maxLines = opts.maxLines || DEFAULT_MAX_LINES;
     self.maxRunWait = opts.maxRunWait || DEFAULT_MAX_RUN_WAIT;
     self.metricsManager = opts.metricsManager;
+    self.minObjectAge =
+        opts.minObjectAge !== undefined
+            ? opts.minObjectAge
+            : DEFAULT_MIN_OBJECT_AGE;
     self.minRunFreq = opts.minRunFreq || DEFAULT_MIN_RUN_FREQ;
+    self.mismatchInstructionDir =
+        opts.mismatchInstructionDir ||
+        path.join(
+            path.dirname(self.badInstructionDir),
+            'mismatched_instructions'
+        );
+    self.misdirectedInstructionDir =
+        opts.misdirectedInstructionDir ||
+        path.join(
+            path.dirname(self.badInstructionDir),
+            'misdirected_instructions'
+        );
+    // When set, the name is added as the 'deleter' label on all of our
+    // metrics, so that deleters sharing a metricsManager can be told apart.
+    self.name = opts.name || null;
+    self.pruneEmptyDirs = Boolean(opts.pruneEmptyDirs);
+    self.quarantine = Boolean(opts.quarantine);
+    self.quarantineDir =
+        opts.quarantineDir ||
+        path.join(self.mantaRoot, 'manta_gc', 'quarantine');
+    self.quarantineRetention =
+        opts.quarantineRetention !== undefined
+            ? opts.quarantineRetention
+            : DEFAULT_QUARANTINE_RETENTION;
+    self.reclaimedByAccount = Boolean(opts.reclaimedByAccount);
+    self.reclaimedRollupFile =
+        opts.reclaimedRollupFile || DEFAULT_RECLAIMED_ROLLUP_FILE;
+    self.reclaimedRollupFreq =
+        opts.reclaimedRollupFreq || DEFAULT_RECLAIMED_ROLLUP_FREQ;
     self.storageId = opts.config.manta_storage_id;
+    self.storageIdAliases = opts.storageIdAliases || [];
+    self.verifySize = Boolean(opts.verifySize);
+
+    //
+    // When opts.auditJournalDir is set, every object we attempt to delete
+    // (outside of dryRun mode) is recorded in the audit journal there. See
+    // lib/audit-journal.js for details. If the dir is under the manta root, it
+    // should be under manta_gc which mako_rollup skips.
+    //
+    self.auditJournal = null;
+    if (opts.auditJournalDir) {
+        self.auditJournal = new AuditJournal({
+            dir: opts.auditJournalDir,
+            log: self.log,
+            maxFileSize: opts.auditJournalMaxFileSize,
+            maxFiles: opts.auditJournalMaxFiles,
+            maxPending: opts.auditJournalMaxPending,
+            onDropped: function _onDropped(count) {
+                self.addCounter('auditJournalDroppedRecords', count);
+            }
+        });
+    }
+
+    // Per-account totals (when reclaimedByAccount is set), keyed by account
+    // uuid, each with 'bytes' and 'objects' properties.
+    self.accountsReclaimed = {};
 
+    // Incremented each time applyConfig() applies a change.
+    self.configGeneration = 1;
+
+    // The instruction files currently being processed, in the order they were
+    // started.
+    self.currentFiles = [];
+    self.deleteBudget =
+        opts.deleteBudget || new DeleteBudget({limit: self.concurrentDeletes});
     self.lastRun = 0;
+    self.lastRunCompleted = 0;
     self.nextRunTimer = null;
+    self.paused = false;
+    self.running = false;
     self.runningAsap = false;
+    self.runAgain = false;
+    self.runWaiters = [];
     self.stopping = false;
 
+    //
+    // When in dryRun mode, nothing is deleted or moved. Instead we just stat
+    // each object we would have deleted and count the results here.
+    //
+    self.dryRunResults = {
+        badFiles: 0,
+        deferred: 0,
+        errors: 0,
+        missing: 0,
+        sizeMismatch: 0,
+        wouldDelete: 0,
+        wouldDeleteBytes: 0
+    };
+
     // Metrics
     if (self.metricsManager) {
         self.metrics = {
+            auditJournalDroppedRecords: self.metricsManager.collector.counter({
+                name: METRIC_PREFIX + 'audit_journal_dropped_records_total',
+                help:
+                    'Counter incremented for each audit journal record ' +
+                    'dropped because too many were waiting to be written'
+            }),
+            badInstructionBytes: self.metricsManager.collector.gauge({
+                name: METRIC_PREFIX + 'bad_instructions_bytes',
+                help:
+                    'Gauge of total size of the files in the bad_instructions ' +
+                    'directory'
+            }),
+            badInstructionFiles: self.metricsManager.collector.gauge({
+                name: METRIC_PREFIX + 'bad_instructions_files_count',
+                help:
+                    'Gauge of number of files in the bad_instructions ' +
+                    'directory'
+            }),
+            badInstructionPrunedBytes: self.metricsManager.collector.counter({
+                name: METRIC_PREFIX + 'bad_instructions_pruned_bytes_total',
+                help:
+                    'Counter of bytes pruned from the bad_instructions ' +
+                    'directory by the retention limits'
+            }),
+            badInstructionPrunedFiles: self.metricsManager.collector.counter({
+                name: METRIC_PREFIX + 'bad_instructions_pruned_count_total',
+                help:
+                    'Counter of files pruned from the bad_instructions ' +
+                    'directory by the retention limits'
+            }),
+            configGeneration: self.metricsManager.collector.gauge({
+                name: METRIC_PREFIX + 'config_generation',
+                help:
+                    'Gauge of the generation of the running config, which ' +
+                    'starts at 1 and is incremented each time a reload ' +
+                    'changes it'
+            }),
+            configReloads: self.metricsManager.collector.counter({
+                name: METRIC_PREFIX + 'config_reload_count_total',
+                help:
+                    'Counter incremented every time the config is reloaded ' +
+                    '(on SIGHUP), by result'
+            }),
             deleteCountMissing: self.metricsManager.collector.counter({
                 name: METRIC_PREFIX + 'delete_missing_count_total',
                 help:
                     'Counter incremented every time a delete is attempted ' +
                     'for a Manta object but the object did not exist on disk.'
             }),
+            deleteCountDuplicate: self.metricsManager.collector.counter({
+                name: METRIC_PREFIX + 'delete_duplicate_count_total',
+                help:
+                    'Counter incremented every time an instruction is skipped ' +
+                    'because the same Manta object was recently deleted.'
+            }),
             deleteCountTotal: self.metricsManager.collector.counter({
                 name: METRIC_PREFIX + 'delete_count_total',
                 help: 'Counter incremented every time a Manta object is deleted'
@@ -192,17 +693,65 @@ function GarbageDeleter(opts) {
                     'Counter incremented every time a delete is attempted ' +
                     'for a Manta object but the delete failed.'
             }),
+            deletePermanentErrorCount: self.metricsManager.collector.counter({
+                name: METRIC_PREFIX + 'delete_permanent_error_count_total',
+                help:
+                    'Counter incremented every time a delete of a Manta ' +
+                    'object fails and will not be retried, by errno'
+            }),
+            deleteRetryCount: self.metricsManager.collector.counter({
+                name: METRIC_PREFIX + 'delete_retry_count_total',
+                help:
+                    'Counter incremented every time a delete of a Manta ' +
+                    'object fails with a transient error and is retried, ' +
+                    'by errno'
+            }),
+            deleteSizeMismatchCount: self.metricsManager.collector.counter({
+                name: METRIC_PREFIX + 'delete_size_mismatch_count_total',
+                help:
+                    'Counter incremented every time a delete is refused ' +
+                    'because the size of the Manta object on disk did not ' +
+                    'match the instruction'
+            }),
+            deleteUnsafePathCount: self.metricsManager.collector.counter({
+                name: METRIC_PREFIX + 'delete_unsafe_path_count_total',
+                help:
+                    'Counter incremented every time a delete is refused ' +
+                    'because the path in the instruction is not a safe ' +
+                    'Manta object path'
+            }),
+            deleteThrottleSeconds: self.metricsManager.collector.counter({
+                name: METRIC_PREFIX + 'delete_throttle_seconds_total',
+                help:
+                    'Counter of total time deletes have spent waiting on ' +
+                    'a rate limit, by limit'
+            }),
+            deleteThrottleWaiting: self.metricsManager.collector.gauge({
+                name: METRIC_PREFIX + 'delete_throttle_waiting_count',
+                help:
+                    'Gauge of number of deletes currently being held back ' +
+                    'by a rate limit, by limit'
+            }),
+            deleteLatencySeconds: self.metricsManager.collector.histogram({
+                name: METRIC_PREFIX + 'delete_latency_seconds',
+                help:
+                    'Histogram of time spent deleting each Manta object ' +
+                    '(including any retries)',
+                buckets: DELETE_LATENCY_BUCKETS
+            }),
             deleteTimeMaxSeconds: self.metricsManager.collector.gauge({
                 name: METRIC_PREFIX + 'delete_time_max_seconds',
                 help:
                     'Gauge of maximum time spent in fs.unlink() deleting a ' +
-                    'single Manta object (slowest delete)'
+                    'single Manta object (slowest delete) in the recent ' +
+                    'window'
             }),
             deleteTimeMinSeconds: self.metricsManager.collector.gauge({
                 name: METRIC_PREFIX + 'delete_time_min_seconds',
                 help:
                     'Gauge of minimum time spent in fs.unlink() deleting a ' +
-                    'single Manta object (fastest delete)'
+                    'single Manta object (fastest delete) in the recent ' +
+                    'window'
             }),
             deleteTimeSeconds: self.metricsManager.collector.counter({
                 name: METRIC_PREFIX + 'delete_time_seconds_total',
@@ -210,6 +759,15 @@ function GarbageDeleter(opts) {
                     'Counter of total time spent in fs.unlink() deleting ' +
                     'Manta objects'
             }),
+            instructionFileProcessingSeconds: self.metricsManager.collector.histogram(
+                {
+                    name: METRIC_PREFIX + 'instruction_file_processing_seconds',
+                    help:
+                        'Histogram of time spent processing each instruction ' +
+                        'file',
+                    buckets: FILE_PROCESSING_BUCKETS
+                }
+            ),
             instructionFilesBad: self.metricsManager.collector.counter({
                 name: METRIC_PREFIX + 'instruction_files_bad_count_total',
                 help:
@@ -224,6 +782,31 @@ function GarbageDeleter(opts) {
                 name: METRIC_PREFIX + 'instruction_files_processed_count_total',
                 help: 'Counter incremented for each instruction file processed'
             }),
+            instructionLinesBad: self.metricsManager.collector.counter({
+                name: METRIC_PREFIX + 'instruction_lines_bad_count_total',
+                help:
+                    'Counter incremented for each instruction line that ' +
+                    'failed and was moved to bad_instructions'
+            }),
+            instructionLinesResumed: self.metricsManager.collector.counter({
+                name: METRIC_PREFIX + 'instruction_lines_resumed_count_total',
+                help:
+                    'Counter incremented for each instruction line skipped ' +
+                    'because it was completed before a restart'
+            }),
+            instructionLinesDeferred: self.metricsManager.collector.counter({
+                name: METRIC_PREFIX + 'instruction_lines_deferred_count_total',
+                help:
+                    'Counter incremented for each instruction line deferred ' +
+                    'because the object was modified too recently'
+            }),
+            instructionLinesMisdirected: self.metricsManager.collector.counter({
+                name:
+                    METRIC_PREFIX + 'instruction_lines_misdirected_count_total',
+                help:
+                    'Counter incremented for each instruction line for ' +
+                    'another storage zone, by the storage_id it was for'
+            }),
             instructionLinesProcessed: self.metricsManager.collector.counter({
                 name: METRIC_PREFIX + 'instruction_lines_processed_count_total',
                 help: 'Counter incremented for each instruction line processed'
@@ -231,39 +814,244 @@ function GarbageDeleter(opts) {
             instructionFilesQueued: self.metricsManager.collector.gauge({
                 name: METRIC_PREFIX + 'instruction_files_queued_count',
                 help: 'Gauge indicating number of instructions files in queue'
+            }),
+            instructionFilesOldestAgeSeconds: self.metricsManager.collector.gauge(
+                {
+                    name:
+                        METRIC_PREFIX + 'instruction_files_oldest_age_seconds',
+                    help:
+                        'Gauge of the age of the oldest instruction file in ' +
+                        'queue (0 when the queue is empty)'
+                }
+            ),
+            reclaimedAccountBytes: self.metricsManager.collector.counter({
+                name: METRIC_PREFIX + 'reclaimed_account_bytes_total',
+                help:
+                    'Counter of bytes of Manta objects reclaimed, by account ' +
+                    '(only when per-account accounting is enabled)'
+            }),
+            reclaimedAccountObjects: self.metricsManager.collector.counter({
+                name: METRIC_PREFIX + 'reclaimed_account_count_total',
+                help:
+                    'Counter of Manta objects reclaimed, by account (only ' +
+                    'when per-account accounting is enabled)'
+            }),
+            reclaimedBytes: self.metricsManager.collector.counter({
+                name: METRIC_PREFIX + 'reclaimed_bytes_total',
+                help:
+                    'Counter of bytes of Manta objects reclaimed (according ' +
+                    'to the instructions), by shard'
+            }),
+            reclaimedObjects: self.metricsManager.collector.counter({
+                name: METRIC_PREFIX + 'reclaimed_count_total',
+                help: 'Counter of Manta objects reclaimed, by shard'
+            }),
+            prunedDirs: self.metricsManager.collector.counter({
+                name: METRIC_PREFIX + 'pruned_dirs_count_total',
+                help:
+                    'Counter incremented for each empty directory removed ' +
+                    'after deleting the objects in it'
+            }),
+            quarantineBytes: self.metricsManager.collector.gauge({
+                name: METRIC_PREFIX + 'quarantine_bytes',
+                help:
+                    'Gauge of total bytes of Manta objects currently held in ' +
+                    'quarantine'
+            }),
+            quarantineFiles: self.metricsManager.collector.gauge({
+                name: METRIC_PREFIX + 'quarantine_files_count',
+                help:
+                    'Gauge of number of Manta objects currently held in ' +
+                    'quarantine'
+            }),
+            quarantineOldestAgeSeconds: self.metricsManager.collector.gauge({
+                name: METRIC_PREFIX + 'quarantine_oldest_age_seconds',
+                help:
+                    'Gauge of how long the oldest Manta object in quarantine ' +
+                    'has been there'
+            }),
+            quarantineReapedBytes: self.metricsManager.collector.counter({
+                name: METRIC_PREFIX + 'quarantine_reaped_bytes_total',
+                help:
+                    'Counter of bytes purged from quarantine after the ' +
+                    'retention period expired'
+            }),
+            quarantineReapedFiles: self.metricsManager.collector.counter({
+                name: METRIC_PREFIX + 'quarantine_reaped_count_total',
+                help:
+                    'Counter incremented for each Manta object purged from ' +
+                    'quarantine after the retention period expired'
+            }),
+            quarantineTouchErrorCount: self.metricsManager.collector.counter({
+                name: METRIC_PREFIX + 'quarantine_touch_error_count_total',
+                help:
+                    'Counter incremented every time resetting the mtime of ' +
+                    'an object moved into quarantine fails'
             })
         };
     } else {
         self.metrics = {};
     }
+    self.addCounter('auditJournalDroppedRecords', 0);
     self.addCounter('deleteErrorCount', 0);
+    self.addCounter('deleteCountDuplicate', 0);
     self.addCounter('deleteCountMissing', 0);
+    self.addCounter('badInstructionPrunedBytes', 0);
+    self.addCounter('badInstructionPrunedFiles', 0);
     self.addCounter('deleteCountTotal', 0);
+    self.addCounter('deleteSizeMismatchCount', 0);
     self.addCounter('deleteTimeSeconds', 0);
+    self.addCounter('deleteUnsafePathCount', 0);
     self.addCounter('instructionFilesBad', 0);
     self.addCounter('instructionFilesDeleted', 0);
     self.addCounter('instructionFilesProcessed', 0);
+    self.addCounter('instructionLinesBad', 0);
     self.addCounter('instructionLinesProcessed', 0);
+    self.addCounter('instructionLinesDeferred', 0);
+    self.addCounter('instructionLinesResumed', 0);
+    self.addCounter('prunedDirs', 0);
+    self.addCounter('quarantineReapedBytes', 0);
+    self.addCounter('quarantineReapedFiles', 0);
+    self.addCounter('quarantineTouchErrorCount', 0);
+    self.addCounter('configReloads', 0, {result: 'failure'});
+    self.addCounter('configReloads', 0, {result: 'success'});
+    self.setGauge('badInstructionBytes', 0);
+    self.setGauge('badInstructionFiles', 0);
+    self.setGauge('configGeneration', self.configGeneration);
+    self.setGauge('instructionFilesOldestAgeSeconds', 0);
     self.setGauge('instructionFilesQueued', 0);
+    self.setGauge('quarantineBytes', 0);
+    self.setGauge('quarantineFiles', 0);
+    self.setGauge('quarantineOldestAgeSeconds', 0);
+
+    if (self.deleteTimeWindow > 0) {
+        self.deleteTimes = new RollingMinMax({window: self.deleteTimeWindow});
+        self.updateDeleteTimeGauges();
+    } else {
+        self.deleteTimes = null;
+        self.deleteTimeMax = null;
+        self.deleteTimeMin = null;
+        self.setGauge('deleteTimeMaxSeconds', 0);
+        self.setGauge('deleteTimeMinSeconds', 0);
+    }
+
+    if (self.duplicateWindow > 0) {
+        self.recentDeletes = new RecentPaths({
+            maxSize: opts.duplicateMaxPaths || DEFAULT_DUPLICATE_MAX_PATHS,
+            window: self.duplicateWindow
+        });
+    }
+
+    self.rateLimiters = {};
+    self.setRateLimits({
+        maxDeleteBytesPerSecond: opts.maxDeleteBytesPerSecond,
+        maxDeleteObjectsPerSecond: opts.maxDeleteObjectsPerSecond
+    });
 
     // Add properties which should be modified only for testing purposes.
     self.fsCreateReadStream = opts._fsCreateReadStream || fs.createReadStream;
+    self.fsLink = opts._fsLink || fs.link;
+    self.fsLstat = opts._fsLstat || fs.lstat;
     self.fsReaddir = opts._fsReaddir || fs.readdir;
     self.fsReadFile = opts._fsReadFile || fs.readFile;
     self.fsRename = opts._fsRename || fs.rename;
+    self.fsRmdir = opts._fsRmdir || fs.rmdir;
+    self.fsStat = opts._fsStat || fs.stat;
     self.fsUnlink = opts._fsUnlink || fs.unlink;
+    self.fsUtimes = opts._fsUtimes || fs.utimes;
     self.fsWatch = opts._fsWatch || fs.watch;
     if (opts._processFileHook) {
         self._processFileHook = opts._processFileHook;
     }
 }
 
-GarbageDeleter.prototype.addCounter = function addCounter(counterName, value) {
+//
+// When we're managing metric values ourselves (no metricsManager) values for
+// metrics with labels are stored in an object keyed by the label values joined
+// with ',' (so for a single label, just the value of that label).
+//
+function labelKey(labels) {
+    return Object.keys(labels)
+        .sort()
+        .map(function _labelValue(k) {
+            return labels[k];
+        })
+        .join(',');
+}
+
+//
+// Returns the instruction `line` (which failed with `err`) for writing to a
+// file in bad_instructions or deferred_instructions, preceded by a comment
+// line noting the error name and message.
+//
+function annotateLine(err, line) {
+    return (
+        '# ' +
+        err.name +
+        ': ' +
+        err.message.replace(/\n/g, ' ') +
+        '\n' +
+        line +
+        '\n'
+    );
+}
+
+//
+// Returns the entries from the instruction dir listing `files` which are
+// queued instruction files, leaving out our own hidden checkpoints and
+// temporary files.
+//
+function queuedFiles(files) {
+    return files.filter(function _notHidden(file) {
+        return file.charAt(0) !== '.';
+    });
+}
+
+//
+// Returns the labels to use with the metricsManager for a metric with the
+// labels `labels` (which may be undefined), adding the 'deleter' label when
+// this deleter has a name.
+//
+GarbageDeleter.prototype._metricLabels = function _metricLabels(labels) {
+    var self = this;
+
+    var merged = {};
+
+    if (self.name === null) {
+        return labels;
+    }
+
+    Object.keys(labels || {}).forEach(function _copyLabel(k) {
+        merged[k] = labels[k];
+    });
+    merged.deleter = self.name;
+
+    return merged;
+};
+
+GarbageDeleter.prototype.addCounter = function addCounter(
+    counterName,
+    value,
+    labels
+) {
     var self = this;
 
+    var key;
+
     // For tests, we don't want to require a full metricManager, so in that case
     // we just manually manage the values in the "metrics" object.
     if (!self.metricsManager) {
+        if (labels) {
+            key = labelKey(labels);
+            if (!self.metrics.hasOwnProperty(counterName)) {
+                self.metrics[counterName] = {};
+            }
+            if (!self.metrics[counterName].hasOwnProperty(key)) {
+                self.metrics[counterName][key] = 0;
+            }
+            self.metrics[counterName][key] += value;
+            return;
+        }
         if (!self.metrics.hasOwnProperty(counterName)) {
             self.metrics[counterName] = 0;
         }
@@ -271,175 +1059,313 @@ GarbageDeleter.prototype.addCounter = function addCounter(counterName, value) {
         return;
     }
 
-    self.metrics[counterName].add(value);
+    self.metrics[counterName].add(value, self._metricLabels(labels));
 };
 
-GarbageDeleter.prototype.getCounter = function getCounter(counterName) {
+GarbageDeleter.prototype.getCounter = function getCounter(counterName, labels) {
     var self = this;
 
     if (!self.metricsManager) {
+        if (labels) {
+            return (self.metrics[counterName] || {})[labelKey(labels)];
+        }
         return self.metrics[counterName];
     }
 
-    return self.metrics[counterName].getValue();
+    return self.metrics[counterName].getValue(self._metricLabels(labels));
 };
 
-GarbageDeleter.prototype.getGauge = function getGauge(gaugeName) {
+GarbageDeleter.prototype.getGauge = function getGauge(gaugeName, labels) {
     var self = this;
 
     if (!self.metricsManager) {
+        if (labels) {
+            return (self.metrics[gaugeName] || {})[labelKey(labels)];
+        }
         return self.metrics[gaugeName];
     }
 
-    return self.metrics[gaugeName].getValue();
+    return self.metrics[gaugeName].getValue(self._metricLabels(labels));
 };
 
-GarbageDeleter.prototype.setGauge = function setGauge(gaugeName, value) {
+GarbageDeleter.prototype.setGauge = function setGauge(
+    gaugeName,
+    value,
+    labels
+) {
     var self = this;
 
     // For tests, we don't want to require a full metricManager, so in that case
     // we just manually manage the values in the "metrics" object.
     if (!self.metricsManager) {
+        if (labels) {
+            if (!self.metrics.hasOwnProperty(gaugeName)) {
+                self.metrics[gaugeName] = {};
+            }
+            self.metrics[gaugeName][labelKey(labels)] = value;
+            return;
+        }
         self.metrics[gaugeName] = value;
         return;
     }
 
-    self.metrics[gaugeName].set(value);
+    self.metrics[gaugeName].set(value, self._metricLabels(labels));
 };
 
-GarbageDeleter.prototype.readLines = function readLines(filename, callback) {
+GarbageDeleter.prototype.observeHistogram = function observeHistogram(
+    histogramName,
+    value
+) {
     var self = this;
 
-    var chunks = [];
-    var chunksLen = 0;
-    var readStream;
-    var maxLen = self.maxLines * (self.maxLineLength + 1);
+    // For tests, we don't want to require a full metricManager, so in that case
+    // we just keep the count and sum of the observations.
+    if (!self.metricsManager) {
+        if (!self.metrics.hasOwnProperty(histogramName)) {
+            self.metrics[histogramName] = {count: 0, sum: 0};
+        }
+        self.metrics[histogramName].count++;
+        self.metrics[histogramName].sum += value;
+        return;
+    }
 
-    // Note: we're intentionally reading maxLen+1 here so we can catch files
-    // that are too large.
-    readStream = fs.createReadStream(filename, {start: 0, end: maxLen});
+    self.metrics[histogramName].observe(value, self._metricLabels());
+};
 
-    readStream.on('error', function _onError(streamErr) {
-        // Ensure whatever error we had, we're not going to try to keep reading.
-        // The node docs don't guarantee this happens automatically on error.
-        readStream.destroy();
+//
+// Set the deleteTimeMaxSeconds and deleteTimeMinSeconds gauges from the
+// rolling window of delete times. When there have been no deletes in the
+// window, both are 0.
+//
+GarbageDeleter.prototype.updateDeleteTimeGauges = function updateDeleteTimeGauges() {
+    var self = this;
 
-        callback(streamErr);
-    });
+    self.setGauge('deleteTimeMaxSeconds', self.deleteTimes.max() || 0);
+    self.setGauge('deleteTimeMinSeconds', self.deleteTimes.min() || 0);
+};
 
-    readStream.on('readable', function() {
-        var chunk;
+//
+// Record a delete that took `elapsed` seconds in the deleteTimeMaxSeconds and
+// deleteTimeMinSeconds gauges (see DEFAULT_DELETE_TIME_WINDOW).
+//
+GarbageDeleter.prototype.observeDeleteTime = function observeDeleteTime(
+    elapsed
+) {
+    var self = this;
 
-        while ((chunk = readStream.read())) {
-            chunksLen += Buffer.byteLength(chunk);
-            chunks.push(chunk);
-        }
-    });
+    if (self.deleteTimes) {
+        self.deleteTimes.observe(elapsed);
+        self.updateDeleteTimeGauges();
+        return;
+    }
 
-    readStream.on('close', function onClose() {
-        var data = Buffer.concat(chunks, chunksLen);
-        var idx;
-        var lines = [];
-        var strData;
+    if (self.deleteTimeMax === null || elapsed > self.deleteTimeMax) {
+        self.deleteTimeMax = elapsed;
+        self.setGauge('deleteTimeMaxSeconds', elapsed);
+    }
+    if (self.deleteTimeMin === null || elapsed < self.deleteTimeMin) {
+        self.deleteTimeMin = elapsed;
+        self.setGauge('deleteTimeMinSeconds', elapsed);
+    }
+};
 
-        if (data.length > maxLen) {
-            // File too big
-            callback(
-                new VError(
-                    {
-                        info: {
-                            filename: filename,
-                            size: data.length,
-                            maxSize: maxLen
-                        },
-                        name: 'FileTooBigError'
-                    },
-                    util.format('File too big: %d > %d', data.length, maxLen)
-                )
-            );
-            return;
-        }
+//
+// Returns a copy of the current limits on instruction files, for the `limits`
+// argument of forEachLine(). Since these can be changed by a config reload,
+// anything which reads the same file more than once takes a copy first so
+// that every read of it is checked against the same limits.
+//
+GarbageDeleter.prototype.lineLimits = function lineLimits() {
+    var self = this;
 
-        strData = data.toString('utf8');
-        lines = strData
-            .trim()
-            .split('\n')
-            .filter(function _removeEmpty(candidate) {
-                return candidate.length > 0;
-            });
+    return {
+        maxLineLength: self.maxLineLength,
+        maxLines: self.maxLines
+    };
+};
 
-        if (lines.length > self.maxLines) {
-            // Too many lines
-            callback(
-                new VError(
-                    {
-                        info: {
-                            filename: filename,
-                            lines: lines.length,
-                            maxLines: self.maxLines
-                        },
-                        name: 'TooManyLinesError'
-                    },
-                    util.format(
-                        'Too many lines: %d > %d',
-                        lines.length,
-                        self.maxLines
-                    )
-                )
-            );
-            return;
-        }
+//
+// Stream the lines of `filename`, calling func(line, idx, next) for each, then
+// callback(err, count). See lib/line-reader.js for details, including the
+// errors for files that exceed the maxLines or maxLineLength in `limits` (from
+// lineLimits(), or null for the current limits).
+//
+GarbageDeleter.prototype.forEachLine = function forEachLine(
+    filename,
+    limits,
+    func,
+    callback
+) {
+    var self = this;
 
-        for (idx = 0; idx < lines.length; idx++) {
-            if (lines[idx].length > self.maxLineLength) {
-                // Line too long
-                callback(
-                    new VError(
-                        {
-                            info: {
-                                filename: filename,
-                                lineNum: idx + 1,
-                                length: lines[idx].length,
-                                maxLength: self.maxLineLength
-                            },
-                            name: 'LineTooLongError'
-                        },
-                        util.format(
-                            'Line %d too long: %d > %d',
-                            idx + 1,
-                            lines[idx].length,
-                            self.maxLineLength
-                        )
-                    )
-                );
+    assert.optionalObject(limits, 'limits');
+
+    limits = limits || self.lineLimits();
+
+    lineReader.forEachLine(
+        {
+            createReadStream: self.fsCreateReadStream,
+            filename: filename,
+            maxLineLength: limits.maxLineLength,
+            maxLines: limits.maxLines
+        },
+        func,
+        callback
+    );
+};
+
+//
+// Read all of the lines of `filename` into memory, then call
+// callback(err, lines). This is only for tools that need to look at the whole
+// file, processFile() streams the lines instead.
+//
+GarbageDeleter.prototype.readLines = function readLines(filename, callback) {
+    var self = this;
+
+    var lines = [];
+
+    self.forEachLine(
+        filename,
+        null,
+        function _addLine(line, _idx, next) {
+            lines.push(line);
+            next();
+        },
+        function _onRead(err) {
+            if (err) {
+                callback(err);
                 return;
             }
+            callback(null, lines);
+        }
+    );
+};
+
+//
+// Check that `filename` looks like an instruction file and stream its lines
+// (checked against `limits`), calling func(line, idx, next) for each (see
+// forEachLine()), then call callback(err, count) with the number of lines. If
+// the file is empty, callback will be called with both an error and the count.
+//
+GarbageDeleter.prototype.readInstructionFile = function readInstructionFile(
+    filename,
+    limits,
+    func,
+    callback
+) {
+    var self = this;
+
+    if (!filename.match(/\.instruction$/)) {
+        self.log.warn(
+            {
+                filename: filename
+            },
+            'Ignoring non-instruction file.'
+        );
+
+        callback(
+            new VError(
+                {
+                    info: {
+                        filename: filename
+                    },
+                    name: 'MissingInstructionSuffixError'
+                },
+                'Filename missing .instruction suffix.'
+            ),
+            0
+        );
+        return;
+    }
+
+    self.forEachLine(filename, limits, func, function _onReadLines(err, count) {
+        if (err) {
+            self.log.error({err: err}, 'Error reading lines.');
+            callback(err, count);
+            return;
+        }
+
+        if (count === 0) {
+            callback(
+                new VError(
+                    {
+                        info: {
+                            filename: filename
+                        },
+                        name: 'EmptyFileError'
+                    },
+                    'Instruction file is empty.'
+                ),
+                count
+            );
+            return;
         }
 
-        callback(null, lines);
+        callback(null, count);
     });
 };
 
 //
-// This function is called for each line of each otherwise valid instruction
-// file. It is responsible for parsing the line, dispatching the delete and
-// updating the related metrics.
+// Run the same checks that processFile() would against the instruction file
+// `filename` but without deleting anything. Calls callback(err, results) where
+// `err` is set if the file as a whole is invalid, and otherwise `results` is
+// an array with an object for each instruction line containing `line`,
+// `lineNum` and the `deleteFile`, `err` and `fields` from parseInstruction().
 //
-GarbageDeleter.prototype.processInstruction = function processInstruction(
-    opts,
+GarbageDeleter.prototype.validateFile = function validateFile(
+    filename,
     callback
 ) {
     var self = this;
 
+    var results = [];
+
+    self.readInstructionFile(
+        filename,
+        null,
+        function _validateLine(line, idx, next) {
+            var parsed = self.parseInstruction({
+                filename: filename,
+                instructionLine: line
+            });
+
+            parsed.line = line;
+            parsed.lineNum = idx + 1;
+            results.push(parsed);
+
+            next();
+        },
+        function _onReadFile(err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            callback(null, results);
+        }
+    );
+};
+
+//
+// Parse and validate a single instruction line from the instruction file
+// opts.filename. This does not touch the filesystem. Returns an object with:
+//
+//  - fields: the tab-separated fields from the line
+//  - deleteFile: the path of the Manta object to delete (if valid)
+//  - err: a VError describing why the line is invalid (if invalid)
+//
+GarbageDeleter.prototype.parseInstruction = function parseInstruction(opts) {
+    var self = this;
+
     assert.object(opts, 'opts');
     assert.string(opts.filename, 'opts.filename');
     assert.string(opts.instructionLine, 'opts.instructionLine');
 
-    var beginDelete;
     var deleteFile;
     var fields;
     var filename = opts.filename;
     var instructionLine = opts.instructionLine;
+    var unsafeErr;
 
     fields = instructionLine.split(/\t/);
 
@@ -460,8 +1386,8 @@ GarbageDeleter.prototype.processInstruction = function processInstruction(
             'Instruction line contains bad number of fields.'
         );
 
-        callback(
-            new VError(
+        return {
+            err: new VError(
                 {
                     info: {
                         fields: fields,
@@ -476,12 +1402,44 @@ GarbageDeleter.prototype.processInstruction = function processInstruction(
                     ' of fields ' +
                     fields.length +
                     ' !== 5'
-            )
-        );
-        return;
+            ),
+            fields: fields
+        };
     }
 
-    self.addCounter('instructionLinesProcessed', 1);
+    //
+    // A line with another zone's storageId isn't malformed, it was sent to the
+    // wrong storage zone. We keep those lines separate (see failedLinesDir())
+    // so that routing problems in the garbage collector stand out. Lines for
+    // any of our storageIdAliases (e.g. from before this zone's storageId was
+    // changed) are handled as our own. Since the storageId is used as a
+    // directory name, anything that doesn't look like one is just invalid.
+    //
+    if (
+        fields[0] !== self.storageId &&
+        self.storageIdAliases.indexOf(fields[0]) === -1 &&
+        STORAGE_ID_RE.test(fields[0])
+    ) {
+        return {
+            err: new VError(
+                {
+                    info: {
+                        fields: fields,
+                        filename: filename,
+                        storageId: fields[0]
+                    },
+                    name: 'MisdirectedInstructionError'
+                },
+                'Instruction in ' +
+                    path.basename(filename) +
+                    ' is for storage zone ' +
+                    fields[0] +
+                    ', not ' +
+                    self.storageId
+            ),
+            fields: fields
+        };
+    }
 
     //
     // We have 2 kinds of instructions. The first kind (we'll call v1 here) is
@@ -518,7 +1476,10 @@ GarbageDeleter.prototype.processInstruction = function processInstruction(
     //
 
     try {
-        assert.equal(fields[0], self.storageId); // storageId
+        assert.ok(
+            fields[0] === self.storageId ||
+                self.storageIdAliases.indexOf(fields[0]) !== -1
+        ); // storageId
         if (fields[1] === 'DELETEv2') {
             assert.string(fields[2]); // path under /manta
 
@@ -528,11 +1489,16 @@ GarbageDeleter.prototype.processInstruction = function processInstruction(
             //  * hex characters
             //  * '/'
             //  * ',' (for the hash separator)
+            //  * '-' (in uuids)
+            //
+            // We also let '.' through here so that paths attempting to
+            // traverse out of the object namespace are caught by the path
+            // guard below and reported as an UnsafePathError.
             //
             // I disagree with eslint that the escaped '/' is useless here, so:
             //
             // eslint-disable-next-line no-useless-escape
-            assert.ok(fields[2].match(/^\/[0-9a-fv,-\/]+$/));
+            assert.ok(fields[2].match(/^\/[0-9a-fv,.\/-]+$/));
         } else {
             assert.uuid(fields[1]); // creatorUuid
             assert.uuid(fields[2]); // objectUuid
@@ -541,8 +1507,8 @@ GarbageDeleter.prototype.processInstruction = function processInstruction(
         assert.string(fields[4]);
         assert.ok(fields[4].match(/^[0-9]+$/)); // size
     } catch (e) {
-        callback(
-            new VError(
+        return {
+            err: new VError(
                 {
                     cause: e,
                     info: {
@@ -555,338 +1521,1990 @@ GarbageDeleter.prototype.processInstruction = function processInstruction(
                     path.basename(filename) +
                     ': ' +
                     JSON.stringify(fields)
-            )
-        );
-        return;
+            ),
+            fields: fields
+        };
     }
 
     if (fields[1] === 'DELETEv2') {
-        deleteFile = path.join(self.mantaRoot, fields[2]);
+        // We don't use path.join() here since that would normalize away any
+        // '..' components before the path guard gets to see them.
+        deleteFile = path.resolve(self.mantaRoot) + fields[2];
     } else {
         deleteFile = path.join(self.mantaRoot, fields[1], fields[2]);
     }
 
-    //
-    // This is the only record in the log in the normal case of each file
-    // deleted. We log this for auditing purposes so we can be confident that
-    // any file we've deleted we also generated at least one log entry for.
-    //
-    self.log.info({filename: deleteFile}, 'Deleting file.');
-
-    beginDelete = process.hrtime();
-    self.fsUnlink(deleteFile, function _unlinkMantaFile(unlinkErr) {
-        var curval;
-        var elapsed = elapsedSince(beginDelete);
-
-        self.log.trace(
+    unsafeErr = pathGuard.checkObjectPath(self.mantaRoot, deleteFile);
+    if (unsafeErr) {
+        self.log.error(
             {
-                elapsed: elapsed,
-                err: unlinkErr,
-                filename: deleteFile
+                err: unsafeErr,
+                fields: fields,
+                line: instructionLine
             },
-            'Deleted one object.'
+            'Instruction line contains unsafe path.'
         );
 
-        self.addCounter('deleteCountTotal', 1);
-        self.addCounter('deleteTimeSeconds', elapsed);
-        curval = self.getGauge('deleteTimeMaxSeconds');
-        if (curval === undefined || elapsed > curval) {
-            self.setGauge('deleteTimeMaxSeconds', elapsed);
-        }
-        curval = self.getGauge('deleteTimeMinSeconds');
-        if (curval === undefined || elapsed < curval) {
-            self.setGauge('deleteTimeMinSeconds', elapsed);
-        }
-
-        if (unlinkErr) {
-            if (unlinkErr.code === 'ENOENT') {
-                self.log.debug(
-                    {
-                        filename: deleteFile
-                    },
-                    'File did not exist. Skipping.'
-                );
-                self.addCounter('deleteCountMissing', 1);
-            } else {
-                callback(
-                    new VError(
-                        {
-                            cause: unlinkErr,
-                            info: {
-                                filename: deleteFile
-                            },
-                            name: 'UnlinkFileError'
-                        },
-                        'Failed to delete file.'
-                    )
-                );
-                self.addCounter('deleteErrorCount', 1);
-                return;
-            }
-        } else {
-            self.addCounter('instructionFilesDeleted', 1);
-        }
+        return {
+            err: unsafeErr,
+            fields: fields
+        };
+    }
 
-        callback();
-    });
+    return {
+        deleteFile: deleteFile,
+        fields: fields
+    };
 };
 
-GarbageDeleter.prototype.processFile = function processFile(
-    instrFile,
+//
+// This function is called for each line of each otherwise valid instruction
+// file. It is responsible for parsing the line, dispatching the delete and
+// updating the related metrics. Once the delete is done, calls
+// callback(err, result) where result.deleteFile is the path of the object,
+// result.dirInodes is from pathGuard.checkNoSymlinks() and result.outcome is
+// the outcome from deleteObject(), or 'duplicate' if the object was recently
+// deleted (see DEFAULT_DUPLICATE_WINDOW). opts.verifiedDirs, if set, is passed
+// to pathGuard.checkNoSymlinks() to skip parents already checked.
+// opts.deleteBudget, if set, is the DeleteBudget the caller holds a slot in for
+// this line, which is released while waiting on the rate limits (see
+// throttleDelete()).
+//
+GarbageDeleter.prototype.processInstruction = function processInstruction(
+    opts,
     callback
 ) {
     var self = this;
 
-    var badFilename = path.join(self.badInstructionDir, instrFile);
-    var beginning = process.hrtime();
-    var filename = path.join(self.instructionDir, instrFile);
-    var lineCount = 0;
-
-    // We use this function so that we can add a hook for tests to be able to
-    // know the result from each file that was processed.
-    function _doneProcessing(err) {
-        self.addCounter('instructionFilesProcessed', 1);
-
-        // On any error, we move the instruction file to the bad_instructions
-        // directory.
-        if (err) {
-            self.addCounter('instructionFilesBad', 1);
+    assert.optionalObject(opts.deleteBudget, 'opts.deleteBudget');
+    assert.optionalObject(opts.verifiedDirs, 'opts.verifiedDirs');
 
-            self.log.warn(
-                {
-                    err: err,
-                    errInfo: VError.info(err),
-                    filename: filename
-                },
-                'Failed to process file, moving to bad_instructions.'
-            );
+    var checks = {};
+    var deleteFile;
+    var parsed;
 
-            self.fsRename(filename, badFilename, function _onRename(renameErr) {
-                if (renameErr) {
-                    self.log.error(
-                        {
-                            err: renameErr,
-                            srcFilename: filename,
-                            targFilename: badFilename
-                        },
-                        'Failed to rename file to bad_instructions.'
-                    );
-                }
+    parsed = self.parseInstruction(opts);
 
-                if (self._processFileHook) {
-                    self._processFileHook({
-                        err: err,
-                        filename: instrFile,
-                        lineCount: lineCount
-                    });
-                }
+    if (parsed.fields.length === 5) {
+        self.addCounter('instructionLinesProcessed', 1);
+    }
 
-                // We don't return an error here because we don't want the
-                // failure to remove one invalid instruction file to prevent
-                // other files from being processed.
-                callback(null, lineCount);
+    if (parsed.err) {
+        if (parsed.err.name === 'UnsafePathError') {
+            self.addCounter('deleteUnsafePathCount', 1);
+        }
+        if (parsed.err.name === 'MisdirectedInstructionError') {
+            self.addCounter('instructionLinesMisdirected', 1, {
+                storage_id: VError.info(parsed.err).storageId
             });
-        } else {
-            if (self._processFileHook) {
-                self._processFileHook({
-                    err: err,
-                    filename: instrFile,
-                    lineCount: lineCount
-                });
-            }
-
-            callback(null, lineCount);
         }
+        callback(parsed.err);
+        return;
     }
 
-    if (!filename.match(/\.instruction$/)) {
-        self.log.warn(
-            {
-                filename: filename
-            },
-            'Ignoring non-instruction file.'
-        );
+    deleteFile = parsed.deleteFile;
 
-        _doneProcessing(
-            new VError(
-                {
-                    info: {
-                        filename: filename
-                    },
-                    name: 'MissingInstructionSuffixError'
-                },
-                'Filename missing .instruction suffix.'
-            )
+    if (self.recentDeletes && self.recentDeletes.has(deleteFile)) {
+        self.log.debug(
+            {filename: deleteFile},
+            'File was recently deleted. Skipping duplicate.'
         );
-
+        self.addCounter('deleteCountDuplicate', 1);
+        self.journalDelete(opts.filename, parsed.fields, deleteFile, {
+            outcome: 'duplicate'
+        });
+        callback(null, {
+            deleteFile: deleteFile,
+            outcome: 'duplicate'
+        });
         return;
     }
 
-    self.log.debug({filename: filename}, 'Processing file.');
-
-    self.readLines(filename, function _onReadFile(err, lines) {
-        if (err) {
-            self.log.error({err: err}, 'Error reading lines.');
-            _doneProcessing(err);
-            return;
-        }
-
-        lineCount = lines.length;
-
-        if (lineCount === 0) {
-            _doneProcessing(
-                new VError(
+    //
+    // Before deleting, we run any of the enabled safety checks against the
+    // object. Any of these failing will result in the object not being deleted
+    // and the line being considered failed (or for ObjectTooNewError,
+    // deferred).
+    //
+    vasync.pipeline(
+        {
+            arg: checks,
+            funcs: [
+                function _checkSymlinks(ctx, cb) {
+                    pathGuard.checkNoSymlinks(
+                        self.mantaRoot,
+                        deleteFile,
+                        opts.verifiedDirs || null,
+                        function _onChecked(err, dirInodes) {
+                            if (err && err.name === 'UnsafePathError') {
+                                self.log.error(
+                                    {err: err},
+                                    'Refusing to delete unsafe path.'
+                                );
+                                self.addCounter('deleteUnsafePathCount', 1);
+                            }
+                            ctx.dirInodes = dirInodes;
+                            cb(err);
+                        }
+                    );
+                },
+                function _statObject(ctx, cb) {
+                    // In dry run mode, statObject() does its own checks.
+                    if (
+                        (!self.verifySize && !self.minObjectAge) ||
+                        self.dryRun
+                    ) {
+                        cb();
+                        return;
+                    }
+
+                    self.fsStat(deleteFile, function _onStat(err, stats) {
+                        // If the file doesn't exist, there's nothing to check
+                        // and the delete will count it as missing.
+                        if (err && err.code !== 'ENOENT') {
+                            cb(
+                                new VError(
+                                    {
+                                        cause: err,
+                                        info: {
+                                            filename: deleteFile
+                                        },
+                                        name: 'StatFileError'
+                                    },
+                                    'Failed to stat file.'
+                                )
+                            );
+                            return;
+                        }
+                        ctx.stats = stats;
+                        cb();
+                    });
+                },
+                // An object that's still being written may not have its final
+                // size yet, so we check its age first.
+                function _checkAge(ctx, cb) {
+                    if (!self.minObjectAge || !ctx.stats) {
+                        cb();
+                        return;
+                    }
+
+                    cb(self.checkObjectAge(deleteFile, ctx.stats));
+                },
+                function _checkSize(ctx, cb) {
+                    if (!self.verifySize || !ctx.stats) {
+                        cb();
+                        return;
+                    }
+
+                    cb(
+                        self.checkObjectSize(
+                            deleteFile,
+                            parsed.fields,
+                            ctx.stats
+                        )
+                    );
+                }
+            ]
+        },
+        function _checked(err) {
+            if (err) {
+                if (!self.dryRun) {
+                    self.journalDelete(
+                        opts.filename,
+                        parsed.fields,
+                        deleteFile,
+                        {
+                            err: err,
+                            outcome:
+                                err.name === 'ObjectTooNewError'
+                                    ? 'deferred'
+                                    : 'refused'
+                        }
+                    );
+                }
+                callback(err);
+                return;
+            }
+
+            if (self.dryRun) {
+                self.statObject(deleteFile, parsed.fields, callback);
+                return;
+            }
+
+            self.throttleDelete(
+                Number(parsed.fields[4]),
+                opts.deleteBudget || null,
+                function _onAllowed() {
+                    // If we stopped while waiting on the rate limit, leave
+                    // this one for when the file is resumed.
+                    if (self.stopping) {
+                        callback(
+                            new VError(
+                                {
+                                    info: {filename: deleteFile},
+                                    name: 'DeleterStoppingError'
+                                },
+                                'Deleter is stopping.'
+                            )
+                        );
+                        return;
+                    }
+
+                    self.deleteObject(deleteFile, function _onDeleted(
+                        deleteErr,
+                        outcome
+                    ) {
+                        self.journalDelete(
+                            opts.filename,
+                            parsed.fields,
+                            deleteFile,
+                            {
+                                err: deleteErr,
+                                outcome: deleteErr ? 'failed' : outcome
+                            }
+                        );
+                        if (
+                            outcome === 'deleted' ||
+                            outcome === 'quarantined'
+                        ) {
+                            self.countReclaimed(parsed.fields);
+                        }
+                        if (!deleteErr && self.recentDeletes) {
+                            self.recentDeletes.add(deleteFile);
+                        }
+                        callback(deleteErr, {
+                            deleteFile: deleteFile,
+                            dirInodes: checks.dirInodes,
+                            outcome: outcome
+                        });
+                    });
+                }
+            );
+        }
+    );
+};
+
+//
+// Add a record for the object `deleteFile` from the instruction `fields` in
+// instruction file `filename` to the audit journal. `result.outcome` is one of
+// the outcomes described in lib/audit-journal.js and `result.err` is the error
+// (if any) that caused that outcome. Does nothing if there's no journal.
+//
+GarbageDeleter.prototype.journalDelete = function journalDelete(
+    filename,
+    fields,
+    deleteFile,
+    result
+) {
+    var self = this;
+
+    if (self.auditJournal === null) {
+        return;
+    }
+
+    self.auditJournal.append({
+        err: result.err ? result.err.name : undefined,
+        instructionFile: path.basename(filename),
+        outcome: result.outcome,
+        path: deleteFile,
+        shard: fields[3],
+        size: Number(fields[4])
+    });
+};
+
+//
+// Flush the audit journal (if any), then call callback(). Errors are logged by
+// the journal, which will retry them on the next flush.
+//
+GarbageDeleter.prototype.flushJournal = function flushJournal(callback) {
+    var self = this;
+
+    if (self.auditJournal === null) {
+        setImmediate(callback);
+        return;
+    }
+
+    self.auditJournal.flush(function _onFlushed() {
+        callback();
+    });
+};
+
+//
+// Count the object from the instruction `fields` as reclaimed. Objects moved
+// to quarantine are counted here too, since from Manta's point of view they
+// have been collected. The space they use is tracked separately by the
+// quarantine metrics until they're reaped.
+//
+GarbageDeleter.prototype.countReclaimed = function countReclaimed(fields) {
+    var self = this;
+
+    var account;
+    var shard = {shard: fields[3]};
+    var size = Number(fields[4]);
+
+    self.addCounter('reclaimedBytes', size, shard);
+    self.addCounter('reclaimedObjects', 1, shard);
+
+    if (!self.reclaimedByAccount) {
+        return;
+    }
+
+    // For v2 the owner is the component after '/v2/' in the path, for v1 it's
+    // the creator.
+    account = fields[1] === 'DELETEv2' ? fields[2].split('/')[2] : fields[1];
+
+    if (!self.accountsReclaimed.hasOwnProperty(account)) {
+        self.accountsReclaimed[account] = {bytes: 0, objects: 0};
+    }
+    self.accountsReclaimed[account].bytes += size;
+    self.accountsReclaimed[account].objects++;
+
+    self.addCounter('reclaimedAccountBytes', size, {account: account});
+    self.addCounter('reclaimedAccountObjects', 1, {account: account});
+};
+
+//
+// Write the per-account reclaimed totals to self.reclaimedRollupFile in the
+// same format as the mako_rollup output. The totals are since the deleter
+// started. Calls callback(err) (if passed) when complete and schedules the
+// next write.
+//
+GarbageDeleter.prototype.writeReclaimedRollup = function writeReclaimedRollup(
+    callback
+) {
+    var self = this;
+
+    assert.optionalFunc(callback, 'callback');
+
+    var accounts = Object.keys(self.accountsReclaimed).sort();
+    var lines = [];
+    var tmpFilename = self.reclaimedRollupFile + '.tmp';
+
+    lines.push(
+        '# HELP reclaimed_bytes The number of bytes reclaimed by garbage ' +
+            'collection on a mako'
+    );
+    lines.push('# TYPE reclaimed_bytes counter');
+    accounts.forEach(function _addBytes(account) {
+        lines.push(
+            'reclaimed_bytes{account="' +
+                account +
+                '"} ' +
+                self.accountsReclaimed[account].bytes
+        );
+    });
+    lines.push(
+        '# HELP reclaimed_object_count The number of objects reclaimed by ' +
+            'garbage collection on a mako'
+    );
+    lines.push('# TYPE reclaimed_object_count counter');
+    accounts.forEach(function _addObjects(account) {
+        lines.push(
+            'reclaimed_object_count{account="' +
+                account +
+                '"} ' +
+                self.accountsReclaimed[account].objects
+        );
+    });
+    lines.push(
+        '# HELP reclaimed_last_write_time Last write of the reclaimed rollup ' +
+            'expressed as a UNIX timestamp'
+    );
+    lines.push('# TYPE reclaimed_last_write_time gauge');
+    lines.push('reclaimed_last_write_time ' + Math.floor(Date.now() / 1000));
+
+    vasync.pipeline(
+        {
+            funcs: [
+                function _mkdir(_, cb) {
+                    common.mkdirp(path.dirname(self.reclaimedRollupFile), cb);
+                },
+                function _writeTmp(_, cb) {
+                    fs.writeFile(tmpFilename, lines.join('\n') + '\n', cb);
+                },
+                function _rename(_, cb) {
+                    self.fsRename(tmpFilename, self.reclaimedRollupFile, cb);
+                }
+            ]
+        },
+        function _written(err) {
+            if (err) {
+                self.log.error(
+                    {err: err, filename: self.reclaimedRollupFile},
+                    'Failed to write reclaimed rollup.'
+                );
+            }
+
+            if (self.reclaimedByAccount && !self.stopping) {
+                clearTimeout(self.reclaimedRollupTimer);
+                self.reclaimedRollupTimer = setTimeout(
+                    self.writeReclaimedRollup.bind(self),
+                    self.reclaimedRollupFreq
+                );
+            }
+
+            if (callback) {
+                callback(err);
+            }
+        }
+    );
+};
+
+//
+// Set the delete rate limits (see RATE_LIMITS). Each of
+// opts.maxDeleteBytesPerSecond and opts.maxDeleteObjectsPerSecond can be 0 or
+// undefined for no limit. Any limit that hasn't changed keeps its current
+// state, so that deletes already waiting on it are unaffected.
+//
+GarbageDeleter.prototype.setRateLimits = function setRateLimits(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+
+    Object.keys(RATE_LIMITS).forEach(function _setLimit(limit) {
+        var optName = RATE_LIMITS[limit];
+        var rate = opts[optName] || 0;
+
+        assert.number(rate, 'opts.' + optName);
+        assert.ok(rate >= 0, 'opts.' + optName + ' must be >= 0');
+
+        self[optName] = rate;
+
+        if (
+            self.rateLimiters[limit] &&
+            self.rateLimiters[limit].rate === rate
+        ) {
+            return;
+        }
+
+        self.rateLimiters[limit] =
+            rate > 0 ? new TokenBucket({rate: rate}) : null;
+        self.addCounter('deleteThrottleSeconds', 0, {limit: limit});
+        self.setGauge('deleteThrottleWaiting', 0, {limit: limit});
+    });
+};
+
+//
+// Call callback() once a delete of an object of `size` bytes is allowed by
+// the rate limits. If `budget` (a DeleteBudget the caller holds a slot in) is
+// set and we have to wait, the slot is released while we wait and acquired
+// again before calling callback(), so that a rate-limited deleter doesn't hold
+// slots which other deleters sharing the budget could be using.
+//
+GarbageDeleter.prototype.throttleDelete = function throttleDelete(
+    size,
+    budget,
+    callback
+) {
+    var self = this;
+
+    assert.number(size, 'size');
+    assert.optionalObject(budget, 'budget');
+    assert.func(callback, 'callback');
+
+    var released = false;
+
+    vasync.forEachPipeline(
+        {
+            func: function _waitForLimit(limit, cb) {
+                var bucket = self.rateLimiters[limit];
+                var labels = {limit: limit};
+                var startTime;
+
+                if (!bucket) {
+                    cb();
+                    return;
+                }
+
+                startTime = process.hrtime();
+
+                bucket.take(limit === 'bytes' ? size : 1, function _onTaken() {
+                    self.addCounter(
+                        'deleteThrottleSeconds',
+                        elapsedSince(startTime),
+                        labels
+                    );
+                    self.setGauge(
+                        'deleteThrottleWaiting',
+                        bucket.waiting(),
+                        labels
+                    );
+                    cb();
+                });
+
+                self.setGauge(
+                    'deleteThrottleWaiting',
+                    bucket.waiting(),
+                    labels
+                );
+
+                // Waiters are called back in order, so if there are any
+                // we're one of them.
+                if (budget && !released && bucket.waiting() > 0) {
+                    released = true;
+                    budget.release();
+                }
+            },
+            inputs: Object.keys(RATE_LIMITS)
+        },
+        function _onAllowed() {
+            if (released) {
+                budget.acquire(callback);
+                return;
+            }
+            callback();
+        }
+    );
+};
+
+//
+// Returns an ObjectTooNewError if the object (from `stats`) was modified less
+// than minObjectAge ms ago, in which case its line will be deferred.
+//
+GarbageDeleter.prototype.checkObjectAge = function checkObjectAge(
+    filename,
+    stats
+) {
+    var self = this;
+
+    var age = Date.now() - stats.mtime.getTime();
+
+    if (age >= self.minObjectAge) {
+        return null;
+    }
+
+    self.log.info(
+        {
+            age: age,
+            filename: filename,
+            minObjectAge: self.minObjectAge
+        },
+        'Object was modified too recently, deferring delete.'
+    );
+
+    return new VError(
+        {
+            info: {
+                age: age,
+                filename: filename,
+                minObjectAge: self.minObjectAge
+            },
+            name: 'ObjectTooNewError'
+        },
+        '"%s" was modified %dms ago (less than %dms)',
+        filename,
+        age,
+        self.minObjectAge
+    );
+};
+
+//
+// Returns a SizeMismatchError if the size of the object (from `stats`) does
+// not match the size in the instruction `fields`.
+//
+GarbageDeleter.prototype.checkObjectSize = function checkObjectSize(
+    filename,
+    fields,
+    stats
+) {
+    var self = this;
+
+    var expectedSize = Number(fields[4]);
+
+    if (stats.size === expectedSize) {
+        return null;
+    }
+
+    self.log.warn(
+        {
+            actualSize: stats.size,
+            expectedSize: expectedSize,
+            filename: filename
+        },
+        'Object size does not match instruction, refusing to delete.'
+    );
+    self.addCounter('deleteSizeMismatchCount', 1);
+
+    return new VError(
+        {
+            info: {
+                actualSize: stats.size,
+                expectedSize: expectedSize,
+                filename: filename
+            },
+            name: 'SizeMismatchError'
+        },
+        'Size of "%s" on disk (%d) does not match instruction (%d)',
+        filename,
+        stats.size,
+        expectedSize
+    );
+};
+
+//
+// Delete (or quarantine) the Manta object at `deleteFile` and update the
+// related metrics. Calls callback(err) where `err` is an UnlinkFileError if
+// the delete failed. An object that doesn't exist is not an error.
+//
+GarbageDeleter.prototype.deleteObject = function deleteObject(
+    deleteFile,
+    callback
+) {
+    var self = this;
+
+    var beginDelete;
+
+    //
+    // This is the only record in the log in the normal case of each file
+    // deleted. We log this for auditing purposes so we can be confident that
+    // any file we've deleted we also generated at least one log entry for.
+    // The durable record is in the audit journal (see journalDelete()).
+    //
+    self.log.info(
+        {filename: deleteFile, quarantine: self.quarantine},
+        'Deleting file.'
+    );
+
+    // Note: the delete time metrics include any time spent waiting to retry.
+    beginDelete = process.hrtime();
+    self.removeObjectWithRetry(deleteFile, function _unlinkMantaFile(
+        unlinkErr
+    ) {
+        var elapsed = elapsedSince(beginDelete);
+
+        self.log.trace(
+            {
+                elapsed: elapsed,
+                err: unlinkErr,
+                filename: deleteFile
+            },
+            'Deleted one object.'
+        );
+
+        self.addCounter('deleteCountTotal', 1);
+        self.addCounter('deleteTimeSeconds', elapsed);
+        self.observeHistogram('deleteLatencySeconds', elapsed);
+        self.observeDeleteTime(elapsed);
+
+        if (unlinkErr) {
+            if (unlinkErr.code === 'ENOENT') {
+                self.log.debug(
+                    {
+                        filename: deleteFile
+                    },
+                    'File did not exist. Skipping.'
+                );
+                self.addCounter('deleteCountMissing', 1);
+                callback(null, 'missing');
+            } else {
+                self.addCounter('deleteErrorCount', 1);
+                self.addCounter('deletePermanentErrorCount', 1, {
+                    errno: unlinkErr.code || 'unknown'
+                });
+                callback(
+                    new VError(
+                        {
+                            cause: unlinkErr,
+                            info: {
+                                filename: deleteFile
+                            },
+                            name: 'UnlinkFileError'
+                        },
+                        'Failed to delete file.'
+                    )
+                );
+            }
+            return;
+        }
+
+        self.addCounter('instructionFilesDeleted', 1);
+        callback(null, self.quarantine ? 'quarantined' : 'deleted');
+    });
+};
+
+//
+// Used in dryRun mode instead of removeObject. This stats the Manta object at
+// `filename` and records whether we would have deleted it, whether we would
+// have deferred it (minObjectAge) or refused it (verifySize), whether it was
+// already missing, or whether we failed to stat it. Errors are counted rather
+// than returned so that the rest of the file will still be checked.
+//
+GarbageDeleter.prototype.statObject = function statObject(
+    filename,
+    fields,
+    callback
+) {
+    var self = this;
+
+    self.fsStat(filename, function _onStat(err, stats) {
+        var age = stats ? Date.now() - stats.mtime.getTime() : 0;
+
+        if (!err && self.minObjectAge && age < self.minObjectAge) {
+            self.log.info(
+                {
+                    age: age,
+                    filename: filename,
+                    minObjectAge: self.minObjectAge
+                },
+                'Would defer delete of file, modified too recently.'
+            );
+            self.dryRunResults.deferred++;
+        } else if (
+            !err &&
+            self.verifySize &&
+            stats.size !== Number(fields[4])
+        ) {
+            self.log.info(
+                {
+                    actualSize: stats.size,
+                    expectedSize: Number(fields[4]),
+                    filename: filename
+                },
+                'Would refuse to delete file, size mismatch.'
+            );
+            self.dryRunResults.sizeMismatch++;
+        } else if (!err) {
+            self.log.info(
+                {
+                    filename: filename,
+                    size: stats.size
+                },
+                'Would delete file.'
+            );
+            self.dryRunResults.wouldDelete++;
+            self.dryRunResults.wouldDeleteBytes += stats.size;
+        } else if (err.code === 'ENOENT') {
+            self.log.info({filename: filename}, 'File already missing.');
+            self.dryRunResults.missing++;
+        } else {
+            self.log.warn(
+                {
+                    err: err,
+                    filename: filename
+                },
+                'Failed to stat file.'
+            );
+            self.dryRunResults.errors++;
+        }
+
+        callback();
+    });
+};
+
+//
+// Calls removeObject(), retrying with exponential backoff if it fails with one
+// of the TRANSIENT_DELETE_ERRORS. Calls callback(err) with the error from the
+// last attempt if we've run out of retries or the error was not transient.
+//
+GarbageDeleter.prototype.removeObjectWithRetry = function removeObjectWithRetry(
+    filename,
+    callback
+) {
+    var self = this;
+
+    var attempt = 0;
+
+    function _tryRemove() {
+        self.removeObject(filename, function _onRemove(err) {
+            var delay;
+
+            if (
+                !err ||
+                TRANSIENT_DELETE_ERRORS.indexOf(err.code) === -1 ||
+                attempt >= self.maxDeleteRetries
+            ) {
+                callback(err);
+                return;
+            }
+
+            delay = Math.min(
+                self.deleteRetryDelay * Math.pow(2, attempt),
+                MAX_DELETE_RETRY_DELAY
+            );
+            attempt++;
+
+            self.addCounter('deleteRetryCount', 1, {errno: err.code});
+            self.log.warn(
+                {
+                    attempt: attempt,
+                    delay: delay,
+                    err: err,
+                    filename: filename
+                },
+                'Transient error deleting file, will retry.'
+            );
+
+            setTimeout(_tryRemove, delay);
+        });
+    }
+
+    _tryRemove();
+};
+
+//
+// Remove the Manta object at `filename` (a path under mantaRoot). Normally this
+// just unlinks the file but when quarantine mode is enabled, the file is
+// instead moved into the quarantine directory at the same path relative to
+// mantaRoot. Calls callback(err) where err is the error from the underlying
+// filesystem operation (so ENOENT still means the object did not exist).
+//
+GarbageDeleter.prototype.removeObject = function removeObject(
+    filename,
+    callback
+) {
+    var self = this;
+
+    var quarantineFile;
+
+    if (!self.quarantine) {
+        self.fsUnlink(filename, callback);
+        return;
+    }
+
+    quarantineFile = path.join(
+        self.quarantineDir,
+        path.relative(self.mantaRoot, filename)
+    );
+
+    common.mkdirp(path.dirname(quarantineFile), function _onMkdirp(mkdirErr) {
+        if (mkdirErr) {
+            callback(mkdirErr);
+            return;
+        }
+
+        self.fsRename(filename, quarantineFile, function _onRename(renameErr) {
+            var now;
+
+            if (renameErr) {
+                callback(renameErr);
+                return;
+            }
+
+            // The reaper uses the mtime to determine how long an object has
+            // been in quarantine, so we reset it to the time it was moved. If
+            // that fails the object has still been removed (so retrying would
+            // find it missing), it'll just be reaped early.
+            now = new Date();
+            self.fsUtimes(quarantineFile, now, now, function _onUtimes(
+                utimesErr
+            ) {
+                if (utimesErr) {
+                    self.log.warn(
+                        {err: utimesErr, filename: quarantineFile},
+                        'Failed to reset mtime of quarantined object.'
+                    );
+                    self.addCounter('quarantineTouchErrorCount', 1);
+                }
+                callback();
+            });
+        });
+    });
+};
+
+GarbageDeleter.prototype.processFile = function processFile(
+    instrFile,
+    callback
+) {
+    var self = this;
+
+    var badFilename = path.join(self.badInstructionDir, instrFile);
+    var badLinesWritten = false;
+    var beginning = process.hrtime();
+    // The lines which are deferred, fail (by directory, see failedLinesDir())
+    // or aren't run before we stop are written out as they complete (see
+    // lib/line-spool.js), so we only keep count of them here.
+    var deferredSpool = null;
+    var failedCount = 0;
+    var failedSpools = {};
+    var filename = path.join(self.instructionDir, instrFile);
+    var fileCheckpoint = null;
+    // Both passes over the file must use the same limits, even if the config
+    // is reloaded in between.
+    var limits = self.lineLimits();
+    var lineCount = 0;
+    // The directories (and their inode numbers) that deleting the objects
+    // from this file could leave empty, for pruneDirs().
+    var prunableDirs = {};
+    var remainingCount = 0;
+    var remainingSpool = null;
+    // The parent directories already checked for symlinks while processing
+    // this file (see pathGuard.checkNoSymlinks()).
+    var verifiedDirs = {};
+
+    // We use this function so that we can add a hook for tests to be able to
+    // know the result from each file that was processed.
+    function _doneProcessing(err) {
+        var finishedCheckpoint = fileCheckpoint;
+
+        // We're done with the file one way or another, so we won't need to
+        // resume it.
+        if (finishedCheckpoint) {
+            fileCheckpoint = null;
+            finishedCheckpoint.remove(function _onRemoved() {
+                _doneProcessing(err);
+            });
+            return;
+        }
+
+        // Any lines not yet written out are covered by what we do with the
+        // whole file below.
+        if (_hasSpools()) {
+            _abortSpools(function _onAborted() {
+                _doneProcessing(err);
+            });
+            return;
+        }
+
+        _removeCurrentFile();
+        self.addCounter('instructionFilesProcessed', 1);
+        self.observeHistogram(
+            'instructionFileProcessingSeconds',
+            elapsedSince(beginning)
+        );
+
+        // In dryRun mode we leave the instruction file where it is whether or
+        // not it was valid.
+        if (self.dryRun) {
+            if (err) {
+                self.dryRunResults.badFiles++;
+                self.log.warn(
                     {
-                        info: {
-                            filename: filename
-                        },
-                        name: 'EmptyFileError'
+                        err: err,
+                        errInfo: VError.info(err),
+                        filename: filename
                     },
-                    'Instruction file is empty.'
-                )
+                    'Instruction file is invalid.'
+                );
+            }
+
+            if (self._processFileHook) {
+                self._processFileHook({
+                    err: err,
+                    filename: instrFile,
+                    lineCount: lineCount
+                });
+            }
+
+            callback(null, lineCount);
+            return;
+        }
+
+        // If only some of the lines failed, those lines have already been
+        // written to the bad_instructions directory.
+        if (err && badLinesWritten) {
+            self.addCounter('instructionFilesBad', 1);
+
+            if (self._processFileHook) {
+                self._processFileHook({
+                    badLines: failedCount,
+                    err: err,
+                    filename: instrFile,
+                    lineCount: lineCount,
+                    remainingLines: remainingCount
+                });
+            }
+
+            callback(null, lineCount);
+            return;
+        }
+
+        // On any other error, we move the whole instruction file to the
+        // bad_instructions directory.
+        if (err) {
+            self.addCounter('instructionFilesBad', 1);
+
+            self.log.warn(
+                {
+                    err: err,
+                    errInfo: VError.info(err),
+                    filename: filename
+                },
+                'Failed to process file, moving to bad_instructions.'
+            );
+
+            self.fsRename(filename, badFilename, function _onRename(renameErr) {
+                if (renameErr) {
+                    self.log.error(
+                        {
+                            err: renameErr,
+                            srcFilename: filename,
+                            targFilename: badFilename
+                        },
+                        'Failed to rename file to bad_instructions.'
+                    );
+                }
+
+                if (self._processFileHook) {
+                    self._processFileHook({
+                        err: err,
+                        filename: instrFile,
+                        lineCount: lineCount
+                    });
+                }
+
+                // We don't return an error here because we don't want the
+                // failure to remove one invalid instruction file to prevent
+                // other files from being processed.
+                callback(null, lineCount);
+            });
+        } else {
+            if (self._processFileHook) {
+                self._processFileHook({
+                    err: err,
+                    filename: instrFile,
+                    lineCount: lineCount,
+                    remainingLines: remainingCount
+                });
+            }
+
+            callback(null, lineCount);
+        }
+    }
+
+    // For the first read through the file, which just counts the lines.
+    function _countLine(_line, _idx, next) {
+        next();
+    }
+
+    function _removeCurrentFile() {
+        var idx = self.currentFiles.indexOf(instrFile);
+
+        if (idx !== -1) {
+            self.currentFiles.splice(idx, 1);
+        }
+    }
+
+    // In dryRun mode nothing is written out, so there's nothing to keep.
+    function _deferLine(err, line) {
+        if (self.dryRun) {
+            return;
+        }
+
+        if (deferredSpool === null) {
+            deferredSpool = self.spoolBadLines(
+                path.join(self.deferredInstructionDir, instrFile)
             );
+        }
+        deferredSpool.write(annotateLine(err, line));
+    }
+
+    // In dryRun mode we only count the failed lines.
+    function _failLine(err, line) {
+        var dir;
+
+        failedCount++;
+        if (self.dryRun) {
+            return;
+        }
+
+        dir = self.failedLinesDir(err);
+        if (!failedSpools.hasOwnProperty(dir)) {
+            failedSpools[dir] = self.spoolBadLines(path.join(dir, instrFile));
+        }
+        failedSpools[dir].write(annotateLine(err, line));
+    }
+
+    // The temporary file is hidden so that processInstructionDir() will
+    // ignore it.
+    function _keepRemainingLine(line) {
+        remainingCount++;
+        if (self.dryRun) {
+            return;
+        }
+
+        if (remainingSpool === null) {
+            remainingSpool = new LineSpool({
+                filename: filename,
+                rename: self.fsRename,
+                tmpFilename: path.join(
+                    self.instructionDir,
+                    '.' + instrFile + '.tmp'
+                )
+            });
+        }
+        remainingSpool.write(line + '\n');
+    }
+
+    function _hasSpools() {
+        return (
+            deferredSpool !== null ||
+            remainingSpool !== null ||
+            Object.keys(failedSpools).length > 0
+        );
+    }
+
+    // Discard any of the spools which haven't been committed.
+    function _abortSpools(cb) {
+        var spools = Object.keys(failedSpools).map(function _getSpool(dir) {
+            return failedSpools[dir];
+        });
+
+        if (deferredSpool !== null) {
+            spools.push(deferredSpool);
+        }
+        if (remainingSpool !== null) {
+            spools.push(remainingSpool);
+        }
+        deferredSpool = null;
+        failedSpools = {};
+        remainingSpool = null;
+
+        vasync.forEachParallel(
+            {
+                func: function _abort(spool, next) {
+                    spool.abort(next);
+                },
+                inputs: spools
+            },
+            function _onAborted() {
+                cb();
+            }
+        );
+    }
+
+    self.currentFiles.push(instrFile);
+
+    self.log.debug({filename: filename}, 'Processing file.');
+
+    // We read through the file once first, without keeping any of the lines,
+    // so that an invalid file is rejected before we delete anything from it.
+    self.readInstructionFile(filename, limits, _countLine, function _onReadFile(
+        err,
+        count
+    ) {
+        lineCount = count;
+
+        if (err) {
+            _doneProcessing(err);
+            return;
+        }
+
+        // Outside of dryRun mode, we checkpoint each line as it completes and
+        // skip any lines that an earlier attempt at this file completed before
+        // we died. See lib/checkpoint.js.
+        if (self.dryRun) {
+            _processLines([]);
+            return;
+        }
+
+        fileCheckpoint = new checkpoint.Checkpoint({
+            filename: filename,
+            lines: lineCount,
+            log: self.log
+        });
+        fileCheckpoint.open(function _onCheckpoint(cpErr, done) {
+            if (cpErr) {
+                self.log.warn(
+                    {
+                        err: cpErr,
+                        filename: filename
+                    },
+                    'Failed to open checkpoint, processing file without one.'
+                );
+                fileCheckpoint.close(function _onClosed() {
+                    fileCheckpoint = null;
+                    _processLines([]);
+                });
+                return;
+            }
+
+            if (done.length > 0) {
+                self.log.info(
+                    {
+                        filename: filename,
+                        lines: lineCount,
+                        resumedLines: done.length
+                    },
+                    'Resuming instruction file from checkpoint.'
+                );
+                self.addCounter('instructionLinesResumed', done.length);
+            }
+
+            _processLines(done);
+        });
+
+        // At this point we know the file has > 0 and < self.maxLines lines of
+        // instructions. So we stream the lines again, processing up to
+        // self.concurrentDeletes of them at a time (other than those in
+        // `done`) and only reading further as lines complete, with each line
+        // also waiting for room in the deleteBudget, which is shared with the
+        // other files being processed. Each line succeeds or fails on its own,
+        // and the ones that failed are written out as they complete so that
+        // only those need to be moved to bad_instructions. Since the lines
+        // complete out of order, that's also the order they're written in.
+        function _processLines(done) {
+            var doneIdx = {};
+            var inFlight = 0;
+            var lastErr = null;
+            var readDone = false;
+            var readErr = null;
+            var readNext = null;
+            var toRun = 0;
+
+            done.forEach(function _markDone(idx) {
+                doneIdx[idx] = true;
+            });
+
+            function _onLine(line, idx, next) {
+                if (doneIdx.hasOwnProperty(idx)) {
+                    next();
+                    return;
+                }
+
+                toRun++;
+                inFlight++;
+                self.deleteBudget.acquire(function _onAcquired() {
+                    _runInstruction(idx, line, function _onRan(runErr) {
+                        var readMore = readNext;
+
+                        self.deleteBudget.release();
+                        inFlight--;
+                        if (runErr) {
+                            lastErr = runErr;
+                        }
+
+                        if (readMore) {
+                            readNext = null;
+                            readMore();
+                        } else if (readDone && inFlight === 0) {
+                            _ranInstructions();
+                        }
+                    });
+                });
+
+                if (inFlight < self.concurrentDeletes) {
+                    next();
+                } else {
+                    readNext = next;
+                }
+            }
+
+            function _runInstruction(idx, line, cb) {
+                // Once we're stopping, lines which haven't started yet are
+                // left for when the file is resumed.
+                if (self.stopping) {
+                    _keepRemainingLine(line);
+                    cb();
+                    return;
+                }
+
+                self.processInstruction(
+                    {
+                        deleteBudget: self.deleteBudget,
+                        filename: filename,
+                        instructionLine: line,
+                        verifiedDirs: verifiedDirs
+                    },
+                    function _onInstruction(instrErr, result) {
+                        if (
+                            instrErr &&
+                            instrErr.name === 'DeleterStoppingError'
+                        ) {
+                            _keepRemainingLine(line);
+                            cb();
+                            return;
+                        }
+
+                        // Deferred lines are written to deferred_instructions
+                        // and aren't failures.
+                        if (instrErr && instrErr.name === 'ObjectTooNewError') {
+                            _deferLine(instrErr, line);
+                            cb();
+                            return;
+                        }
+
+                        if (instrErr) {
+                            _failLine(instrErr, line);
+                        } else if (fileCheckpoint) {
+                            fileCheckpoint.markDone(idx);
+                        }
+                        if (!instrErr && result && self.pruneEmptyDirs) {
+                            self.addPrunableDirs(prunableDirs, result);
+                        }
+                        cb(instrErr);
+                    }
+                );
+            }
+
+            self.forEachLine(filename, limits, _onLine, function _onRead(
+                lineErr
+            ) {
+                readDone = true;
+                readErr = lineErr;
+                if (inFlight === 0) {
+                    _ranInstructions();
+                }
+            });
+
+            // Once the whole file has been read and all of the lines started
+            // have finished, the error (if any) for the file is the last of
+            // the errors from the lines, as it was when all the lines were
+            // run at once.
+            function _ranInstructions() {
+                self.log.info(
+                    {
+                        elapsed: elapsedSince(beginning),
+                        filename: filename,
+                        lines: lineCount
+                    },
+                    'Ran instructions.'
+                );
+
+                // The file was fine when we first read it, so it must have
+                // changed underneath us. We treat that like any other invalid
+                // file.
+                if (readErr) {
+                    _doneProcessing(readErr);
+                    return;
+                }
+
+                if (self.dryRun) {
+                    _doneProcessing(lastErr);
+                    return;
+                }
+
+                self.pruneDirs(prunableDirs, function _onPruned() {
+                    _recordResults(lastErr);
+                });
+            }
+
+            // Once all of the lines have run, record the results and finish
+            // with the instruction file.
+            function _recordResults(parallelErr) {
+                // If we stopped before starting any of the lines, there's
+                // nothing to record and the file (and any checkpoint) is left
+                // as it was.
+                if (remainingCount > 0 && remainingCount === toRun) {
+                    self.log.info(
+                        {filename: filename},
+                        'Stopping, leaving instruction file unprocessed.'
+                    );
+                    _abortSpools(function _onAborted() {
+                        _closeCheckpoint(function _onClosed() {
+                            _removeCurrentFile();
+                            callback(null, 0);
+                        });
+                    });
+                    return;
+                }
+
+                _writeDeferredLines(function _onWriteDeferred(writeErr) {
+                    if (writeErr) {
+                        // We'll fall back to moving the whole file.
+                        self.log.error(
+                            {
+                                err: writeErr,
+                                filename: filename
+                            },
+                            'Failed to write deferred instruction lines.'
+                        );
+                        _doneProcessing(writeErr);
+                        return;
+                    }
+
+                    _recordFailedLines(parallelErr);
+                });
+            }
+
+            function _recordFailedLines(parallelErr) {
+                if (failedCount > 0) {
+                    self.log.warn(
+                        {
+                            badLines: failedCount,
+                            filename: filename,
+                            lines: lineCount
+                        },
+                        'Some instructions failed, moving failed lines to ' +
+                            'bad_instructions.'
+                    );
+                    self.addCounter('instructionLinesBad', failedCount);
+
+                    _writeFailedLines(function _onWriteBadLines(writeErr) {
+                        if (writeErr) {
+                            // We'll fall back to moving the whole file.
+                            self.log.error(
+                                {
+                                    err: writeErr,
+                                    filename: filename
+                                },
+                                'Failed to write bad instruction lines.'
+                            );
+                            _doneProcessing(parallelErr);
+                            return;
+                        }
+
+                        badLinesWritten = true;
+                        _finishInstructionFile(parallelErr);
+                    });
+                    return;
+                }
+
+                _finishInstructionFile();
+            }
+        }
+    });
+
+    // Close the checkpoint (if we have one), leaving it so that the file will
+    // be resumed from there.
+    function _closeCheckpoint(cb) {
+        if (!fileCheckpoint) {
+            cb();
             return;
         }
+        fileCheckpoint.close(cb);
+    }
 
-        if (lineCount > self.maxLines) {
-            _doneProcessing(
-                new VError(
-                    {
-                        info: {
-                            filename: filename,
-                            lines: lineCount,
-                            maxLines: self.maxLines
-                        },
-                        name: 'TooManyLinesError'
-                    },
-                    'Instruction file contains too many lines.'
-                )
-            );
+    // Put the deferred lines in place in a file with the same name as the
+    // instruction file in the deferred_instructions directory, from where
+    // they'll be requeued once they're old enough (see requeueDeferred()).
+    function _writeDeferredLines(cb) {
+        var spool = deferredSpool;
+
+        if (spool === null) {
+            cb();
             return;
         }
 
-        // At this point we know the file has > 0 and < self.maxLines lines of
-        // instructions. So we'll process up to self.concurrentDeletes of the
-        // lines at a time.
+        self.log.info(
+            {
+                deferredLines: spool.lines,
+                filename: filename,
+                lines: lineCount
+            },
+            'Some objects were modified too recently, deferring their lines.'
+        );
+        self.addCounter('instructionLinesDeferred', spool.lines);
 
-        forEachParallel(
+        deferredSpool = null;
+        spool.commit(cb);
+    }
+
+    // Put the failed lines in place in a file with the same name as the
+    // instruction file in the directory for each kind of failure.
+    function _writeFailedLines(cb) {
+        vasync.forEachPipeline(
             {
-                concurrency: self.concurrentDeletes,
-                func: function _runInstructions(line, cb) {
-                    self.processInstruction(
-                        {
-                            filename: filename,
-                            instructionLine: line
-                        },
-                        cb
-                    );
+                func: function _commitDir(dir, next) {
+                    var spool = failedSpools[dir];
+
+                    delete failedSpools[dir];
+                    spool.commit(next);
                 },
-                inputs: lines
+                inputs: Object.keys(failedSpools)
             },
-            function _ranInstructions(parallelErr, results) {
+            cb
+        );
+    }
+
+    // All instructions that didn't fail have run, so delete the instruction
+    // file (or if we're stopping, replace it with the lines which haven't
+    // run). We first make sure the audit journal records for this file are
+    // durable. If writing the journal fails, it will have logged the error
+    // and will retry on the next flush, but we don't stop deleting garbage.
+    function _finishInstructionFile(instrErr) {
+        self.flushJournal(function _onJournalFlushed() {
+            if (remainingSpool !== null) {
+                _saveRemainingLines(instrErr);
+                return;
+            }
+
+            self.fsUnlink(filename, function _onUnlinkInstructionFile(e) {
+                if (e) {
+                    if (e.code !== 'ENOENT') {
+                        _doneProcessing(e);
+                        return;
+                    }
+                    self.log.debug(
+                        'Went to delete "%s" but did not exist',
+                        filename
+                    );
+                }
+                _doneProcessing(instrErr);
+            });
+        });
+    }
+
+    // Atomically replace the instruction file with just the lines we didn't
+    // get to, so that when we're restarted we resume with those rather than
+    // repeating the deletes we've already done.
+    function _saveRemainingLines(instrErr) {
+        var spool = remainingSpool;
+
+        remainingSpool = null;
+        spool.commit(_onSaved);
+
+        function _onSaved(err) {
+            if (err) {
+                // The whole file will be processed again next time.
+                self.log.error(
+                    {
+                        err: err,
+                        filename: filename
+                    },
+                    'Failed to save remaining instruction lines.'
+                );
+            } else {
                 self.log.info(
                     {
-                        elapsed: elapsedSince(beginning),
                         filename: filename,
-                        lines: lineCount
+                        lines: lineCount,
+                        remainingLines: remainingCount
                     },
-                    'Ran instructions.'
+                    'Stopped part way through file, saved remaining lines.'
                 );
+            }
 
-                if (parallelErr) {
-                    _doneProcessing(parallelErr);
-                    return;
-                }
+            _doneProcessing(instrErr);
+        }
+    }
+};
 
-                // No error, so delete the instruction file.
-                self.fsUnlink(filename, function _onUnlinkInstructionFile(e) {
-                    if (e) {
-                        if (e.code !== 'ENOENT') {
-                            _doneProcessing(e);
-                            return;
-                        }
-                        self.log.debug(
-                            'Went to delete "%s" but did not exist',
-                            filename
-                        );
-                    }
-                    _doneProcessing();
-                });
-            }
-        );
+//
+// Returns a LineSpool for writing the annotated lines (see annotateLine())
+// which failed or were deferred to `badFilename`. Since comment lines are
+// ignored by readLines(), once the problem is fixed the file can be moved back
+// into the instruction directory as-is to be reprocessed. If `badFilename`
+// already exists (e.g. the instruction file was resumed after a stop part way
+// through), the new lines are added after the existing ones. The directory is
+// created if necessary since only the bad_instructions directory is created at
+// startup.
+//
+GarbageDeleter.prototype.spoolBadLines = function spoolBadLines(badFilename) {
+    var self = this;
+
+    assert.string(badFilename, 'badFilename');
+
+    return new LineSpool({
+        append: true,
+        filename: badFilename,
+        rename: self.fsRename
     });
 };
 
-GarbageDeleter.prototype.run = function run() {
+//
+// Returns the directory to which an instruction line that failed with `err`
+// should be written. Lines where the object on disk did not match the
+// instruction, and lines for other storage zones (grouped by the storageId
+// they were for), are kept separate from those which were invalid or failed
+// to delete, since they most likely indicate a problem in the garbage
+// collector.
+//
+GarbageDeleter.prototype.failedLinesDir = function failedLinesDir(err) {
     var self = this;
 
-    var beginning = process.hrtime();
+    if (err.name === 'SizeMismatchError') {
+        return self.mismatchInstructionDir;
+    }
 
-    if (self.stopping) {
-        self.log.trace('Not running Deleter, stopping in progress.');
-        return;
+    if (err.name === 'MisdirectedInstructionError') {
+        return path.join(
+            self.misdirectedInstructionDir,
+            VError.info(err).storageId
+        );
     }
 
-    self.log.trace('Running Deleter.');
+    return self.badInstructionDir;
+};
+
+//
+// Process all of the files currently in the instruction directory (oldest
+// first, see orderInstructionFiles()), then call callback(err, results) where
+// results.files is the number of files found and results.lines is the total
+// number of instruction lines processed. This does not schedule any further
+// runs.
+//
+GarbageDeleter.prototype.processInstructionDir = function processInstructionDir(
+    callback
+) {
+    var self = this;
+
+    var beginning = process.hrtime();
 
     self.fsReaddir(self.instructionDir, function _onReaddir(err, files) {
         if (err) {
-            // We'll run again and there's not much we can do here.
             self.log.error({err: err}, 'Failed to read instruction dir.');
+            callback(err);
             return;
         }
 
-        // We serially process files, but process the instructions inside the
-        // files in parallel with a concurrency limit. This prevents us from
-        // having to worry about tuning multiple knobs.
-        vasync.forEachPipeline(
-            {
-                func: self.processFile.bind(self),
-                inputs: files
+        self.orderInstructionFiles(files, function _onOrdered(ordered) {
+            // Hidden files (see below) go first, then the instruction files
+            // oldest first.
+            var inputs = files
+                .filter(function _isHidden(file) {
+                    return file.charAt(0) === '.';
+                })
+                .concat(ordered);
+
+            self._processInstructionFiles(files, inputs, beginning, callback);
+        });
+    });
+};
+
+//
+// Process `inputs`, the entries to handle this run from the instruction dir
+// listing `files`, then call callback as described for
+// processInstructionDir().
+//
+GarbageDeleter.prototype._processInstructionFiles = function _processInstructionFiles(
+    files,
+    inputs,
+    beginning,
+    callback
+) {
+    var self = this;
+
+    // We process up to self.concurrentFiles files at a time, starting them in
+    // the order of `inputs`. The deletes from all of those files share the
+    // deleteBudget, so the number of deletes in flight is still limited by
+    // self.concurrentDeletes alone (across all deleters sharing the budget).
+    forEachParallel(
+        {
+            concurrency: self.concurrentFiles,
+            func: function _processFile(instrFile, cb) {
+                // If we've been paused or stopped since the run started,
+                // we leave the rest of the files for a later run.
+                if (self.paused || self.stopping) {
+                    cb(null, 0);
+                    return;
+                }
+                // Hidden files are our own checkpoints and temporary files
+                // (see processFile()) and never instructions.
+                if (instrFile.charAt(0) === '.') {
+                    self.removeStaleFile(instrFile, files, function _onRm() {
+                        cb(null, 0);
+                    });
+                    return;
+                }
+                self.processFile(instrFile, cb);
             },
-            function _processedInstructions(e, results) {
-                var elapsed = elapsedSince(beginning);
-                var numLines;
+            inputs: inputs
+        },
+        function _processedInstructions(e, results) {
+            var elapsed = elapsedSince(beginning);
+            var numLines;
 
-                // This sums all the "successes" which means the value passed to
-                // the callback of self.processFile() which in this case is the
-                // number of lines processed from each file.
-                numLines = results.successes.reduce(function _add(a, b) {
-                    return a + b;
-                }, 0);
+            // This sums all the "successes" which means the value passed to
+            // the callback of self.processFile() which in this case is the
+            // number of lines processed from each file.
+            numLines = results.successes.reduce(function _add(a, b) {
+                return a + b;
+            }, 0);
 
-                self.log.info(
+            self.log.info(
+                {
+                    elapsed: elapsed,
+                    err: e,
+                    files: files.length,
+                    lines: numLines
+                },
+                'Processed instructions.'
+            );
+
+            callback(e, {
+                files: files.length,
+                lines: numLines
+            });
+        }
+    );
+};
+
+//
+// Add the directories containing the object deleted for `result` (from
+// processInstruction()) to `dirs` (see dirPruner.addPrunableDirs()).
+//
+GarbageDeleter.prototype.addPrunableDirs = function addPrunableDirs(
+    dirs,
+    result
+) {
+    var self = this;
+
+    dirPruner.addPrunableDirs(self.mantaRoot, dirs, result);
+};
+
+//
+// When self.pruneEmptyDirs is set, this is called after each instruction file
+// with the `dirs` (see addPrunableDirs()) for the objects it deleted, to
+// remove any of those directories which are now empty (see
+// dirPruner.pruneDirs()). Calls callback() when done.
+//
+GarbageDeleter.prototype.pruneDirs = function pruneDirs(dirs, callback) {
+    var self = this;
+
+    assert.object(dirs, 'dirs');
+    assert.func(callback, 'callback');
+
+    if (!self.pruneEmptyDirs || self.dryRun || Object.keys(dirs).length === 0) {
+        setImmediate(callback);
+        return;
+    }
+
+    dirPruner.pruneDirs(
+        {
+            dirs: dirs,
+            log: self.log,
+            lstat: self.fsLstat,
+            rmdir: self.fsRmdir
+        },
+        function _onPruned(pruned) {
+            if (pruned > 0) {
+                self.log.debug({dirs: pruned}, 'Pruned empty directories.');
+                self.addCounter('prunedDirs', pruned);
+            }
+            callback();
+        }
+    );
+};
+
+//
+// Calls callback(ordered) where `ordered` is the queued instruction files from
+// the instruction dir listing `files`, sorted oldest first according to
+// self.instructionOrder. Files which are gone by the time we stat them are
+// left out. This also updates the instructionFilesOldestAgeSeconds gauge.
+//
+GarbageDeleter.prototype.orderInstructionFiles = function orderInstructionFiles(
+    files,
+    callback
+) {
+    var self = this;
+
+    assert.array(files, 'files');
+    assert.func(callback, 'callback');
+
+    var entries = [];
+    var instructionOrder = self.instructionOrder;
+    var now = Date.now();
+
+    forEachParallel(
+        {
+            concurrency: INSTRUCTION_STAT_CONCURRENCY,
+            func: function _getTime(instrFile, cb) {
+                var time =
+                    instructionOrder === 'filename'
+                        ? filenameTime(instrFile)
+                        : null;
+
+                if (time !== null) {
+                    entries.push({filename: instrFile, time: time});
+                    setImmediate(cb);
+                    return;
+                }
+
+                self.fsStat(
+                    path.join(self.instructionDir, instrFile),
+                    function _onStat(err, stats) {
+                        if (err && err.code === 'ENOENT') {
+                            cb();
+                            return;
+                        }
+
+                        if (err) {
+                            // We'll still try to process it, just last.
+                            self.log.warn(
+                                {
+                                    err: err,
+                                    filename: path.join(
+                                        self.instructionDir,
+                                        instrFile
+                                    )
+                                },
+                                'Failed to stat instruction file.'
+                            );
+                        }
+
+                        entries.push({
+                            filename: instrFile,
+                            time: err ? now : stats.mtime.getTime()
+                        });
+                        cb();
+                    }
+                );
+            },
+            inputs: queuedFiles(files)
+        },
+        function _onTimes() {
+            entries.sort(function _oldestFirst(a, b) {
+                if (a.time !== b.time) {
+                    return a.time - b.time;
+                }
+                return a.filename < b.filename ? -1 : 1;
+            });
+
+            self.setGauge(
+                'instructionFilesOldestAgeSeconds',
+                entries.length > 0
+                    ? Math.max(0, now - entries[0].time) / 1000
+                    : 0
+            );
+
+            callback(
+                entries.map(function _filename(entry) {
+                    return entry.filename;
+                })
+            );
+        }
+    );
+};
+
+//
+// Hidden files in the instruction dir are our own checkpoints (see
+// lib/checkpoint.js) and temporary files (see processFile()). Since runs never
+// overlap, a temporary file, or a checkpoint for an instruction file that's
+// not in `files` (the contents of the instruction dir at the start of this
+// run), must have been left behind by a process that died, so we remove it.
+// Any other hidden file is left alone.
+//
+GarbageDeleter.prototype.removeStaleFile = function removeStaleFile(
+    hiddenFile,
+    files,
+    callback
+) {
+    var self = this;
+
+    var instrFile;
+    var suffix = checkpoint.CHECKPOINT_SUFFIX;
+
+    if (self.dryRun) {
+        setImmediate(callback);
+        return;
+    }
+
+    if (hiddenFile.slice(-suffix.length) === suffix) {
+        instrFile = hiddenFile.slice(1, -suffix.length);
+        if (files.indexOf(instrFile) !== -1) {
+            setImmediate(callback);
+            return;
+        }
+    } else if (hiddenFile.slice(-'.tmp'.length) !== '.tmp') {
+        setImmediate(callback);
+        return;
+    }
+
+    self.log.info(
+        {filename: path.join(self.instructionDir, hiddenFile)},
+        'Removing stale file from instruction dir.'
+    );
+
+    self.fsUnlink(
+        path.join(self.instructionDir, hiddenFile),
+        function _onUnlink(err) {
+            if (err && err.code !== 'ENOENT') {
+                self.log.warn(
                     {
-                        elapsed: elapsed,
-                        err: e,
-                        files: files.length,
-                        lines: numLines
+                        err: err,
+                        filename: path.join(self.instructionDir, hiddenFile)
                     },
-                    'Processed instructions.'
+                    'Failed to remove stale file.'
                 );
+            }
+            callback();
+        }
+    );
+};
 
-                //
-                // Since we just ran now, we're going to set the next run up so that
-                // we make sure that we don't wait longer than maxRunWait ms between
-                // runs.
-                //
-                if (self.nextRunTimer !== null) {
-                    clearTimeout(self.nextRunTimer);
-                }
+//
+// Move any files in the deferred_instructions directory that were last
+// written at least minObjectAge ms ago back into the instruction directory, so
+// that their lines are processed again (see deferredRequeue.requeueDeferred()).
+// Errors are logged but otherwise ignored, since we'll try again on the next
+// run. Calls callback() when done.
+//
+GarbageDeleter.prototype.requeueDeferred = function requeueDeferred(callback) {
+    var self = this;
 
-                // If we're stopping, we don't want to run again.
-                if (self.stopping) {
-                    return;
-                }
+    assert.func(callback, 'callback');
+
+    deferredRequeue.requeueDeferred(
+        {
+            deferredDir: self.deferredInstructionDir,
+            instructionDir: self.instructionDir,
+            link: self.fsLink,
+            minAge: self.minObjectAge,
+            readdir: self.fsReaddir,
+            stat: self.fsStat,
+            unlink: self.fsUnlink
+        },
+        function _onRequeued(err, requeued) {
+            if (err) {
+                self.log.warn(
+                    {
+                        dir: self.deferredInstructionDir,
+                        err: err
+                    },
+                    'Failed to requeue deferred instructions.'
+                );
+            }
+            if (requeued.length > 0) {
+                self.log.info(
+                    {files: requeued},
+                    'Requeued deferred instruction files.'
+                );
+            }
+            callback();
+        }
+    );
+};
+
+GarbageDeleter.prototype.run = function run() {
+    var self = this;
+
+    if (self.stopping) {
+        self.log.trace('Not running Deleter, stopping in progress.');
+        return;
+    }
+
+    if (self.paused) {
+        // We'll run again when resume() is called.
+        self.log.trace('Not running Deleter, paused.');
+        self.runningAsap = false;
+        return;
+    }
+
+    self.log.trace('Running Deleter.');
+
+    self.lastRun = new Date().getTime();
+    self.running = true;
+
+    // Deferred lines which are now old enough go back into the instruction dir
+    // to be processed with the rest. If processing fails (to read the
+    // instruction dir) we'll just run again later, there's not much else we
+    // can do here.
+    self.requeueDeferred(function _onRequeued() {
+        self.processInstructionDir(_processedInstructionDir);
+    });
+
+    function _processedInstructionDir() {
+        self.lastRunCompleted = new Date().getTime();
+        self.running = false;
+
+        // Let stop() know if it's waiting for this run to finish.
+        self.runWaiters.splice(0).forEach(function _notify(waiter) {
+            waiter();
+        });
+
+        //
+        // Since we just ran now, we're going to set the next run up so that
+        // we make sure that we don't wait longer than maxRunWait ms between
+        // runs.
+        //
+        if (self.nextRunTimer !== null) {
+            clearTimeout(self.nextRunTimer);
+        }
+
+        // If we're stopping, we don't want to run again.
+        if (self.stopping) {
+            return;
+        }
+
+        self.nextRunTimer = setTimeout(self.run.bind(self), self.maxRunWait);
+        self.runningAsap = false;
 
-                self.nextRunTimer = setTimeout(
-                    self.run.bind(self),
-                    self.maxRunWait
-                );
-                self.runningAsap = false;
-            }
-        );
-    });
+        // Files may have arrived after this run read the instruction dir.
+        if (self.runAgain) {
+            self.runAgain = false;
+            self.runAsap();
+        }
+    }
 };
 
 GarbageDeleter.prototype.start = function start(callback) {
@@ -898,7 +3516,12 @@ GarbageDeleter.prototype.start = function start(callback) {
                 function _setupWatcher(_, cb) {
                     self.fsWatcher = self.fsWatch(
                         self.instructionDir,
-                        function _onEvent() {
+                        function _onEvent(_event, eventFile) {
+                            // Our own checkpoints and temporary files are
+                            // not new instructions.
+                            if (eventFile && eventFile.charAt(0) === '.') {
+                                return;
+                            }
                             self.log.trace(
                                 'Saw event on "%s".',
                                 self.instructionDir
@@ -912,6 +3535,36 @@ GarbageDeleter.prototype.start = function start(callback) {
                     self.countQueue();
                     cb();
                 },
+                function _startBadInstructionPruner(_, cb) {
+                    self.pruneBadInstructions();
+                    cb();
+                },
+                function _startQuarantineReaper(_, cb) {
+                    if (self.quarantine) {
+                        self.reapQuarantine();
+                    }
+                    cb();
+                },
+                function _startReclaimedRollup(_, cb) {
+                    if (self.reclaimedByAccount) {
+                        self.reclaimedRollupTimer = setTimeout(
+                            self.writeReclaimedRollup.bind(self),
+                            self.reclaimedRollupFreq
+                        );
+                    }
+                    cb();
+                },
+                function _startDeleteTimeWindow(_, cb) {
+                    // Keep the windowed gauges moving even when there are no
+                    // deletes, so old values expire.
+                    if (self.deleteTimes) {
+                        self.deleteTimeWindowTimer = setInterval(
+                            self.updateDeleteTimeGauges.bind(self),
+                            self.deleteTimes.slotLength
+                        );
+                    }
+                    cb();
+                },
                 function _startFirstRun(_, cb) {
                     self.runAsap();
                     cb();
@@ -927,11 +3580,20 @@ GarbageDeleter.prototype.start = function start(callback) {
     );
 };
 
+//
+// Stop this deleter. No new files or instruction lines will be started, and
+// if a run is in progress, we wait for it to finish (see
+// DEFAULT_DRAIN_TIMEOUT) before flushing the audit journal. Calls
+// callback(err) where err is a DrainTimeoutError if the run did not finish in
+// time.
+//
 GarbageDeleter.prototype.stop = function stop(callback) {
     var self = this;
 
     assert.optionalFunc(callback, 'callback');
 
+    var ctx = {};
+
     self.stopping = true;
 
     self.log.trace('Clearing next run timer.');
@@ -948,11 +3610,94 @@ GarbageDeleter.prototype.stop = function stop(callback) {
     self.log.trace('Clearing queue counter timer.');
     clearTimeout(self.queueCounterTimer);
 
-    self.log.trace('Stopped.');
+    self.log.trace('Clearing bad instruction pruner timer.');
+    clearTimeout(self.badInstructionPruneTimer);
 
-    if (callback) {
-        callback();
-    }
+    self.log.trace('Clearing quarantine reaper timer.');
+    clearTimeout(self.quarantineReaperTimer);
+
+    self.log.trace('Clearing delete time window timer.');
+    clearInterval(self.deleteTimeWindowTimer);
+
+    self.log.trace('Clearing reclaimed rollup timer.');
+    clearTimeout(self.reclaimedRollupTimer);
+
+    // Errors here have already been logged, and there's nothing more we can
+    // do about them now.
+    vasync.pipeline(
+        {
+            arg: ctx,
+            funcs: [
+                function _waitForRun(_, cb) {
+                    var done = false;
+                    var timer;
+
+                    if (!self.running) {
+                        cb();
+                        return;
+                    }
+
+                    self.log.info(
+                        {
+                            currentFiles: self.currentFiles,
+                            drainTimeout: self.drainTimeout
+                        },
+                        'Waiting for in-flight deletes to finish.'
+                    );
+
+                    function _onDrained(err) {
+                        if (done) {
+                            return;
+                        }
+                        done = true;
+                        clearTimeout(timer);
+                        ctx.drainErr = err;
+                        cb();
+                    }
+
+                    timer = setTimeout(function _onDrainTimeout() {
+                        _onDrained(
+                            new VError(
+                                {
+                                    info: {
+                                        currentFiles: self.currentFiles.slice(),
+                                        drainTimeout: self.drainTimeout
+                                    },
+                                    name: 'DrainTimeoutError'
+                                },
+                                'Timed out waiting for in-flight deletes.'
+                            )
+                        );
+                    }, self.drainTimeout);
+
+                    self.runWaiters.push(_onDrained);
+                },
+                function _flushJournal(_, cb) {
+                    self.log.trace('Flushing audit journal.');
+                    self.flushJournal(function _onFlushed() {
+                        cb();
+                    });
+                },
+                function _writeRollup(_, cb) {
+                    if (!self.reclaimedByAccount) {
+                        cb();
+                        return;
+                    }
+                    self.log.trace('Writing final reclaimed rollup.');
+                    self.writeReclaimedRollup(function _onWritten() {
+                        cb();
+                    });
+                }
+            ]
+        },
+        function _stopped() {
+            self.log.trace({err: ctx.drainErr}, 'Stopped.');
+
+            if (callback) {
+                callback(ctx.drainErr);
+            }
+        }
+    );
 };
 
 GarbageDeleter.prototype.runAsap = function runAsap() {
@@ -968,6 +3713,13 @@ GarbageDeleter.prototype.runAsap = function runAsap() {
         'Will run again ASAP.'
     );
 
+    if (self.running) {
+        // The current run might have already read the instruction dir, so
+        // we'll run again once it's done.
+        self.runAgain = true;
+        return;
+    }
+
     if (self.runningAsap) {
         // We're already going to run asap, nothing further to do.
         return;
@@ -985,23 +3737,244 @@ GarbageDeleter.prototype.runAsap = function runAsap() {
         if (self.nextRunTimer !== null) {
             clearTimeout(self.nextRunTimer);
         }
-        nextRun = now - (self.minRunFreq + self.lastRun);
+        nextRun = self.lastRun + self.minRunFreq - now;
         self.log.trace('setTimeout(self.run, %d)', nextRun);
         self.nextRunTimer = setTimeout(self.run.bind(self), nextRun);
     }
 };
 
 //
-// This simply counts how many instructions files are in the instruction dir,
-// updates the metric, and then schedules the next check.
+// Change any of the RECONFIGURABLE_OPTIONS on this (possibly running)
+// deleter. Options which are not passed are left unchanged.
+//
+GarbageDeleter.prototype.reconfigure = function reconfigure(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+
+    var changes = {};
+    var delay;
+
+    Object.keys(opts).forEach(function _checkOption(optName) {
+        assert.ok(
+            RECONFIGURABLE_OPTIONS.hasOwnProperty(optName),
+            'opts.' + optName + ' cannot be reconfigured'
+        );
+        assert[RECONFIGURABLE_OPTIONS[optName]](
+            opts[optName],
+            'opts.' + optName
+        );
+        if (optName === 'instructionOrder') {
+            assertInstructionOrder(opts.instructionOrder);
+        }
+
+        if (opts[optName] !== self[optName]) {
+            changes[optName] = {from: self[optName], to: opts[optName]};
+        }
+    });
+
+    if (Object.keys(changes).length === 0) {
+        return;
+    }
+
+    self.setRateLimits({
+        maxDeleteBytesPerSecond: opts.hasOwnProperty('maxDeleteBytesPerSecond')
+            ? opts.maxDeleteBytesPerSecond
+            : self.maxDeleteBytesPerSecond,
+        maxDeleteObjectsPerSecond: opts.hasOwnProperty(
+            'maxDeleteObjectsPerSecond'
+        )
+            ? opts.maxDeleteObjectsPerSecond
+            : self.maxDeleteObjectsPerSecond
+    });
+
+    Object.keys(changes).forEach(function _applyOption(optName) {
+        self[optName] = opts[optName];
+    });
+
+    if (changes.concurrentDeletes) {
+        self.deleteBudget.setLimit(self.concurrentDeletes);
+    }
+
+    //
+    // If we're idle, waiting up to maxRunWait for the next run, reschedule it
+    // using the new maxRunWait so that lowering it takes effect now.
+    //
+    if (
+        changes.maxRunWait &&
+        self.nextRunTimer !== null &&
+        !self.running &&
+        !self.runningAsap &&
+        !self.stopping
+    ) {
+        clearTimeout(self.nextRunTimer);
+        delay = Math.max(
+            0,
+            self.lastRunCompleted + self.maxRunWait - new Date().getTime()
+        );
+        self.nextRunTimer = setTimeout(self.run.bind(self), delay);
+    }
+
+    self.log.info({changes: changes}, 'Reconfigured deleter.');
+};
+
+//
+// Apply any changes to reloadable tunables (see lib/gc-config.js) in the
+// validated `config` (from gcConfig.loadConfig()) to this deleter. Changes to
+// any other fields are logged and ignored, since they require a restart.
+// Returns the result of gcConfig.diffConfig(). The config is loaded (and
+// validated) once by the caller so that every deleter in the process applies
+// the same config, and failures to load it are counted by the caller (see
+// bin/garbage-deleter.js).
+//
+GarbageDeleter.prototype.applyConfig = function applyConfig(config) {
+    var self = this;
+
+    assert.object(config, 'config');
+
+    var diff = gcConfig.diffConfig(self.config, config);
+    var newConfig = {};
+    var options = {};
+
+    // We modify the config below, so take a copy to leave the caller's one
+    // for the other deleters.
+    Object.keys(config).forEach(function _copy(name) {
+        newConfig[name] = config[name];
+    });
+    config = newConfig;
+
+    if (diff.rejected.length > 0) {
+        self.log.warn(
+            {
+                fields: diff.rejected
+            },
+            'Ignoring config changes which require a restart.'
+        );
+
+        // Keep the running values, so we keep rejecting these until the
+        // service is restarted.
+        diff.rejected.forEach(function _keepRunning(name) {
+            config[name] = self.config[name];
+        });
+    }
+
+    diff.changed.forEach(function _addOption(name) {
+        var optName = gcConfig.TUNABLES[name].option;
+
+        if (optName) {
+            options[optName] = config[name];
+        }
+    });
+
+    // The process logger's level is set by the caller, but a named deleter
+    // logs through a child with its own level.
+    if (diff.changed.indexOf('log_level') !== -1) {
+        self.log.level(config.log_level);
+    }
+
+    self.reconfigure(options);
+    self.config = config;
+
+    if (diff.changed.length > 0) {
+        self.configGeneration++;
+        self.setGauge('configGeneration', self.configGeneration);
+    }
+
+    self.addCounter('configReloads', 1, {result: 'success'});
+    self.log.info(
+        {
+            changed: diff.changed,
+            configGeneration: self.configGeneration,
+            rejected: diff.rejected
+        },
+        'Reloaded config.'
+    );
+
+    return diff;
+};
+
+//
+// Stop starting new runs (and stop processing new files in the current run)
+// until resume() is called. Any files which are currently being processed
+// will be completed.
+//
+GarbageDeleter.prototype.pause = function pause() {
+    var self = this;
+
+    if (!self.paused) {
+        self.log.info({currentFiles: self.currentFiles}, 'Pausing deleter.');
+        self.paused = true;
+    }
+};
+
+GarbageDeleter.prototype.resume = function resume() {
+    var self = this;
+
+    if (self.paused) {
+        self.log.info('Resuming deleter.');
+        self.paused = false;
+        self.runAsap();
+    }
+};
+
+//
+// Calls callback(err, status) with an object describing the current state of
+// this deleter. This counts the files in the instruction dir rather than
+// using the instructionFilesQueued gauge so that the value is current.
+//
+GarbageDeleter.prototype.getStatus = function getStatus(callback) {
+    var self = this;
+
+    assert.func(callback, 'callback');
+
+    function _isoTime(ms) {
+        return ms ? new Date(ms).toISOString() : null;
+    }
+
+    self.fsReaddir(self.instructionDir, function _onReaddir(err, files) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        callback(null, {
+            configGeneration: self.configGeneration,
+            // currentFile is the oldest of currentFiles, kept for consumers
+            // from before files were processed in parallel.
+            currentFile:
+                self.currentFiles.length > 0 ? self.currentFiles[0] : null,
+            currentFiles: self.currentFiles.slice(),
+            lastRun: _isoTime(self.lastRun),
+            lastRunCompleted: _isoTime(self.lastRunCompleted),
+            queued: queuedFiles(files).length,
+            running: self.running,
+            state: self.paused ? 'paused' : 'running'
+        });
+    });
+};
+
+//
+// This counts how many instructions files are in the instruction dir and how
+// old the oldest of them is, updates the metrics, and then schedules the next
+// check.
 //
 GarbageDeleter.prototype.countQueue = function countQueue() {
     var self = this;
 
     self.fsReaddir(self.instructionDir, function _onReaddir(err, files) {
-        if (!err) {
-            self.setGauge('instructionFilesQueued', files.length);
-        } else {
+        function _scheduleNext() {
+            if (self.stopping) {
+                return;
+            }
+
+            // schedule next check
+            self.queueCounterTimer = setTimeout(
+                self.countQueue.bind(self),
+                QUEUE_CHECK_FREQ
+            );
+        }
+
+        if (err) {
             self.log.warn(
                 {
                     dir: self.instructionDir,
@@ -1009,18 +3982,252 @@ GarbageDeleter.prototype.countQueue = function countQueue() {
                 },
                 'Failed to read instruction dir to count files.'
             );
+            _scheduleNext();
+            return;
         }
 
-        if (self.stopping) {
-            return;
+        self.setGauge('instructionFilesQueued', queuedFiles(files).length);
+
+        // This updates the instructionFilesOldestAgeSeconds gauge.
+        self.orderInstructionFiles(files, _scheduleNext);
+    });
+};
+
+//
+// This walks the quarantine directory, purging any objects that have been in
+// quarantine longer than self.quarantineRetention ms (and any directories left
+// empty as a result), updates the quarantine metrics, and then schedules the
+// next check. Calls callback(err) (if passed) when complete.
+//
+GarbageDeleter.prototype.reapQuarantine = function reapQuarantine(callback) {
+    var self = this;
+
+    assert.optionalFunc(callback, 'callback');
+
+    var beginning = process.hrtime();
+    var now = Date.now();
+    var oldest = now;
+    var stats = {
+        bytes: 0,
+        files: 0,
+        reapedBytes: 0,
+        reapedFiles: 0
+    };
+
+    //
+    // Walk `dir` calling cb(err, isEmpty) where isEmpty indicates that
+    // everything in the directory was removed.
+    //
+    function _walk(dir, cb) {
+        self.fsReaddir(dir, function _onReaddir(readErr, entries) {
+            var remaining;
+
+            if (readErr) {
+                cb(readErr);
+                return;
+            }
+
+            remaining = entries.length;
+
+            vasync.forEachPipeline(
+                {
+                    func: function _checkEntry(entry, next) {
+                        var entryPath = path.join(dir, entry);
+
+                        self.fsLstat(entryPath, function _onStat(statErr, st) {
+                            if (statErr) {
+                                if (statErr.code === 'ENOENT') {
+                                    remaining--;
+                                    statErr = null;
+                                }
+                                next(statErr);
+                                return;
+                            }
+
+                            if (st.isDirectory()) {
+                                _walkSubdir(entryPath, function _onWalk(e, r) {
+                                    if (r) {
+                                        remaining--;
+                                    }
+                                    next(e);
+                                });
+                                return;
+                            }
+
+                            if (
+                                now - st.mtime.getTime() <
+                                self.quarantineRetention
+                            ) {
+                                stats.bytes += st.size;
+                                stats.files++;
+                                oldest = Math.min(oldest, st.mtime.getTime());
+                                next();
+                                return;
+                            }
+
+                            self.fsUnlink(entryPath, function _onUnlink(e) {
+                                if (e && e.code !== 'ENOENT') {
+                                    next(e);
+                                    return;
+                                }
+                                remaining--;
+                                stats.reapedBytes += st.size;
+                                stats.reapedFiles++;
+                                next();
+                            });
+                        });
+                    },
+                    inputs: entries
+                },
+                function _walked(err) {
+                    cb(err, remaining === 0);
+                }
+            );
+        });
+    }
+
+    //
+    // Walk a subdirectory then remove it if it is now empty. Calls
+    // cb(err, removed).
+    //
+    function _walkSubdir(dir, cb) {
+        _walk(dir, function _onWalk(err, isEmpty) {
+            if (err || !isEmpty) {
+                cb(err, false);
+                return;
+            }
+
+            self.fsRmdir(dir, function _onRmdir(rmErr) {
+                if (rmErr) {
+                    // If an object was quarantined into this directory while
+                    // we were walking it, it's not empty any more and we'll
+                    // look at it again next time.
+                    if (rmErr.code === 'EEXIST' || rmErr.code === 'ENOTEMPTY') {
+                        cb(null, false);
+                        return;
+                    }
+                    if (rmErr.code !== 'ENOENT') {
+                        cb(rmErr, false);
+                        return;
+                    }
+                }
+                cb(null, true);
+            });
+        });
+    }
+
+    _walk(self.quarantineDir, function _onReaped(err) {
+        if (err && err.code === 'ENOENT' && err.path === self.quarantineDir) {
+            // Nothing has been quarantined yet.
+            err = null;
         }
 
-        // schedule next check
-        self.queueCounterTimer = setTimeout(
-            self.countQueue.bind(self),
-            QUEUE_CHECK_FREQ
-        );
+        if (err) {
+            self.log.warn(
+                {
+                    dir: self.quarantineDir,
+                    err: err
+                },
+                'Failed to reap quarantine dir.'
+            );
+        } else {
+            self.addCounter('quarantineReapedBytes', stats.reapedBytes);
+            self.addCounter('quarantineReapedFiles', stats.reapedFiles);
+            self.setGauge('quarantineBytes', stats.bytes);
+            self.setGauge('quarantineFiles', stats.files);
+            self.setGauge('quarantineOldestAgeSeconds', (now - oldest) / 1000);
+
+            self.log.info(
+                {
+                    elapsed: elapsedSince(beginning),
+                    stats: stats
+                },
+                'Reaped quarantine.'
+            );
+        }
+
+        if (self.quarantine && !self.stopping) {
+            // schedule next check
+            clearTimeout(self.quarantineReaperTimer);
+            self.quarantineReaperTimer = setTimeout(
+                self.reapQuarantine.bind(self),
+                QUARANTINE_REAP_FREQ
+            );
+        }
+
+        if (callback) {
+            callback(err);
+        }
     });
 };
 
+//
+// This applies the retention limits (see BAD_INSTRUCTION_PRUNE_FREQ) to the
+// bad_instructions directory, updates the bad_instructions metrics, logs a
+// summary of what was pruned, and then schedules the next check. Calls
+// callback(err) (if passed) when complete.
+//
+GarbageDeleter.prototype.pruneBadInstructions = function pruneBadInstructions(
+    callback
+) {
+    var self = this;
+
+    assert.optionalFunc(callback, 'callback');
+
+    var beginning = process.hrtime();
+
+    badInstructionRetention.pruneBadInstructions(
+        {
+            dir: self.badInstructionDir,
+            lstat: self.fsLstat,
+            maxAge: self.badInstructionMaxAge,
+            maxBytes: self.badInstructionMaxBytes,
+            maxFiles: self.badInstructionMaxFiles,
+            readdir: self.fsReaddir,
+            unlink: self.fsUnlink
+        },
+        function _onPruned(err, stats) {
+            // Anything pruned before an error is gone, so is always counted.
+            self.addCounter('badInstructionPrunedBytes', stats.prunedBytes);
+            self.addCounter('badInstructionPrunedFiles', stats.prunedFiles);
+
+            if (err) {
+                self.log.warn(
+                    {
+                        dir: self.badInstructionDir,
+                        err: err,
+                        stats: stats
+                    },
+                    'Failed to prune bad instructions dir.'
+                );
+            } else {
+                self.setGauge('badInstructionBytes', stats.bytes);
+                self.setGauge('badInstructionFiles', stats.files);
+
+                self.log[stats.prunedFiles > 0 ? 'info' : 'debug'](
+                    {
+                        dir: self.badInstructionDir,
+                        elapsed: elapsedSince(beginning),
+                        stats: stats
+                    },
+                    'Pruned bad instructions dir.'
+                );
+            }
+
+            if (!self.stopping) {
+                // schedule next check
+                clearTimeout(self.badInstructionPruneTimer);
+                self.badInstructionPruneTimer = setTimeout(
+                    self.pruneBadInstructions.bind(self),
+                    BAD_INSTRUCTION_PRUNE_FREQ
+                );
+            }
+
+            if (callback) {
+                callback(err);
+            }
+        }
+    );
+};
+
 module.exports = GarbageDeleter;
@@ -0,0 +1,901 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+//
+// This handles loading and validating the garbage-deleter config file
+// (gc_config.json), which is rendered by config-agent from
+// sapi_manifests/gc/template.
+//
+// The identity fields (admin_ip, datacenter, instance, manta_storage_id and
+// server_uuid) are always rendered by config-agent, so if any that are
+// required are missing or invalid, loading the config fails with an
+// InvalidConfigError.
+//
+// Every other field is a tunable which is optional. If a tunable is missing,
+// or is invalid (e.g. the wrong type or out of range), a warning is logged
+// and the default below is used. A default of null means the GarbageDeleter
+// picks the value based on other options (see lib/garbage-deleter.js).
+//
+// The tunables are set via SAPI metadata with the key being the config name
+// in upper case, prefixed with 'GC_'. For example, concurrent_deletes is set
+// by the GC_CONCURRENT_DELETES metadata key. Note that the template treats a
+// numeric value of 0 as unset, so to set a tunable to 0 the metadata value
+// must be the string "0".
+//
+// To run several deleters in the one garbage-deleter process (e.g. for a
+// storage zone with an additional dataset), deleters is set to a list with
+// an object for each, which has a `name` (letters, digits, '_' and '-' only,
+// used to label its metrics) and its own `instruction_dir` and
+// `bad_instruction_dir`. Each can also set any of the other INSTANCE_FIELDS
+// below. Those not set are derived from its own directories as usual (rather
+// than taken from the top-level config), except that:
+//
+//  - manta_root defaults to the top-level manta_root
+//  - reclaimed_rollup_file defaults to the top-level reclaimed_rollup_file
+//    with '.<name>' added before the extension
+//  - audit_journal_dir defaults to '<name>' under the top-level
+//    audit_journal_dir (or no audit journal if that isn't set)
+//  - quarantine_dir defaults to '<name>' under the top-level quarantine_dir
+//    (or under <manta_root>/manta_gc/quarantine if that isn't set)
+//
+// so that deleters never share any of the files or directories they write.
+// All of the other tunables apply to every deleter, with concurrent_deletes
+// limiting the deletes in flight across all of them together. Since the
+// template can't render a list of objects as JSON, the GC_DELETERS metadata
+// value is the JSON string for the list, which is rendered as-is.
+//
+// The garbage-deleter re-reads the config on SIGHUP. Tunables marked with a
+// '*' below are applied to the running deleter, changes to any other field
+// are rejected (and logged) until the service is restarted.
+//
+//  CONFIG NAME                     DEFAULT
+//  audit_journal_dir               null (no audit journal)
+//  audit_journal_max_file_size     104857600 (bytes)
+//  audit_journal_max_files         10
+//  audit_journal_max_pending       100000 (records)
+//  bad_instruction_dir             /manta/manta_gc/bad_instructions
+//  bad_instruction_max_age*        0 (ms, 0 for unlimited)
+//  bad_instruction_max_bytes*      0 (0 for unlimited)
+//  bad_instruction_max_files*      0 (0 for unlimited)
+//  concurrent_deletes*             10
+//  concurrent_files*               4
+//  deferred_instruction_dir        null (next to bad_instruction_dir)
+//  delete_retry_delay*             100 (ms)
+//  delete_time_window              60000 (ms, 0 for since start)
+//  deleters                        [] (a single deleter, see above)
+//  drain_timeout*                  25000 (ms)
+//  duplicate_max_paths             100000
+//  duplicate_window                3600000 (ms, 0 to disable)
+//  instruction_dir                 /manta/manta_gc/instructions
+//  instruction_order*              mtime (oldest first by mtime or 'filename')
+//  log_level*                      info
+//  manta_root                      /manta
+//  max_delete_bytes_per_second*    0 (unlimited)
+//  max_delete_objects_per_second*  0 (unlimited)
+//  max_delete_retries*             5
+//  max_line_length*                2048
+//  max_lines*                      100000
+//  max_run_wait*                   300000 (ms)
+//  metrics_port                    8881
+//  min_object_age*                 0 (ms, 0 to disable)
+//  min_run_freq*                   1000 (ms)
+//  misdirected_instruction_dir     null (next to bad_instruction_dir)
+//  mismatch_instruction_dir        null (next to bad_instruction_dir)
+//  prune_empty_dirs*               false
+//  quarantine                      false
+//  quarantine_dir                  null (<manta_root>/manta_gc/quarantine)
+//  quarantine_retention            86400000 (ms)
+//  reclaimed_by_account            false
+//  reclaimed_rollup_file           /var/tmp/mako_rollup/gc_reclaimed.out
+//  reclaimed_rollup_freq           300000 (ms)
+//  storage_id_aliases*             [] (list, or comma separated string)
+//  verify_size*                    false
+//
+
+var fs = require('fs');
+var path = require('path');
+
+var assert = require('assert-plus');
+var VError = require('verror').VError;
+
+var DEFAULT_CONFIG_FILE = '/opt/smartdc/mako/etc/gc_config.json';
+
+//
+// The fields which can be set for each of the deleters in the 'deleters'
+// tunable (in addition to its name). Each is the name of a 'path' tunable.
+//
+var INSTANCE_FIELDS = [
+    'audit_journal_dir',
+    'bad_instruction_dir',
+    'deferred_instruction_dir',
+    'instruction_dir',
+    'manta_root',
+    'misdirected_instruction_dir',
+    'mismatch_instruction_dir',
+    'quarantine_dir',
+    'reclaimed_rollup_file'
+];
+var INSTANCE_NAME_RE = /^[a-zA-Z0-9_-]+$/;
+// The INSTANCE_FIELDS each deleter in 'deleters' must set.
+var INSTANCE_REQUIRED_FIELDS = ['bad_instruction_dir', 'instruction_dir'];
+
+var IDENTITY_FIELDS = [
+    'admin_ip',
+    'datacenter',
+    'instance',
+    'manta_storage_id',
+    'server_uuid'
+];
+
+var LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+//
+// Each tunable has:
+//
+//  type    - 'boolean', 'integer', 'number', 'path' (an absolute path),
+//            'enum' (one of `values`), 'list' (an array of non-empty
+//            strings, which can also be given as a comma separated string)
+//            or 'instances' (an array of deleters, see checkInstances())
+//  default - the value used when missing or invalid
+//  min/max - (optional) the range of valid values for numeric types
+//  option  - (optional) the name of the GarbageDeleter option this is passed
+//            through as (see deleterOptions())
+//  reloadable - (optional) true if a change can be applied to a running
+//            GarbageDeleter (see diffConfig())
+//
+var TUNABLES = {
+    audit_journal_dir: {
+        default: null,
+        option: 'auditJournalDir',
+        type: 'path'
+    },
+    audit_journal_max_file_size: {
+        default: 104857600,
+        min: 1,
+        option: 'auditJournalMaxFileSize',
+        type: 'integer'
+    },
+    audit_journal_max_files: {
+        default: 10,
+        min: 0,
+        option: 'auditJournalMaxFiles',
+        type: 'integer'
+    },
+    audit_journal_max_pending: {
+        default: 100000,
+        min: 1,
+        option: 'auditJournalMaxPending',
+        type: 'integer'
+    },
+    bad_instruction_dir: {
+        default: '/manta/manta_gc/bad_instructions',
+        option: 'badInstructionDir',
+        type: 'path'
+    },
+    bad_instruction_max_age: {
+        default: 0,
+        min: 0,
+        option: 'badInstructionMaxAge',
+        reloadable: true,
+        type: 'integer'
+    },
+    bad_instruction_max_bytes: {
+        default: 0,
+        min: 0,
+        option: 'badInstructionMaxBytes',
+        reloadable: true,
+        type: 'integer'
+    },
+    bad_instruction_max_files: {
+        default: 0,
+        min: 0,
+        option: 'badInstructionMaxFiles',
+        reloadable: true,
+        type: 'integer'
+    },
+    concurrent_deletes: {
+        default: 10,
+        min: 1,
+        option: 'concurrentDeletes',
+        reloadable: true,
+        type: 'integer'
+    },
+    concurrent_files: {
+        default: 4,
+        min: 1,
+        option: 'concurrentFiles',
+        reloadable: true,
+        type: 'integer'
+    },
+    deferred_instruction_dir: {
+        default: null,
+        option: 'deferredInstructionDir',
+        type: 'path'
+    },
+    delete_retry_delay: {
+        default: 100,
+        min: 0,
+        option: 'deleteRetryDelay',
+        reloadable: true,
+        type: 'integer'
+    },
+    delete_time_window: {
+        default: 60000,
+        min: 0,
+        option: 'deleteTimeWindow',
+        type: 'integer'
+    },
+    deleters: {
+        default: [],
+        type: 'instances'
+    },
+    drain_timeout: {
+        default: 25000,
+        min: 1,
+        option: 'drainTimeout',
+        reloadable: true,
+        type: 'integer'
+    },
+    duplicate_max_paths: {
+        default: 100000,
+        min: 1,
+        option: 'duplicateMaxPaths',
+        type: 'integer'
+    },
+    duplicate_window: {
+        default: 3600000,
+        min: 0,
+        option: 'duplicateWindow',
+        type: 'integer'
+    },
+    instruction_dir: {
+        default: '/manta/manta_gc/instructions',
+        option: 'instructionDir',
+        type: 'path'
+    },
+    instruction_order: {
+        default: 'mtime',
+        option: 'instructionOrder',
+        reloadable: true,
+        type: 'enum',
+        values: ['filename', 'mtime']
+    },
+    log_level: {
+        default: 'info',
+        reloadable: true,
+        type: 'enum',
+        values: LOG_LEVELS
+    },
+    manta_root: {
+        default: '/manta',
+        option: 'mantaRoot',
+        type: 'path'
+    },
+    max_delete_bytes_per_second: {
+        default: 0,
+        min: 0,
+        option: 'maxDeleteBytesPerSecond',
+        reloadable: true,
+        type: 'number'
+    },
+    max_delete_objects_per_second: {
+        default: 0,
+        min: 0,
+        option: 'maxDeleteObjectsPerSecond',
+        reloadable: true,
+        type: 'number'
+    },
+    max_delete_retries: {
+        default: 5,
+        min: 0,
+        option: 'maxDeleteRetries',
+        reloadable: true,
+        type: 'integer'
+    },
+    max_line_length: {
+        default: 2048,
+        min: 1,
+        option: 'maxLineLength',
+        reloadable: true,
+        type: 'integer'
+    },
+    max_lines: {
+        default: 100000,
+        min: 1,
+        option: 'maxLines',
+        reloadable: true,
+        type: 'integer'
+    },
+    max_run_wait: {
+        default: 300000,
+        min: 1,
+        option: 'maxRunWait',
+        reloadable: true,
+        type: 'integer'
+    },
+    metrics_port: {
+        default: 8881,
+        max: 65535,
+        min: 1,
+        type: 'integer'
+    },
+    min_object_age: {
+        default: 0,
+        min: 0,
+        option: 'minObjectAge',
+        reloadable: true,
+        type: 'integer'
+    },
+    min_run_freq: {
+        default: 1000,
+        min: 1,
+        option: 'minRunFreq',
+        reloadable: true,
+        type: 'integer'
+    },
+    misdirected_instruction_dir: {
+        default: null,
+        option: 'misdirectedInstructionDir',
+        type: 'path'
+    },
+    mismatch_instruction_dir: {
+        default: null,
+        option: 'mismatchInstructionDir',
+        type: 'path'
+    },
+    prune_empty_dirs: {
+        default: false,
+        option: 'pruneEmptyDirs',
+        reloadable: true,
+        type: 'boolean'
+    },
+    quarantine: {
+        default: false,
+        option: 'quarantine',
+        type: 'boolean'
+    },
+    quarantine_dir: {
+        default: null,
+        option: 'quarantineDir',
+        type: 'path'
+    },
+    quarantine_retention: {
+        default: 86400000,
+        min: 0,
+        option: 'quarantineRetention',
+        type: 'integer'
+    },
+    reclaimed_by_account: {
+        default: false,
+        option: 'reclaimedByAccount',
+        type: 'boolean'
+    },
+    reclaimed_rollup_file: {
+        default: '/var/tmp/mako_rollup/gc_reclaimed.out',
+        option: 'reclaimedRollupFile',
+        type: 'path'
+    },
+    reclaimed_rollup_freq: {
+        default: 300000,
+        min: 1,
+        option: 'reclaimedRollupFreq',
+        type: 'integer'
+    },
+    storage_id_aliases: {
+        default: [],
+        option: 'storageIdAliases',
+        reloadable: true,
+        type: 'list'
+    },
+    verify_size: {
+        default: false,
+        option: 'verifySize',
+        reloadable: true,
+        type: 'boolean'
+    }
+};
+
+//
+// Returns a string describing why `value` is not valid for the 'instances'
+// tunable, or null if it is valid. It must be an array of objects, each with
+// a unique `name` matching INSTANCE_NAME_RE and any of the INSTANCE_FIELDS
+// (which must be absolute paths). The INSTANCE_REQUIRED_FIELDS must be set,
+// and be unique across the deleters.
+//
+function checkInstances(value) {
+    var idx;
+    var instance;
+    var problem;
+    var seen = {};
+
+    if (!Array.isArray(value)) {
+        return 'must be an array';
+    }
+
+    function _checkField(field) {
+        if (field === 'name') {
+            return;
+        }
+        if (INSTANCE_FIELDS.indexOf(field) === -1) {
+            problem = 'unknown field "' + field + '"';
+        } else if (
+            typeof instance[field] !== 'string' ||
+            !path.isAbsolute(instance[field])
+        ) {
+            problem = field + ' must be an absolute path';
+        }
+    }
+
+    function _checkUnique(field) {
+        var key = field + '=' + instance[field];
+
+        if (instance[field] === undefined) {
+            problem = field + ' is required';
+        } else if (seen.hasOwnProperty(key)) {
+            problem = 'duplicate ' + field + ' "' + instance[field] + '"';
+        }
+        seen[key] = true;
+    }
+
+    for (idx = 0; idx < value.length; idx++) {
+        instance = value[idx];
+
+        if (
+            typeof instance !== 'object' ||
+            instance === null ||
+            Array.isArray(instance)
+        ) {
+            return 'deleter ' + idx + ' must be an object';
+        }
+        if (
+            typeof instance.name !== 'string' ||
+            !INSTANCE_NAME_RE.test(instance.name)
+        ) {
+            return 'deleter ' + idx + ' name must match ' + INSTANCE_NAME_RE;
+        }
+
+        Object.keys(instance).forEach(_checkField);
+        ['name'].concat(INSTANCE_REQUIRED_FIELDS).forEach(_checkUnique);
+        if (problem) {
+            return 'deleter "' + instance.name + '" ' + problem;
+        }
+    }
+
+    return null;
+}
+
+//
+// Returns the array of (copies of) the deleters for the (valid) 'instances'
+// tunable value `value`.
+//
+function parseInstances(value) {
+    return value.map(function _copyInstance(instance) {
+        var copy = {};
+
+        Object.keys(instance).forEach(function _copyField(field) {
+            copy[field] = instance[field];
+        });
+
+        return copy;
+    });
+}
+
+//
+// Returns a string describing why `value` is not valid for the tunable
+// `schema`, or null if it is valid.
+//
+function checkTunable(schema, value) {
+    switch (schema.type) {
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return 'must be a boolean';
+            }
+            return null;
+        case 'enum':
+            if (schema.values.indexOf(value) === -1) {
+                return 'must be one of: ' + schema.values.join(', ');
+            }
+            return null;
+        case 'instances':
+            return checkInstances(value);
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !isFinite(value)) {
+                return 'must be a number';
+            }
+            if (schema.type === 'integer' && Math.floor(value) !== value) {
+                return 'must be an integer';
+            }
+            if (schema.min !== undefined && value < schema.min) {
+                return 'must be >= ' + schema.min;
+            }
+            if (schema.max !== undefined && value > schema.max) {
+                return 'must be <= ' + schema.max;
+            }
+            return null;
+        case 'list':
+            if (
+                typeof value !== 'string' &&
+                (!Array.isArray(value) ||
+                    !value.every(function _isNonEmpty(item) {
+                        return typeof item === 'string' && item.length > 0;
+                    }))
+            ) {
+                return 'must be an array of strings or a comma separated string';
+            }
+            return null;
+        case 'path':
+            if (typeof value !== 'string' || !path.isAbsolute(value)) {
+                return 'must be an absolute path';
+            }
+            return null;
+        default:
+            throw new Error('unknown tunable type: ' + schema.type);
+    }
+}
+
+//
+// Returns the array for the (valid) 'list' tunable value `value`.
+//
+function parseList(value) {
+    if (Array.isArray(value)) {
+        return value.slice();
+    }
+
+    return value
+        .split(',')
+        .map(function _trim(item) {
+            return item.trim();
+        })
+        .filter(function _isNonEmpty(item) {
+            return item.length > 0;
+        });
+}
+
+//
+// Returns true if the tunable values `a` and `b` are the same.
+//
+function sameValue(a, b) {
+    var keys;
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return (
+            a.length === b.length &&
+            a.every(function _sameItem(item, idx) {
+                return sameValue(item, b[idx]);
+            })
+        );
+    }
+
+    // The deleters in the 'instances' tunable.
+    if (
+        typeof a === 'object' &&
+        a !== null &&
+        typeof b === 'object' &&
+        b !== null
+    ) {
+        keys = Object.keys(a);
+        return (
+            keys.length === Object.keys(b).length &&
+            keys.every(function _sameField(k) {
+                return b.hasOwnProperty(k) && sameValue(a[k], b[k]);
+            })
+        );
+    }
+
+    return a === b;
+}
+
+//
+// Returns a string describing why `value` is not valid for the identity field
+// `field`, or null if it is valid.
+//
+function checkIdentity(field, value) {
+    if (typeof value !== 'string' || value.length === 0) {
+        return 'must be a non-empty string';
+    }
+    if (
+        (field === 'instance' || field === 'server_uuid') &&
+        !UUID_RE.test(value)
+    ) {
+        return 'must be a UUID';
+    }
+    return null;
+}
+
+//
+// Validate the parsed config object `raw` and return a new config object with
+// every tunable set (to the default if missing or invalid). Warnings are
+// logged to opts.log for invalid tunables and unknown fields. Throws an
+// InvalidConfigError if any of the identity fields in opts.required are
+// invalid.
+//
+function validateConfig(raw, opts) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalArrayOfString(opts.required, 'opts.required');
+    assert.optionalString(opts.filename, 'opts.filename');
+
+    var config = {};
+    var errors = [];
+    var required = opts.required || IDENTITY_FIELDS;
+
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+        throw new VError(
+            {
+                info: {filename: opts.filename},
+                name: 'InvalidConfigError'
+            },
+            'config must be a JSON object'
+        );
+    }
+
+    IDENTITY_FIELDS.forEach(function _checkIdentity(field) {
+        var problem;
+
+        if (!raw.hasOwnProperty(field)) {
+            if (required.indexOf(field) !== -1) {
+                errors.push(field + ' is required');
+            }
+            return;
+        }
+
+        problem = checkIdentity(field, raw[field]);
+        if (problem && required.indexOf(field) !== -1) {
+            errors.push(field + ' ' + problem);
+            return;
+        }
+
+        config[field] = raw[field];
+    });
+
+    if (errors.length > 0) {
+        throw new VError(
+            {
+                info: {errors: errors, filename: opts.filename},
+                name: 'InvalidConfigError'
+            },
+            'invalid config%s: %s',
+            opts.filename ? ' "' + opts.filename + '"' : '',
+            errors.join(', ')
+        );
+    }
+
+    Object.keys(TUNABLES).forEach(function _checkTunable(name) {
+        var problem;
+        var schema = TUNABLES[name];
+
+        config[name] = schema.default;
+
+        if (!raw.hasOwnProperty(name)) {
+            return;
+        }
+
+        problem = checkTunable(schema, raw[name]);
+        if (problem) {
+            opts.log.warn(
+                {
+                    default: schema.default,
+                    name: name,
+                    value: raw[name]
+                },
+                'Invalid config value (%s), using default.',
+                problem
+            );
+            return;
+        }
+
+        if (schema.type === 'list') {
+            config[name] = parseList(raw[name]);
+        } else if (schema.type === 'instances') {
+            config[name] = parseInstances(raw[name]);
+        } else {
+            config[name] = raw[name];
+        }
+    });
+
+    Object.keys(raw).forEach(function _checkKnown(name) {
+        if (
+            IDENTITY_FIELDS.indexOf(name) === -1 &&
+            !TUNABLES.hasOwnProperty(name)
+        ) {
+            opts.log.warn({name: name}, 'Ignoring unknown config field.');
+        }
+    });
+
+    return config;
+}
+
+//
+// Load the config file opts.filename (default: DEFAULT_CONFIG_FILE) and call
+// callback(err, config) with the validated config (see validateConfig()).
+// opts.required can be passed to limit which identity fields are required (by
+// default they all are).
+//
+function loadConfig(opts, callback) {
+    assert.object(opts, 'opts');
+    assert.object(opts.log, 'opts.log');
+    assert.optionalString(opts.filename, 'opts.filename');
+    assert.optionalArrayOfString(opts.required, 'opts.required');
+    assert.func(callback, 'callback');
+
+    var filename = opts.filename || DEFAULT_CONFIG_FILE;
+
+    opts.log.trace({filename: filename}, 'Loading config from file.');
+
+    fs.readFile(filename, function _onReadFile(err, data) {
+        var config;
+        var raw;
+
+        if (err) {
+            callback(
+                new VError(
+                    {
+                        cause: err,
+                        info: {filename: filename},
+                        name: 'InvalidConfigError'
+                    },
+                    'failed to read config "%s"',
+                    filename
+                )
+            );
+            return;
+        }
+
+        try {
+            raw = JSON.parse(data.toString('utf8'));
+        } catch (e) {
+            callback(
+                new VError(
+                    {
+                        cause: e,
+                        info: {filename: filename},
+                        name: 'InvalidConfigError'
+                    },
+                    'failed to parse config "%s"',
+                    filename
+                )
+            );
+            return;
+        }
+
+        try {
+            config = validateConfig(raw, {
+                filename: filename,
+                log: opts.log,
+                required: opts.required
+            });
+        } catch (e) {
+            callback(e);
+            return;
+        }
+
+        callback(null, config);
+    });
+}
+
+//
+// Return the GarbageDeleter options for the tunables in the validated
+// `config`. Tunables with a null value are left out so that the GarbageDeleter
+// will choose the value.
+//
+function deleterOptions(config) {
+    assert.object(config, 'config');
+
+    var options = {};
+
+    Object.keys(TUNABLES).forEach(function _addOption(name) {
+        var schema = TUNABLES[name];
+
+        if (schema.option && config[name] !== null) {
+            options[schema.option] = config[name];
+        }
+    });
+
+    return options;
+}
+
+//
+// Return an array with an object for each of the deleters to run for the
+// validated `config`, with:
+//
+//  name    - the name of the deleter, or null when `deleters` is empty, in
+//            which case there's just the one deleter using the top-level
+//            config
+//  options - the GarbageDeleter options for the deleter (see
+//            deleterOptions())
+//
+function instanceOptions(config) {
+    assert.object(config, 'config');
+    assert.array(config.deleters, 'config.deleters');
+
+    if (config.deleters.length === 0) {
+        return [{name: null, options: deleterOptions(config)}];
+    }
+
+    return config.deleters.map(function _instanceOptions(instance) {
+        var ext = path.extname(config.reclaimed_rollup_file);
+        var options = deleterOptions(config);
+
+        INSTANCE_FIELDS.forEach(function _setField(field) {
+            var optName = TUNABLES[field].option;
+
+            if (instance.hasOwnProperty(field)) {
+                options[optName] = instance[field];
+            } else if (field === 'reclaimed_rollup_file') {
+                options[optName] = path.join(
+                    path.dirname(config.reclaimed_rollup_file),
+                    path.basename(config.reclaimed_rollup_file, ext) +
+                        '.' +
+                        instance.name +
+                        ext
+                );
+            } else if (field === 'audit_journal_dir' && config[field]) {
+                options[optName] = path.join(config[field], instance.name);
+            } else if (field !== 'manta_root' && field !== 'quarantine_dir') {
+                delete options[optName];
+            }
+        });
+
+        // The default quarantine_dir depends on the deleter's manta_root, so
+        // is set once we have that.
+        if (!instance.hasOwnProperty('quarantine_dir')) {
+            options.quarantineDir = path.join(
+                config.quarantine_dir ||
+                    path.join(options.mantaRoot, 'manta_gc', 'quarantine'),
+                instance.name
+            );
+        }
+
+        return {name: instance.name, options: options};
+    });
+}
+
+//
+// Compare two validated configs and return an object with:
+//
+//  changed  - the names of the reloadable tunables whose values differ
+//  rejected - the names of all other fields (including identity fields) whose
+//             values differ, and which can only be changed with a restart
+//
+function diffConfig(oldConfig, newConfig) {
+    assert.object(oldConfig, 'oldConfig');
+    assert.object(newConfig, 'newConfig');
+
+    var diff = {
+        changed: [],
+        rejected: []
+    };
+
+    IDENTITY_FIELDS.concat(Object.keys(TUNABLES)).forEach(function _cmp(name) {
+        if (sameValue(oldConfig[name], newConfig[name])) {
+            return;
+        }
+
+        if (TUNABLES.hasOwnProperty(name) && TUNABLES[name].reloadable) {
+            diff.changed.push(name);
+        } else {
+            diff.rejected.push(name);
+        }
+    });
+
+    return diff;
+}
+
+module.exports = {
+    DEFAULT_CONFIG_FILE: DEFAULT_CONFIG_FILE,
+    deleterOptions: deleterOptions,
+    diffConfig: diffConfig,
+    instanceOptions: instanceOptions,
+    loadConfig: loadConfig,
+    TUNABLES: TUNABLES,
+    validateConfig: validateConfig
+};
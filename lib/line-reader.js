@@ -0,0 +1,251 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+//
+// Streams the lines of an instruction file without holding more than one read
+// chunk (plus at most maxLineLength + 1 characters of a partial line) in
+// memory, no matter how large the file is.
+//
+// Empty lines, and lines starting with '#' (the comments added to the lines
+// written to bad_instructions, see GarbageDeleter.spoolBadLines()) are
+// skipped. Each of the other lines is passed to func(line, idx, next) in
+// order, where `idx` is the 0-based index of the line (not counting those
+// skipped). The next line is not passed to func until next() is called, and
+// reading is paused while func has lines waiting, so the caller controls how
+// far ahead of its processing the reading gets.
+//
+// Once the file has been read, callback(err, count) is called with the number
+// of lines. The limits are the same as when the whole file was read in at
+// once, so `err` is one of (in order of precedence):
+//
+//  FileTooBigError     - the file is larger than maxLines * (maxLineLength + 1)
+//                        bytes (in which case we stop reading there)
+//  TooManyLinesError   - there are more than maxLines lines
+//  LineTooLongError    - a line is longer than maxLineLength
+//
+// or an error from reading the file. Since the errors take precedence in that
+// order, after a line which is too long (or once there are too many lines) no
+// further lines are passed to func, but the rest of the file is still read to
+// check its size and count its lines. The lines before that will already have
+// been passed to func, so callers which must not act on an invalid file should
+// read it through once (with a func that just calls next()) first.
+//
+
+var fs = require('fs');
+var StringDecoder = require('string_decoder').StringDecoder;
+var util = require('util');
+
+var assert = require('assert-plus');
+var VError = require('verror').VError;
+
+function forEachLine(opts, func, callback) {
+    assert.object(opts, 'opts');
+    assert.optionalFunc(opts.createReadStream, 'opts.createReadStream');
+    assert.string(opts.filename, 'opts.filename');
+    assert.number(opts.maxLineLength, 'opts.maxLineLength');
+    assert.number(opts.maxLines, 'opts.maxLines');
+    assert.func(func, 'func');
+    assert.func(callback, 'callback');
+
+    var count = 0;
+    var createReadStream = opts.createReadStream || fs.createReadStream;
+    var decoder = new StringDecoder('utf8');
+    var ended = false;
+    var filename = opts.filename;
+    var finished = false;
+    var lineErr = null;
+    var maxLength = opts.maxLineLength;
+    var maxSize = opts.maxLines * (opts.maxLineLength + 1);
+    // The start of the current line (up to maxLength + 1 characters) and its
+    // full length so far.
+    var partial = '';
+    var partialLength = 0;
+    // The lines read that haven't been passed to func yet.
+    var pending = [];
+    var readStream;
+    var size = 0;
+    var waiting = false;
+
+    function _finish(err) {
+        if (finished) {
+            return;
+        }
+        finished = true;
+
+        // Ensure whatever happened, we're not going to try to keep reading.
+        readStream.destroy();
+
+        callback(err || null, count);
+    }
+
+    function _addPiece(piece) {
+        partialLength += piece.length;
+        if (partial.length <= maxLength) {
+            partial += piece.slice(0, maxLength + 1 - partial.length);
+        }
+    }
+
+    function _endLine() {
+        var length = partialLength;
+        var line = partial;
+
+        partial = '';
+        partialLength = 0;
+
+        if (length === 0 || line.charAt(0) === '#') {
+            return;
+        }
+
+        count++;
+
+        if (lineErr !== null || count > opts.maxLines) {
+            return;
+        }
+
+        if (length > maxLength) {
+            lineErr = new VError(
+                {
+                    info: {
+                        filename: filename,
+                        lineNum: count,
+                        length: length,
+                        maxLength: maxLength
+                    },
+                    name: 'LineTooLongError'
+                },
+                util.format(
+                    'Line %d too long: %d > %d',
+                    count,
+                    length,
+                    maxLength
+                )
+            );
+            return;
+        }
+
+        pending.push({idx: count - 1, line: line});
+    }
+
+    function _end() {
+        if (count > opts.maxLines) {
+            _finish(
+                new VError(
+                    {
+                        info: {
+                            filename: filename,
+                            lines: count,
+                            maxLines: opts.maxLines
+                        },
+                        name: 'TooManyLinesError'
+                    },
+                    util.format('Too many lines: %d > %d', count, opts.maxLines)
+                )
+            );
+            return;
+        }
+
+        _finish(lineErr);
+    }
+
+    // Pass the pending lines to func one at a time, then once they've all been
+    // taken, read some more.
+    function _feed() {
+        var entry;
+        var sync;
+
+        while (!waiting && !finished && pending.length > 0) {
+            entry = pending.shift();
+            waiting = true;
+            sync = true;
+            func(entry.line, entry.idx, _next);
+            sync = false;
+        }
+
+        if (waiting || finished) {
+            return;
+        }
+
+        if (ended) {
+            _end();
+        } else {
+            readStream.resume();
+        }
+
+        function _next() {
+            waiting = false;
+            // When called synchronously, the loop above carries on.
+            if (!sync) {
+                _feed();
+            }
+        }
+    }
+
+    // Note: we're intentionally reading up to maxSize + 1 bytes here so we can
+    // catch files that are too large.
+    readStream = createReadStream(filename, {start: 0, end: maxSize});
+
+    readStream.on('error', _finish);
+
+    readStream.on('data', function _onData(chunk) {
+        var pieces;
+
+        if (finished) {
+            return;
+        }
+
+        size += chunk.length;
+        if (size > maxSize) {
+            _finish(
+                new VError(
+                    {
+                        info: {
+                            filename: filename,
+                            size: size,
+                            maxSize: maxSize
+                        },
+                        name: 'FileTooBigError'
+                    },
+                    util.format('File too big: %d > %d', size, maxSize)
+                )
+            );
+            return;
+        }
+
+        readStream.pause();
+
+        pieces = decoder.write(chunk).split('\n');
+        pieces.forEach(function _addLinePiece(piece, idx) {
+            _addPiece(piece);
+            if (idx < pieces.length - 1) {
+                _endLine();
+            }
+        });
+
+        _feed();
+    });
+
+    readStream.on('end', function _onEnd() {
+        if (finished) {
+            return;
+        }
+
+        ended = true;
+
+        // The last line may not have had a trailing newline.
+        _addPiece(decoder.end());
+        _endLine();
+
+        _feed();
+    });
+}
+
+module.exports = {
+    forEachLine: forEachLine
+};
@@ -0,0 +1,203 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+//
+// A line spool writes lines out to a temporary file as they're produced and
+// then, once they've all been written, renames it into place so that the file
+// appears atomically. The garbage-deleter uses these for the lines of an
+// instruction file that end up somewhere other than the instruction file
+// (those which failed, were deferred, or weren't run before stopping), so
+// that it doesn't need to hold those lines in memory however large the
+// instruction file is.
+//
+// The directory of `filename` is created if necessary. When `append` is set
+// and `filename` already exists, the new lines are added after its existing
+// contents. Any earlier temporary file (e.g. left behind when the process
+// died) is replaced.
+//
+// Writes are done one at a time in the order write() is called. If any of
+// them fail, the rest are skipped and commit() calls back with the error
+// (leaving `filename` as it was), so the caller can fall back to something
+// else. abort() discards the lines written.
+//
+
+var fs = require('fs');
+var path = require('path');
+
+var assert = require('assert-plus');
+var vasync = require('vasync');
+
+var common = require('./common');
+
+function LineSpool(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.optionalBool(opts.append, 'opts.append');
+    assert.string(opts.filename, 'opts.filename');
+    assert.optionalFunc(opts.rename, 'opts.rename');
+    assert.optionalString(opts.tmpFilename, 'opts.tmpFilename');
+
+    self.append = Boolean(opts.append);
+    self.err = null;
+    self.fd = null;
+    self.filename = opts.filename;
+    self.lines = 0;
+    self.rename = opts.rename || fs.rename;
+    self.tmpFilename = opts.tmpFilename || opts.filename + '.tmp';
+
+    self.queue = vasync.queue(function _runTask(task, cb) {
+        task(cb);
+    }, 1);
+    self.queue.push(self._open.bind(self));
+}
+
+LineSpool.prototype._open = function _open(callback) {
+    var self = this;
+
+    function _onOpen(err, fd) {
+        self.err = err || null;
+        self.fd = err ? null : fd;
+        callback();
+    }
+
+    common.mkdirp(path.dirname(self.filename), function _onMkdirp(mkdirErr) {
+        if (mkdirErr) {
+            _onOpen(mkdirErr);
+            return;
+        }
+
+        if (!self.append) {
+            fs.open(self.tmpFilename, 'w', _onOpen);
+            return;
+        }
+
+        fs.copyFile(self.filename, self.tmpFilename, function _onCopy(err) {
+            if (err && err.code !== 'ENOENT') {
+                _onOpen(err);
+                return;
+            }
+            fs.open(self.tmpFilename, err ? 'w' : 'a', _onOpen);
+        });
+    });
+};
+
+//
+// Queue `text` (which should end with a newline) to be written, and count it
+// in `lines`.
+//
+LineSpool.prototype.write = function write(text) {
+    var self = this;
+
+    assert.string(text, 'text');
+
+    self.lines++;
+    self.queue.push(function _write(cb) {
+        if (self.err) {
+            cb();
+            return;
+        }
+
+        _writeAll(self.fd, Buffer.from(text, 'utf8'), function _onWrite(err) {
+            self.err = err || null;
+            cb();
+        });
+    });
+};
+
+//
+// Wait for the writes to finish, close the temporary file and rename it into
+// place. Calls callback(err) with the first error, in which case the temporary
+// file is removed.
+//
+LineSpool.prototype.commit = function commit(callback) {
+    var self = this;
+
+    assert.func(callback, 'callback');
+
+    function _onError(err) {
+        fs.unlink(self.tmpFilename, function _onUnlink() {
+            callback(err);
+        });
+    }
+
+    self._close(function _onClosed(closeErr) {
+        if (closeErr) {
+            _onError(closeErr);
+            return;
+        }
+
+        self.rename(self.tmpFilename, self.filename, function _onRename(err) {
+            if (err) {
+                _onError(err);
+                return;
+            }
+            callback();
+        });
+    });
+};
+
+//
+// Wait for the writes to finish, then close and remove the temporary file.
+// `filename` is left untouched.
+//
+LineSpool.prototype.abort = function abort(callback) {
+    var self = this;
+
+    assert.func(callback, 'callback');
+
+    self._close(function _onClosed() {
+        fs.unlink(self.tmpFilename, function _onUnlink() {
+            callback();
+        });
+    });
+};
+
+LineSpool.prototype._close = function _close(callback) {
+    var self = this;
+
+    self.queue.push(function _closeFd(cb) {
+        var fd = self.fd;
+
+        if (fd === null) {
+            cb();
+            return;
+        }
+
+        self.fd = null;
+        fs.close(fd, function _onClose(closeErr) {
+            self.err = self.err || closeErr || null;
+            cb();
+        });
+    });
+
+    self.queue.close();
+    self.queue.on('end', function _onEnd() {
+        callback(self.err);
+    });
+};
+
+function _writeAll(fd, buf, callback) {
+    fs.write(fd, buf, 0, buf.length, null, function _onWrite(err, written) {
+        if (err) {
+            callback(err);
+            return;
+        }
+        if (written < buf.length) {
+            _writeAll(fd, buf.slice(written), callback);
+            return;
+        }
+        callback();
+    });
+}
+
+module.exports = {
+    LineSpool: LineSpool
+};
@@ -0,0 +1,241 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+//
+// This contains the checks the garbage-deleter uses to ensure that a path it
+// has been instructed to delete is actually a Manta object. Garbage
+// instructions come from another zone, so we don't trust them to be
+// well-formed. The paths we accept (relative to the manta root) are:
+//
+//  v1: /<creator uuid>/<object uuid>
+//  v2: /v2/<owner uuid>/<bucket uuid>/.../<object>
+//
+// where every component of the v2 path after the owner must contain only hex
+// characters, ',' and '-'. Since '.' is not allowed, no component can be '.'
+// or '..' and so the normalized path is always the same as the original.
+//
+// In addition we refuse anything that would traverse a symlink, since that
+// could result in deleting files outside the object namespace.
+//
+
+var fs = require('fs');
+var path = require('path');
+
+var assert = require('assert-plus');
+var VError = require('verror').VError;
+
+//
+// Directories under the manta root which are used by the system rather than
+// for Manta objects. These can never match the accepted shapes above but we
+// check explicitly so that the reason is clear if one ever shows up.
+//
+var RESERVED_DIRS = ['manta_gc', 'nginx_temp'];
+
+var UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+var V2_COMPONENT_RE = /^[0-9a-f,-]+$/;
+
+function unsafePathError(objectPath, reason) {
+    return new VError(
+        {
+            info: {
+                filename: objectPath,
+                reason: reason
+            },
+            name: 'UnsafePathError'
+        },
+        'Refusing to delete unsafe path "%s": %s',
+        objectPath,
+        reason
+    );
+}
+
+//
+// Check that `objectPath` (an absolute path which has *not* been normalized)
+// is inside `mantaRoot` and has the shape of a v1 or v2 Manta object path.
+// Returns an UnsafePathError if not, or null if the path is acceptable.
+//
+function checkObjectPath(mantaRoot, objectPath) {
+    assert.string(mantaRoot, 'mantaRoot');
+    assert.string(objectPath, 'objectPath');
+
+    var components;
+    var idx;
+    var relPath;
+
+    // Any '.' or '..' components, or repeated '/'s would be changed by
+    // normalization. We refuse these rather than normalizing ourselves since
+    // a well-formed instruction will never contain them.
+    if (
+        !path.isAbsolute(objectPath) ||
+        path.normalize(objectPath) !== objectPath
+    ) {
+        return unsafePathError(objectPath, 'path is not normalized');
+    }
+
+    relPath = path.relative(mantaRoot, objectPath);
+    components = relPath.split(path.sep);
+
+    if (relPath === '' || components[0] === '..' || path.isAbsolute(relPath)) {
+        return unsafePathError(objectPath, 'path is outside ' + mantaRoot);
+    }
+
+    if (RESERVED_DIRS.indexOf(components[0]) !== -1) {
+        return unsafePathError(
+            objectPath,
+            'path is in reserved directory ' + components[0]
+        );
+    }
+
+    if (components[0] === 'v2') {
+        if (components.length < 4 || !UUID_RE.test(components[1])) {
+            return unsafePathError(
+                objectPath,
+                'path does not match /v2/<uuid>/<uuid>/...'
+            );
+        }
+
+        for (idx = 2; idx < components.length; idx++) {
+            if (!V2_COMPONENT_RE.test(components[idx])) {
+                return unsafePathError(
+                    objectPath,
+                    'invalid path component "' + components[idx] + '"'
+                );
+            }
+        }
+
+        return null;
+    }
+
+    if (
+        components.length !== 2 ||
+        !UUID_RE.test(components[0]) ||
+        !UUID_RE.test(components[1])
+    ) {
+        return unsafePathError(
+            objectPath,
+            'path does not match /<uuid>/<uuid>'
+        );
+    }
+
+    return null;
+}
+
+//
+// Check each component of `objectPath` below `mantaRoot` (which must already
+// have passed checkObjectPath()) and call callback(err) with an
+// UnsafePathError if any of them is a symlink, or if any of the parent
+// components is not a directory. If a component does not exist, there's
+// nothing to traverse so callback() is called without error (the delete will
+// then find the object missing).
+//
+// On success, callback(null, dirInodes) is called where dirInodes maps the
+// path of each parent directory that was checked to its inode number.
+//
+// Objects in the same instruction file mostly share their parent directories,
+// so the caller can pass a `verifiedDirs` object (or null) which is used in
+// the same way as dirInodes: any parent found there is not lstat(2)ed again,
+// and each parent that is checked is added to it. A directory replaced by a
+// symlink after it was added is then not noticed, so the caller should only
+// keep verifiedDirs for a short time (the garbage-deleter uses one per file).
+//
+function checkNoSymlinks(mantaRoot, objectPath, verifiedDirs, callback) {
+    assert.string(mantaRoot, 'mantaRoot');
+    assert.string(objectPath, 'objectPath');
+    assert.optionalObject(verifiedDirs, 'verifiedDirs');
+    assert.func(callback, 'callback');
+
+    var components = path.relative(mantaRoot, objectPath).split(path.sep);
+    var current = mantaRoot;
+    var dirInodes = {};
+    var idx = 0;
+
+    function _checkNext() {
+        var isLast = idx === components.length - 1;
+
+        current = path.join(current, components[idx]);
+
+        if (!isLast && verifiedDirs && verifiedDirs.hasOwnProperty(current)) {
+            dirInodes[current] = verifiedDirs[current];
+            idx++;
+            _checkNext();
+            return;
+        }
+
+        fs.lstat(current, function _onLstat(err, stats) {
+            if (err) {
+                if (err.code === 'ENOENT') {
+                    callback(null, dirInodes);
+                    return;
+                }
+                callback(err);
+                return;
+            }
+
+            if (stats.isSymbolicLink()) {
+                callback(
+                    unsafePathError(objectPath, current + ' is a symlink')
+                );
+                return;
+            }
+
+            if (isLast) {
+                callback(null, dirInodes);
+                return;
+            }
+
+            if (!stats.isDirectory()) {
+                callback(
+                    unsafePathError(objectPath, current + ' is not a directory')
+                );
+                return;
+            }
+            dirInodes[current] = stats.ino;
+            if (verifiedDirs) {
+                verifiedDirs[current] = stats.ino;
+            }
+
+            idx++;
+            _checkNext();
+        });
+    }
+
+    _checkNext();
+}
+
+//
+// Returns the directories containing `objectPath` (which must already have
+// passed checkObjectPath()) that deleting it could leave empty, deepest first.
+// These stop below the account root (/<creator uuid> for v1 and
+// /v2/<owner uuid> for v2), which is never included, so for a v1 path there
+// are none.
+//
+function prunableDirs(mantaRoot, objectPath) {
+    assert.string(mantaRoot, 'mantaRoot');
+    assert.string(objectPath, 'objectPath');
+
+    var components = path.relative(mantaRoot, objectPath).split(path.sep);
+    var depth;
+    var dirs = [];
+    var rootDepth = components[0] === 'v2' ? 2 : 1;
+
+    for (depth = components.length - 1; depth > rootDepth; depth--) {
+        dirs.push(
+            path.join(mantaRoot, components.slice(0, depth).join(path.sep))
+        );
+    }
+
+    return dirs;
+}
+
+module.exports = {
+    checkNoSymlinks: checkNoSymlinks,
+    checkObjectPath: checkObjectPath,
+    prunableDirs: prunableDirs
+};
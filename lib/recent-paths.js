@@ -0,0 +1,107 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+//
+// A bounded set of the paths added in the last `window` ms. Once it holds
+// `maxSize` paths, adding another discards the oldest, so memory use is
+// limited no matter how many paths are added within the window.
+//
+// Adding a path which is already in the set does not extend its time in the
+// set, since for our purposes (see GarbageDeleter.processInstruction()) we
+// only care how long ago it was first added.
+//
+
+var assert = require('assert-plus');
+
+function RecentPaths(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.number(opts.maxSize, 'opts.maxSize');
+    assert.ok(opts.maxSize >= 1, 'opts.maxSize must be >= 1');
+    assert.number(opts.window, 'opts.window');
+    assert.ok(opts.window > 0, 'opts.window must be > 0');
+
+    self.added = {};
+    self.maxSize = Math.floor(opts.maxSize);
+    self.window = opts.window;
+
+    // The paths oldest first, starting from index self.head. We only
+    // occasionally remove the expired ones from the front of the array since
+    // shifting large arrays is expensive.
+    self.head = 0;
+    self.queue = [];
+}
+
+//
+// Discard the paths that have fallen out of the window, and the oldest paths
+// beyond maxSize.
+//
+RecentPaths.prototype._expire = function _expire(now) {
+    var self = this;
+
+    var entry;
+    var windowStart = now - self.window;
+
+    while (
+        self.head < self.queue.length &&
+        (self.queue[self.head].time <= windowStart ||
+            self.queue.length - self.head > self.maxSize)
+    ) {
+        entry = self.queue[self.head];
+        delete self.added[entry.path];
+        self.queue[self.head] = null;
+        self.head++;
+    }
+
+    if (self.head > 0 && self.head >= self.queue.length / 2) {
+        self.queue = self.queue.slice(self.head);
+        self.head = 0;
+    }
+};
+
+RecentPaths.prototype.add = function add(p) {
+    var self = this;
+
+    assert.string(p, 'path');
+
+    var now = Date.now();
+
+    if (self.added.hasOwnProperty(p)) {
+        return;
+    }
+
+    self.added[p] = true;
+    self.queue.push({path: p, time: now});
+    self._expire(now);
+};
+
+RecentPaths.prototype.has = function has(p) {
+    var self = this;
+
+    assert.string(p, 'path');
+
+    self._expire(Date.now());
+
+    return self.added.hasOwnProperty(p);
+};
+
+//
+// Returns the number of paths currently in the set.
+//
+RecentPaths.prototype.size = function size() {
+    var self = this;
+
+    self._expire(Date.now());
+
+    return self.queue.length - self.head;
+};
+
+module.exports = RecentPaths;
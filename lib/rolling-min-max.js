@@ -0,0 +1,102 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+//
+// Tracks the minimum and maximum of the values observed in the last `window`
+// ms. The window is divided into `slots` slots, and values older than the
+// window are discarded a slot at a time, so the result covers between
+// (window - window/slots) and window ms of observations.
+//
+
+var assert = require('assert-plus');
+
+var DEFAULT_SLOTS = 6;
+
+function RollingMinMax(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.number(opts.window, 'opts.window');
+    assert.ok(opts.window > 0, 'opts.window must be > 0');
+    assert.optionalNumber(opts.slots, 'opts.slots');
+
+    self.slots = [];
+    self.numSlots = opts.slots || DEFAULT_SLOTS;
+    self.slotLength = opts.window / self.numSlots;
+}
+
+//
+// Discard any slots that have fallen out of the window and return the current
+// slot, creating it if necessary.
+//
+RollingMinMax.prototype._expire = function _expire() {
+    var self = this;
+
+    var slotStart = Math.floor(Date.now() / self.slotLength) * self.slotLength;
+    var windowStart = slotStart - (self.numSlots - 1) * self.slotLength;
+
+    while (self.slots.length > 0 && self.slots[0].start < windowStart) {
+        self.slots.shift();
+    }
+
+    if (
+        self.slots.length === 0 ||
+        self.slots[self.slots.length - 1].start !== slotStart
+    ) {
+        self.slots.push({max: -Infinity, min: Infinity, start: slotStart});
+    }
+
+    return self.slots[self.slots.length - 1];
+};
+
+RollingMinMax.prototype.observe = function observe(value) {
+    var self = this;
+
+    var slot = self._expire();
+
+    slot.max = Math.max(slot.max, value);
+    slot.min = Math.min(slot.min, value);
+};
+
+//
+// Returns the maximum value observed in the window, or undefined if there have
+// been no observations in the window.
+//
+RollingMinMax.prototype.max = function max() {
+    var self = this;
+
+    var result = -Infinity;
+
+    self._expire();
+    self.slots.forEach(function _checkSlot(slot) {
+        result = Math.max(result, slot.max);
+    });
+
+    return result === -Infinity ? undefined : result;
+};
+
+//
+// Returns the minimum value observed in the window, or undefined if there have
+// been no observations in the window.
+//
+RollingMinMax.prototype.min = function min() {
+    var self = this;
+
+    var result = Infinity;
+
+    self._expire();
+    self.slots.forEach(function _checkSlot(slot) {
+        result = Math.min(result, slot.min);
+    });
+
+    return result === Infinity ? undefined : result;
+};
+
+module.exports = RollingMinMax;
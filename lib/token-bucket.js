@@ -0,0 +1,107 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+//
+// A simple token bucket used by the garbage-deleter for rate limiting. Tokens
+// are added to the bucket continuously at `rate` per second up to `capacity`
+// (default: one second worth of tokens). Callers use take(count, callback) and
+// are called back (in the order they called take()) once the tokens are
+// available.
+//
+// A single take() for more than `capacity` tokens is allowed once the bucket
+// is full and leaves the bucket in debt, so that e.g. an object larger than
+// the bytes/sec limit can still be deleted, and later takes are delayed to
+// make up for it.
+//
+
+var assert = require('assert-plus');
+
+function TokenBucket(opts) {
+    var self = this;
+
+    assert.object(opts, 'opts');
+    assert.number(opts.rate, 'opts.rate');
+    assert.ok(opts.rate > 0, 'opts.rate must be > 0');
+    assert.optionalNumber(opts.capacity, 'opts.capacity');
+
+    self.capacity = opts.capacity || opts.rate;
+    self.lastRefill = Date.now();
+    self.rate = opts.rate;
+    self.timer = null;
+    self.tokens = self.capacity;
+    self.waiters = [];
+}
+
+TokenBucket.prototype._refill = function _refill() {
+    var self = this;
+
+    var now = Date.now();
+
+    self.tokens = Math.min(
+        self.capacity,
+        self.tokens + ((now - self.lastRefill) / 1000) * self.rate
+    );
+    self.lastRefill = now;
+};
+
+TokenBucket.prototype._drain = function _drain() {
+    var self = this;
+
+    var needed;
+    var waiter;
+
+    if (self.timer !== null) {
+        // Already waiting for tokens for the first waiter.
+        return;
+    }
+
+    self._refill();
+
+    while (self.waiters.length > 0) {
+        waiter = self.waiters[0];
+        needed = Math.min(waiter.count, self.capacity);
+
+        if (self.tokens < needed) {
+            self.timer = setTimeout(function _onRefilled() {
+                self.timer = null;
+                self._drain();
+            }, Math.ceil(((needed - self.tokens) / self.rate) * 1000));
+            return;
+        }
+
+        self.tokens -= waiter.count;
+        self.waiters.shift();
+        setImmediate(waiter.callback);
+    }
+};
+
+//
+// Call callback() once `count` tokens have been taken from the bucket.
+//
+TokenBucket.prototype.take = function take(count, callback) {
+    var self = this;
+
+    assert.number(count, 'count');
+    assert.func(callback, 'callback');
+
+    self.waiters.push({callback: callback, count: count});
+    self._drain();
+};
+
+//
+// Returns the number of callers currently waiting for tokens.
+//
+TokenBucket.prototype.waiting = function waiting() {
+    var self = this;
+
+    return self.waiters.length;
+};
+
+module.exports = TokenBucket;
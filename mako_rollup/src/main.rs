@@ -6,7 +6,7 @@
 
 /*
  * Copyright 2020 Joyent, Inc.
- * Copyright 2023 MNX Cloud, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 use std::collections::HashMap;
 use std::path::Component;
@@ -22,8 +22,14 @@ fn main() {
     let start = Instant::now();
     let mut accounts: HashMap<String, Account> = HashMap::new();
 
-    // Traverse the manta directory to build up our HashMap of object and byte counts
-    for entry in WalkDir::new("/manta") {
+    // Traverse the manta directory to build up our HashMap of object and byte
+    // counts. We skip /manta/manta_gc, which holds the garbage-deleter's own
+    // files (instructions, quarantined objects, etc.) rather than any account's
+    // objects.
+    let walker = WalkDir::new("/manta")
+        .into_iter()
+        .filter_entry(|e| !(e.depth() == 1 && e.file_name() == "manta_gc"));
+    for entry in walker {
         let entry = entry.unwrap();
         let metadata = entry.path().metadata().expect("metadata call failed");
 
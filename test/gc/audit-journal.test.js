@@ -0,0 +1,218 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * This file contains tests for the audit journal that the `garbage-deleter`
+ * writes a record to for each object it deletes.
+ */
+var child_process = require('child_process');
+var fs = require('fs');
+var path = require('path');
+
+var bunyan = require('bunyan');
+var test = require('@smaller/tap').test;
+
+var auditJournal = require('../../lib/audit-journal.js');
+
+var TEST_DIR = path.join(
+    '/tmp',
+    Math.random()
+        .toString(36)
+        .slice(2) + '.audit-journal-test'
+);
+
+var logger = bunyan.createLogger({
+    level: process.env.LOG_LEVEL || 'fatal',
+    name: 'audit-journal-test'
+});
+
+function _record(idx) {
+    return {
+        instructionFile: 'test.instruction',
+        outcome: idx % 2 === 0 ? 'deleted' : 'missing',
+        path: '/manta/owner/object-' + idx,
+        shard: '1.moray.test',
+        size: idx
+    };
+}
+
+function _readAll(t, opts, callback) {
+    var records = [];
+
+    opts.dir = TEST_DIR;
+    opts.func = function _onRecord(record) {
+        records.push(record);
+    };
+
+    auditJournal.forEachRecord(opts, function _onRead(err, results) {
+        t.error(err, 'read journal');
+        callback(records, results);
+    });
+}
+
+test('write and read journal', function _testWriteRead(t) {
+    var idx;
+    var journal = new auditJournal.AuditJournal({
+        dir: TEST_DIR,
+        log: logger
+    });
+
+    for (idx = 0; idx < 5; idx++) {
+        journal.append(_record(idx));
+    }
+
+    journal.flush(function _onFlushed(err) {
+        t.error(err, 'flush journal');
+
+        _readAll(t, {}, function _onRead(records, results) {
+            t.equal(records.length, 5, 'should have read 5 records');
+            t.equal(results.skipped, 0, 'should have skipped nothing');
+            t.equal(records[0].path, '/manta/owner/object-0', 'first path');
+            t.equal(records[1].outcome, 'missing', 'second outcome');
+            t.equal(records[4].size, 4, 'last size');
+            t.equal(records[0].shard, '1.moray.test', 'shard');
+            t.ok(records[0].time, 'record should have a time');
+
+            journal.close(function _onClose(closeErr) {
+                t.error(closeErr, 'close journal');
+                t.end();
+            });
+        });
+    });
+});
+
+test('journal rotation', function _testRotation(t) {
+    var idx = 5;
+    var journal = new auditJournal.AuditJournal({
+        dir: TEST_DIR,
+        log: logger,
+        maxFileSize: 1,
+        maxFiles: 3
+    });
+
+    // With a maxFileSize of 1, each flush rotates the file.
+    function _appendNext() {
+        if (idx >= 10) {
+            _check();
+            return;
+        }
+
+        journal.append(_record(idx));
+        idx++;
+        journal.flush(function _onFlushed(err) {
+            t.error(err, 'flush journal');
+            _appendNext();
+        });
+    }
+
+    function _check() {
+        var files = fs.readdirSync(TEST_DIR).filter(function _isRotated(file) {
+            return /^deletes\.log\.[0-9]+$/.test(file);
+        });
+
+        t.equal(files.length, 3, 'should have kept 3 rotated files');
+        t.notOk(
+            fs.existsSync(path.join(TEST_DIR, 'deletes.log')),
+            'current file should have been rotated'
+        );
+
+        _readAll(t, {}, function _onRead(records) {
+            t.deepEqual(
+                records.map(function _getSize(record) {
+                    return record.size;
+                }),
+                [7, 8, 9],
+                'should have the newest records, oldest first'
+            );
+
+            journal.close(function _onClose(err) {
+                t.error(err, 'close journal');
+                t.end();
+            });
+        });
+    }
+
+    _appendNext();
+});
+
+test('read journal with time range and partial line', function _testRange(t) {
+    fs.appendFileSync(
+        path.join(TEST_DIR, 'deletes.log'),
+        [
+            JSON.stringify({outcome: 'deleted', time: '2020-01-01T00:00:00Z'}),
+            JSON.stringify({outcome: 'deleted', time: '2020-01-02T00:00:00Z'}),
+            '{"outcome": "del'
+        ].join('\n')
+    );
+
+    _readAll(
+        t,
+        {
+            since: new Date('2020-01-02T00:00:00Z'),
+            until: new Date('2020-01-03T00:00:00Z')
+        },
+        function _onRead(records, results) {
+            t.equal(records.length, 1, 'should have read 1 record in range');
+            t.equal(results.skipped, 1, 'should have skipped partial line');
+            t.end();
+        }
+    );
+});
+
+test('pending records are capped', function _testMaxPending(t) {
+    var dropped = 0;
+    var idx;
+    var journal;
+    var notADir = path.join(TEST_DIR, 'not-a-dir');
+
+    // The journal dir can't be created under a file, so every flush fails.
+    fs.writeFileSync(notADir, '');
+    journal = new auditJournal.AuditJournal({
+        dir: path.join(notADir, 'audit'),
+        log: logger,
+        maxPending: 5,
+        onDropped: function _onDropped(count) {
+            dropped += count;
+        }
+    });
+
+    for (idx = 0; idx < 4; idx++) {
+        journal.append(_record(idx));
+    }
+
+    journal.flush(function _onFlushed(err) {
+        t.ok(err, 'flush should fail');
+        t.equal(journal.pending.length, 4, 'should keep failed records');
+
+        for (idx = 4; idx < 8; idx++) {
+            journal.append(_record(idx));
+        }
+
+        t.equal(journal.pending.length, 5, 'should hold maxPending records');
+        t.equal(dropped, 3, 'should have dropped records past maxPending');
+        t.equal(journal.dropped, 3, 'should count dropped records');
+        t.equal(
+            JSON.parse(journal.pending[4]).size,
+            4,
+            'should have dropped the newest records'
+        );
+
+        journal.close(function _onClose(closeErr) {
+            t.ok(closeErr, 'close should fail to flush');
+            t.end();
+        });
+    });
+});
+
+test('teardown', function _testTeardown(t) {
+    child_process.execFileSync('/usr/bin/rm', ['-fr', TEST_DIR], {});
+    t.ok(true, 'teardown');
+    t.end();
+});
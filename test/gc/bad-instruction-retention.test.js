@@ -0,0 +1,192 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * This file contains tests for the retention limits the `garbage-deleter`
+ * applies to its bad_instructions directory.
+ */
+var child_process = require('child_process');
+var fs = require('fs');
+var path = require('path');
+
+var test = require('@smaller/tap').test;
+
+var retention = require('../../lib/bad-instruction-retention.js');
+
+var DAY = 86400;
+
+var TEST_DIR = path.join(
+    '/tmp',
+    Math.random()
+        .toString(36)
+        .slice(2) + '.bad-instruction-retention-test'
+);
+
+//
+// Create the bad instruction file `name` with `size` bytes, last modified
+// `days` days ago.
+//
+function _writeFile(name, size, days) {
+    var filename = path.join(TEST_DIR, name);
+    var mtime = Date.now() / 1000 - days * DAY;
+
+    fs.writeFileSync(filename, new Array(size + 1).join('x'));
+    fs.utimesSync(filename, mtime, mtime);
+}
+
+test('setup', function _testSetup(t) {
+    fs.mkdirSync(TEST_DIR);
+    t.ok(true, 'setup');
+    t.end();
+});
+
+test('prune reasons', function _testPruneReason(t) {
+    var limits = {maxAge: 1000, maxBytes: 100, maxFiles: 2};
+    var now = Date.now();
+
+    t.equal(
+        retention.pruneReason(limits, {mtime: now - 2000}, now, {
+            bytes: 0,
+            files: 1
+        }),
+        'age',
+        'should prune for age'
+    );
+    t.equal(
+        retention.pruneReason(limits, {mtime: now}, now, {bytes: 0, files: 3}),
+        'files',
+        'should prune for files'
+    );
+    t.equal(
+        retention.pruneReason(limits, {mtime: now}, now, {
+            bytes: 101,
+            files: 1
+        }),
+        'bytes',
+        'should prune for bytes'
+    );
+    t.equal(
+        retention.pruneReason(
+            {maxAge: 0, maxBytes: 0, maxFiles: 0},
+            {mtime: 0},
+            now,
+            {bytes: 101, files: 3}
+        ),
+        null,
+        'should keep everything when limits are disabled'
+    );
+    t.end();
+});
+
+test('prune to limits', function _testPrune(t) {
+    // Oldest first: 'a' is too old, then 'b' and 'c' are over the file limit,
+    // then 'd' is over the byte limit.
+    _writeFile('a.instruction', 10, 10);
+    _writeFile('b.instruction', 10, 5);
+    _writeFile('c.instruction', 10, 4);
+    _writeFile('d.instruction', 100, 3);
+    _writeFile('e.instruction', 50, 2);
+    _writeFile('f.instruction', 50, 1);
+    _writeFile('g.instruction.tmp', 500, 20);
+    fs.mkdirSync(path.join(TEST_DIR, 'subdir'));
+
+    retention.pruneBadInstructions(
+        {
+            dir: TEST_DIR,
+            maxAge: 7 * DAY * 1000,
+            maxBytes: 100,
+            maxFiles: 3
+        },
+        function _onPruned(err, stats) {
+            t.error(err, 'prune');
+            t.deepEqual(
+                stats,
+                {
+                    bytes: 100,
+                    files: 2,
+                    prunedBytes: 130,
+                    prunedFiles: 4,
+                    reasons: {age: 1, bytes: 1, files: 2}
+                },
+                'should return stats'
+            );
+            t.deepEqual(
+                fs.readdirSync(TEST_DIR).sort(),
+                [
+                    'e.instruction',
+                    'f.instruction',
+                    'g.instruction.tmp',
+                    'subdir'
+                ],
+                'should leave newest files, temporary files and dirs'
+            );
+            t.end();
+        }
+    );
+});
+
+test('prune missing dir', function _testMissing(t) {
+    retention.pruneBadInstructions(
+        {
+            dir: path.join(TEST_DIR, 'missing'),
+            maxAge: 0,
+            maxBytes: 0,
+            maxFiles: 0
+        },
+        function _onPruned(err, stats) {
+            t.error(err, 'missing dir should not be an error');
+            t.equal(stats.files, 0, 'should have no files');
+            t.end();
+        }
+    );
+});
+
+test('prune with failed unlink', function _testFailedUnlink(t) {
+    var unlinked = [];
+
+    _writeFile('h.instruction', 30, 0);
+
+    retention.pruneBadInstructions(
+        {
+            dir: TEST_DIR,
+            maxAge: 0,
+            maxBytes: 0,
+            maxFiles: 1,
+            unlink: function _unlink(filename, cb) {
+                var err = new Error('unlink failed');
+
+                unlinked.push(path.basename(filename));
+                if (unlinked.length === 1) {
+                    setImmediate(cb);
+                    return;
+                }
+                err.code = 'EIO';
+                setImmediate(cb, err);
+            }
+        },
+        function _onPruned(err, stats) {
+            t.equal(err && err.code, 'EIO', 'should return unlink error');
+            t.deepEqual(
+                unlinked,
+                ['e.instruction', 'f.instruction'],
+                'should stop at the failed unlink'
+            );
+            t.equal(stats.prunedFiles, 1, 'should count file pruned first');
+            t.equal(stats.prunedBytes, 50, 'should count bytes pruned first');
+            t.end();
+        }
+    );
+});
+
+test('teardown', function _testTeardown(t) {
+    child_process.execFileSync('/usr/bin/rm', ['-fr', TEST_DIR], {});
+    t.ok(true, 'teardown');
+    t.end();
+});
@@ -0,0 +1,158 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * This file contains tests for the checkpoints the `garbage-deleter` keeps of
+ * the completed lines of each instruction file.
+ */
+var child_process = require('child_process');
+var fs = require('fs');
+var path = require('path');
+
+var bunyan = require('bunyan');
+var test = require('@smaller/tap').test;
+
+var checkpoint = require('../../lib/checkpoint.js');
+
+var TEST_DIR = path.join(
+    '/tmp',
+    Math.random()
+        .toString(36)
+        .slice(2) + '.checkpoint-test'
+);
+var TEST_FILE = path.join(TEST_DIR, 'test.instruction');
+var TEST_CHECKPOINT = path.join(TEST_DIR, '.test.instruction.checkpoint');
+
+var logger = bunyan.createLogger({
+    level: process.env.LOG_LEVEL || 'fatal',
+    name: 'checkpoint-test'
+});
+
+function _open(t, lines, callback) {
+    var cp = new checkpoint.Checkpoint({
+        filename: TEST_FILE,
+        lines: lines,
+        log: logger
+    });
+
+    cp.open(function _onOpen(err, done) {
+        t.error(err, 'open checkpoint');
+        callback(cp, done);
+    });
+}
+
+test('setup', function _testSetup(t) {
+    fs.mkdirSync(TEST_DIR);
+    fs.writeFileSync(TEST_FILE, 'lines\n');
+    t.equal(
+        checkpoint.checkpointFilename(TEST_FILE),
+        TEST_CHECKPOINT,
+        'checkpoint filename'
+    );
+    t.end();
+});
+
+test('record and resume', function _testResume(t) {
+    _open(t, 5, function _onOpen(cp, done) {
+        t.deepEqual(done, [], 'new checkpoint should have nothing done');
+
+        cp.markDone(3);
+        cp.markDone(0);
+        cp.markDone(3);
+
+        cp.close(function _onClose() {
+            // Simulate dying part way through writing an index.
+            fs.appendFileSync(TEST_CHECKPOINT, '4');
+
+            _open(t, 5, function _onReopen(reopened, reopenedDone) {
+                t.deepEqual(reopenedDone, [0, 3], 'should resume 0 and 3');
+                reopened.markDone(2);
+
+                reopened.close(function _onReclose() {
+                    _open(t, 5, function _onThird(third, thirdDone) {
+                        t.deepEqual(
+                            thirdDone,
+                            [0, 2, 3],
+                            'should append after the partial line'
+                        );
+
+                        third.remove(function _onRemove() {
+                            t.notOk(
+                                fs.existsSync(TEST_CHECKPOINT),
+                                'checkpoint should be removed'
+                            );
+                            t.end();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('discard mismatched checkpoint', function _testMismatch(t) {
+    _open(t, 5, function _onOpen(cp) {
+        cp.markDone(1);
+
+        cp.close(function _onClose() {
+            // Same file but a different number of lines.
+            _open(t, 4, function _onReopen(reopened, done) {
+                t.deepEqual(done, [], 'should discard checkpoint');
+                reopened.markDone(2);
+
+                reopened.close(function _onReclose() {
+                    t.equal(
+                        fs
+                            .readFileSync(TEST_CHECKPOINT, 'utf8')
+                            .split('\n')
+                            .slice(1)
+                            .join(','),
+                        '2,',
+                        'should have started a new checkpoint'
+                    );
+
+                    // Replacing the instruction file changes the inode.
+                    fs.writeFileSync(TEST_FILE + '.new', 'lines\n');
+                    fs.renameSync(TEST_FILE + '.new', TEST_FILE);
+
+                    _open(t, 4, function _onReplaced(replaced, replacedDone) {
+                        t.deepEqual(
+                            replacedDone,
+                            [],
+                            'should discard checkpoint for replaced file'
+                        );
+                        replaced.remove(function _onRemove() {
+                            t.end();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+test('missing instruction file', function _testMissing(t) {
+    var cp = new checkpoint.Checkpoint({
+        filename: path.join(TEST_DIR, 'missing.instruction'),
+        lines: 1,
+        log: logger
+    });
+
+    cp.open(function _onOpen(err) {
+        t.equal(err && err.code, 'ENOENT', 'should fail to open');
+        t.end();
+    });
+});
+
+test('teardown', function _testTeardown(t) {
+    child_process.execFileSync('/usr/bin/rm', ['-fr', TEST_DIR], {});
+    t.ok(true, 'teardown');
+    t.end();
+});
@@ -0,0 +1,168 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * This file contains tests for moving the `garbage-deleter`'s deferred
+ * instruction files back into its instruction directory.
+ */
+var child_process = require('child_process');
+var fs = require('fs');
+var path = require('path');
+
+var test = require('@smaller/tap').test;
+
+var deferredRequeue = require('../../lib/deferred-requeue.js');
+
+var MIN_AGE = 60000;
+
+var TEST_DIR = path.join(
+    '/tmp',
+    Math.random()
+        .toString(36)
+        .slice(2) + '.deferred-requeue-test'
+);
+var TEST_DEFERRED_DIR = path.join(TEST_DIR, 'deferred_instructions');
+var TEST_INSTRUCTION_DIR = path.join(TEST_DIR, 'instructions');
+
+//
+// Write `contents` to `filename`, last modified long enough ago to be
+// requeued unless `fresh` is set.
+//
+function _writeFile(filename, contents, fresh) {
+    var mtime = Date.now() / 1000 - (fresh ? 0 : 3600);
+
+    fs.writeFileSync(filename, contents);
+    fs.utimesSync(filename, mtime, mtime);
+}
+
+function _requeue(extraOpts, callback) {
+    var opts = {
+        deferredDir: TEST_DEFERRED_DIR,
+        instructionDir: TEST_INSTRUCTION_DIR,
+        minAge: MIN_AGE
+    };
+
+    Object.keys(extraOpts).forEach(function _copy(k) {
+        opts[k] = extraOpts[k];
+    });
+
+    deferredRequeue.requeueDeferred(opts, callback);
+}
+
+test('setup', function _testSetup(t) {
+    fs.mkdirSync(TEST_DIR);
+    fs.mkdirSync(TEST_DEFERRED_DIR);
+    fs.mkdirSync(TEST_INSTRUCTION_DIR);
+    t.ok(true, 'setup');
+    t.end();
+});
+
+test('requeue old enough files', function _testRequeue(t) {
+    _writeFile(path.join(TEST_DEFERRED_DIR, 'a.instruction'), 'deferred a\n');
+    _writeFile(
+        path.join(TEST_DEFERRED_DIR, 'b.instruction'),
+        'deferred b\n',
+        true
+    );
+    _writeFile(path.join(TEST_DEFERRED_DIR, '.c.instruction.tmp'), 'tmp\n');
+
+    _requeue({}, function _onRequeued(err, requeued) {
+        t.error(err, 'requeue');
+        t.deepEqual(requeued, ['a.instruction'], 'should requeue old file');
+        t.deepEqual(
+            fs.readdirSync(TEST_DEFERRED_DIR).sort(),
+            ['.c.instruction.tmp', 'b.instruction'],
+            'should leave new and temporary files'
+        );
+        t.equal(
+            fs.readFileSync(
+                path.join(TEST_INSTRUCTION_DIR, 'a.instruction'),
+                'utf8'
+            ),
+            'deferred a\n',
+            'should have moved file'
+        );
+        t.end();
+    });
+});
+
+test('requeue without replacing', function _testNoReplace(t) {
+    _writeFile(path.join(TEST_DEFERRED_DIR, 'a.instruction'), 'deferred a2\n');
+    _writeFile(path.join(TEST_DEFERRED_DIR, 'd'), 'deferred d\n');
+    fs.writeFileSync(path.join(TEST_INSTRUCTION_DIR, 'a.1.instruction'), '');
+    fs.writeFileSync(path.join(TEST_INSTRUCTION_DIR, 'd'), '');
+
+    _requeue({}, function _onRequeued(err, requeued) {
+        t.error(err, 'requeue');
+        t.deepEqual(
+            requeued,
+            ['a.2.instruction', 'd.1'],
+            'should requeue under a new name'
+        );
+        t.equal(
+            fs.readFileSync(
+                path.join(TEST_INSTRUCTION_DIR, 'a.instruction'),
+                'utf8'
+            ),
+            'deferred a\n',
+            'should have kept existing file'
+        );
+        t.equal(
+            fs.readFileSync(
+                path.join(TEST_INSTRUCTION_DIR, 'a.2.instruction'),
+                'utf8'
+            ),
+            'deferred a2\n',
+            'should have moved file'
+        );
+        t.end();
+    });
+});
+
+test('requeue with failed link', function _testFailedLink(t) {
+    _writeFile(path.join(TEST_DEFERRED_DIR, 'e.instruction'), 'deferred e\n');
+
+    _requeue(
+        {
+            link: function _link(_from, _to, cb) {
+                var err = new Error('link failed');
+
+                err.code = 'EIO';
+                setImmediate(cb, err);
+            }
+        },
+        function _onRequeued(err, requeued) {
+            t.equal(err && err.code, 'EIO', 'should return link error');
+            t.deepEqual(requeued, [], 'should requeue nothing');
+            t.ok(
+                fs.existsSync(path.join(TEST_DEFERRED_DIR, 'e.instruction')),
+                'deferred file should remain'
+            );
+            t.end();
+        }
+    );
+});
+
+test('requeue missing dir', function _testMissing(t) {
+    _requeue(
+        {deferredDir: path.join(TEST_DIR, 'missing')},
+        function _onRequeued(err, requeued) {
+            t.error(err, 'missing dir should not be an error');
+            t.deepEqual(requeued, [], 'should requeue nothing');
+            t.end();
+        }
+    );
+});
+
+test('teardown', function _testTeardown(t) {
+    child_process.execFileSync('/usr/bin/rm', ['-fr', TEST_DIR], {});
+    t.ok(true, 'teardown');
+    t.end();
+});
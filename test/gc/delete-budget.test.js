@@ -0,0 +1,77 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * This file contains tests for the budget which limits the number of deletes
+ * the `garbage-deleter` has in flight across all instruction files.
+ */
+var test = require('@smaller/tap').test;
+
+var DeleteBudget = require('../../lib/delete-budget.js');
+
+test('acquire within limit', function _testLimit(t) {
+    var acquired = [];
+    var budget = new DeleteBudget({limit: 2});
+
+    [1, 2, 3].forEach(function _acquire(n) {
+        budget.acquire(function _onAcquired() {
+            acquired.push(n);
+        });
+    });
+
+    setImmediate(function _afterAcquire() {
+        t.deepEqual(acquired, [1, 2], 'first 2 should have acquired');
+        t.equal(budget.inFlight, 2, '2 in flight');
+
+        budget.release();
+
+        setImmediate(function _afterRelease() {
+            t.deepEqual(acquired, [1, 2, 3], 'third acquired after release');
+            t.equal(budget.inFlight, 2, 'still 2 in flight');
+            t.end();
+        });
+    });
+});
+
+test('change limit', function _testSetLimit(t) {
+    var acquired = 0;
+    var budget = new DeleteBudget({limit: 3});
+    var n;
+
+    function _onAcquired() {
+        acquired++;
+    }
+
+    for (n = 0; n < 5; n++) {
+        budget.acquire(_onAcquired);
+    }
+
+    setImmediate(function _afterAcquire() {
+        t.equal(acquired, 3, 'should have acquired 3');
+
+        // Lowering the limit leaves the 3 in flight, but nothing more starts
+        // until they're down below the new limit.
+        budget.setLimit(1);
+        budget.release();
+        budget.release();
+
+        setImmediate(function _afterLower() {
+            t.equal(acquired, 3, 'should not acquire above new limit');
+
+            budget.setLimit(4);
+
+            setImmediate(function _afterRaise() {
+                t.equal(acquired, 5, 'should acquire the rest');
+                t.equal(budget.inFlight, 3, '3 in flight');
+                t.end();
+            });
+        });
+    });
+});
@@ -0,0 +1,167 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * This file contains tests for the pruning of the directories the
+ * `garbage-deleter` leaves empty.
+ */
+var child_process = require('child_process');
+var fs = require('fs');
+var path = require('path');
+
+var bunyan = require('bunyan');
+var test = require('@smaller/tap').test;
+var uuidv4 = require('uuid/v4');
+
+var dirPruner = require('../../lib/dir-pruner.js');
+
+var TEST_DIR = path.join(
+    '/tmp',
+    Math.random()
+        .toString(36)
+        .slice(2) + '.dir-pruner-test'
+);
+var TEST_BUCKET_DIR = path.join(TEST_DIR, 'v2', uuidv4(), uuidv4());
+
+var logger = bunyan.createLogger({
+    level: process.env.LOG_LEVEL || 'fatal',
+    name: 'dir-pruner-test'
+});
+
+//
+// Returns a result (as from processInstruction()) for deleting `objectPath`,
+// with the inodes of the directories that exist.
+//
+function _result(objectPath) {
+    var dir = path.dirname(objectPath);
+    var dirInodes = {};
+
+    while (dir !== TEST_DIR) {
+        if (fs.existsSync(dir)) {
+            dirInodes[dir] = fs.statSync(dir).ino;
+        }
+        dir = path.dirname(dir);
+    }
+
+    return {deleteFile: objectPath, dirInodes: dirInodes};
+}
+
+test('setup', function _testSetup(t) {
+    child_process.execFileSync('/usr/bin/mkdir', [
+        '-p',
+        path.join(TEST_BUCKET_DIR, 'aa', 'bb'),
+        path.join(TEST_BUCKET_DIR, 'cc'),
+        path.join(TEST_BUCKET_DIR, 'dd')
+    ]);
+    fs.writeFileSync(path.join(TEST_BUCKET_DIR, 'cc', 'other'), '');
+    t.ok(true, 'setup');
+    t.end();
+});
+
+test('add prunable dirs', function _testAdd(t) {
+    var dirs = {};
+
+    dirPruner.addPrunableDirs(
+        TEST_DIR,
+        dirs,
+        _result(path.join(TEST_BUCKET_DIR, 'aa', 'bb', 'obj'))
+    );
+    dirPruner.addPrunableDirs(
+        TEST_DIR,
+        dirs,
+        _result(path.join(TEST_BUCKET_DIR, 'gone', 'obj'))
+    );
+
+    t.deepEqual(
+        Object.keys(dirs).sort(),
+        [
+            TEST_BUCKET_DIR,
+            path.join(TEST_BUCKET_DIR, 'aa'),
+            path.join(TEST_BUCKET_DIR, 'aa', 'bb')
+        ],
+        'should add existing dirs below the owner'
+    );
+    t.equal(
+        dirs[TEST_BUCKET_DIR],
+        fs.statSync(TEST_BUCKET_DIR).ino,
+        'should record inode'
+    );
+    t.end();
+});
+
+test('prune empty dirs', function _testPrune(t) {
+    var dirs = {};
+
+    [
+        path.join(TEST_BUCKET_DIR, 'aa', 'bb', 'obj'),
+        path.join(TEST_BUCKET_DIR, 'cc', 'obj'),
+        path.join(TEST_BUCKET_DIR, 'dd', 'obj')
+    ].forEach(function _add(objectPath) {
+        dirPruner.addPrunableDirs(TEST_DIR, dirs, _result(objectPath));
+    });
+
+    // As though 'dd' were recreated after the object was checked.
+    dirs[path.join(TEST_BUCKET_DIR, 'dd')] += 1;
+
+    dirPruner.pruneDirs({dirs: dirs, log: logger}, function _onPruned(pruned) {
+        t.equal(pruned, 2, 'should prune 2 dirs');
+        t.deepEqual(
+            fs.readdirSync(TEST_BUCKET_DIR).sort(),
+            ['cc', 'dd'],
+            'should keep non-empty dir and dir with a new inode'
+        );
+        t.end();
+    });
+});
+
+test('prune through fs hooks', function _testHooks(t) {
+    var dirs = {};
+    var removed = [];
+
+    dirs[path.join(TEST_BUCKET_DIR, 'missing')] = 1;
+    dirs[path.join(TEST_BUCKET_DIR, 'failed')] = 2;
+
+    dirPruner.pruneDirs(
+        {
+            dirs: dirs,
+            log: logger,
+            lstat: function _lstat(dir, cb) {
+                setImmediate(cb, null, {
+                    ino: dirs[dir],
+                    isDirectory: function _isDirectory() {
+                        return true;
+                    }
+                });
+            },
+            rmdir: function _rmdir(dir, cb) {
+                var err = new Error('rmdir failed');
+
+                removed.push(path.basename(dir));
+                err.code = path.basename(dir) === 'missing' ? 'ENOENT' : 'EIO';
+                setImmediate(cb, err);
+            }
+        },
+        function _onPruned(pruned) {
+            t.equal(pruned, 0, 'should prune nothing');
+            t.deepEqual(
+                removed,
+                ['failed', 'missing'],
+                'should try to remove both dirs'
+            );
+            t.end();
+        }
+    );
+});
+
+test('teardown', function _testTeardown(t) {
+    child_process.execFileSync('/usr/bin/rm', ['-fr', TEST_DIR], {});
+    t.ok(true, 'teardown');
+    t.end();
+});
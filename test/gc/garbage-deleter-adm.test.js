@@ -0,0 +1,262 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * This file contains tests for the `garbage-deleter-adm` tool, which is run
+ * against a test config and bad_instructions directory.
+ */
+var child_process = require('child_process');
+var fs = require('fs');
+var path = require('path');
+
+var test = require('@smaller/tap').test;
+var uuidv4 = require('uuid/v4');
+
+var ADM = path.join(__dirname, '../../bin/garbage-deleter-adm.js');
+var TEST_DIR = path.join(
+    '/tmp',
+    Math.random()
+        .toString(36)
+        .slice(2) + '.garbage-deleter-adm-test'
+);
+var TEST_CONFIG = path.join(TEST_DIR, 'config.json');
+var TEST_DIR_BAD_INSTR = path.join(TEST_DIR, 'bad_instructions');
+var TEST_DIR_INSTR = path.join(TEST_DIR, 'instructions');
+var TEST_STORAGE_ID = '1.stor.test.joyent.us';
+
+var BAD_FILE = 'bad.instruction';
+var GOOD_FILE = 'good.instruction';
+
+function _execAdm(args, callback) {
+    child_process.execFile(
+        process.execPath,
+        [ADM].concat(args),
+        function _onExec(err, stdout, stderr) {
+            callback(err ? err.code : 0, stdout, stderr);
+        }
+    );
+}
+
+function _runAdm(args, callback) {
+    _execAdm(
+        [
+            '-f',
+            TEST_CONFIG,
+            '-b',
+            TEST_DIR_BAD_INSTR,
+            '-d',
+            TEST_DIR_INSTR
+        ].concat(args),
+        callback
+    );
+}
+
+test('setup', function _testSetup(t) {
+    fs.mkdirSync(TEST_DIR);
+    fs.mkdirSync(TEST_DIR_BAD_INSTR);
+    fs.mkdirSync(TEST_DIR_INSTR);
+    fs.writeFileSync(
+        TEST_CONFIG,
+        JSON.stringify({manta_storage_id: TEST_STORAGE_ID})
+    );
+    fs.writeFileSync(
+        path.join(TEST_DIR_BAD_INSTR, GOOD_FILE),
+        [TEST_STORAGE_ID, uuidv4(), uuidv4(), '1', '5'].join('\t') + '\n'
+    );
+    fs.writeFileSync(
+        path.join(TEST_DIR_BAD_INSTR, BAD_FILE),
+        '# annotation\njunk\n'
+    );
+    t.ok(true, 'setup');
+    t.end();
+});
+
+test('list', function _testList(t) {
+    // A file that's removed between the readdir and the stat looks the same
+    // as a dangling symlink.
+    fs.symlinkSync(
+        path.join(TEST_DIR, 'missing'),
+        path.join(TEST_DIR_BAD_INSTR, 'vanished.instruction')
+    );
+
+    _runAdm(['list'], function _onList(code, stdout) {
+        var lines = stdout.trim().split('\n');
+
+        t.equal(code, 0, 'list should succeed');
+        t.equal(lines.length, 3, 'should have header and 2 files');
+        t.ok(
+            /bad\.instruction\s+InvalidNumberOfFieldsError \(1 of 1\)$/.test(
+                lines[1]
+            ),
+            'should list bad file with reason'
+        );
+        t.ok(
+            /good\.instruction\s+valid$/.test(lines[2]),
+            'should list good file as valid'
+        );
+        t.equal(
+            stdout.indexOf('vanished'),
+            -1,
+            'should skip file that disappeared'
+        );
+
+        fs.unlinkSync(path.join(TEST_DIR_BAD_INSTR, 'vanished.instruction'));
+        t.end();
+    });
+});
+
+test('show', function _testShow(t) {
+    _runAdm(['show', BAD_FILE], function _onShow(code, stdout) {
+        t.equal(code, 0, 'show should succeed');
+        t.ok(
+            stdout.indexOf('status: InvalidNumberOfFieldsError') !== -1,
+            'should show status'
+        );
+        t.ok(stdout.indexOf('# annotation') !== -1, 'should show comments');
+        t.ok(
+            /1\s+INVALID\s+InvalidNumberOfFieldsError/.test(stdout),
+            'should annotate invalid line'
+        );
+
+        _runAdm(['show', GOOD_FILE], function _onShowGood(goodCode, out) {
+            t.equal(goodCode, 0, 'show should succeed');
+            t.ok(out.indexOf('status: valid') !== -1, 'should be valid');
+            t.ok(/1\s+ok\s+delete /.test(out), 'should show delete');
+            t.end();
+        });
+    });
+});
+
+test('validate', function _testValidate(t) {
+    _runAdm(['validate', GOOD_FILE], function _onGood(code, stdout) {
+        t.equal(code, 0, 'validate of valid file should succeed');
+        t.equal(stdout, GOOD_FILE + ': valid\n', 'should be valid');
+
+        _runAdm(['validate', GOOD_FILE, BAD_FILE], function _onBad(
+            badCode,
+            out
+        ) {
+            t.equal(badCode, 1, 'validate of invalid file should fail');
+            t.ok(
+                out.indexOf(BAD_FILE + ': InvalidNumberOfFieldsError') !== -1,
+                'should report invalid file'
+            );
+            t.end();
+        });
+    });
+});
+
+test('requeue', function _testRequeue(t) {
+    _runAdm(['requeue', GOOD_FILE, BAD_FILE], function _onRequeue(code) {
+        t.equal(code, 1, 'requeue with an invalid file should fail');
+        t.deepEqual(
+            fs.readdirSync(TEST_DIR_INSTR),
+            [GOOD_FILE],
+            'should requeue only the valid file'
+        );
+        t.deepEqual(
+            fs.readdirSync(TEST_DIR_BAD_INSTR),
+            [BAD_FILE],
+            'invalid file should be left in bad_instructions'
+        );
+
+        _runAdm(['requeue', '-F', BAD_FILE], function _onForce(forceCode) {
+            t.equal(forceCode, 0, 'requeue -F should succeed');
+            t.deepEqual(
+                fs.readdirSync(TEST_DIR_INSTR).sort(),
+                [BAD_FILE, GOOD_FILE],
+                'should requeue invalid file with -F'
+            );
+            t.deepEqual(
+                fs.readdirSync(TEST_DIR_BAD_INSTR),
+                [],
+                'bad_instructions should be empty'
+            );
+            t.end();
+        });
+    });
+});
+
+test('deleters', function _testDeleters(t) {
+    var configFile = path.join(TEST_DIR, 'deleters.json');
+    var deleters = ['first', 'second'].map(function _deleter(name) {
+        return {
+            bad_instruction_dir: path.join(TEST_DIR, name, 'bad_instructions'),
+            instruction_dir: path.join(TEST_DIR, name, 'instructions'),
+            name: name
+        };
+    });
+
+    deleters.forEach(function _createDirs(deleter) {
+        fs.mkdirSync(path.dirname(deleter.instruction_dir));
+        fs.mkdirSync(deleter.bad_instruction_dir);
+        fs.mkdirSync(deleter.instruction_dir);
+    });
+    fs.writeFileSync(
+        path.join(deleters[1].bad_instruction_dir, BAD_FILE),
+        'junk\n'
+    );
+    fs.writeFileSync(
+        configFile,
+        JSON.stringify({
+            deleters: deleters,
+            manta_storage_id: TEST_STORAGE_ID
+        })
+    );
+
+    _execAdm(['-f', configFile, 'list'], function _onNoDeleter(code, _, err) {
+        t.equal(code, 2, 'list without --deleter should fail');
+        t.ok(
+            err.indexOf('one of: first, second') !== -1,
+            'should name the deleters'
+        );
+
+        _execAdm(['-f', configFile, '-n', 'second', 'list'], function _onList(
+            listCode,
+            stdout
+        ) {
+            t.equal(listCode, 0, 'list with --deleter should succeed');
+            t.ok(
+                stdout.indexOf(BAD_FILE) !== -1,
+                'should list file from deleter bad_instruction_dir'
+            );
+
+            _execAdm(
+                ['-f', configFile, '-n', 'second', 'requeue', '-F', BAD_FILE],
+                function _onRequeue(requeueCode) {
+                    t.equal(requeueCode, 0, 'requeue should succeed');
+                    t.deepEqual(
+                        fs.readdirSync(deleters[1].instruction_dir),
+                        [BAD_FILE],
+                        'should requeue to deleter instruction_dir'
+                    );
+
+                    _execAdm(
+                        ['-f', configFile, '-n', 'third', 'list'],
+                        function _onUnknown(unknownCode) {
+                            t.equal(
+                                unknownCode,
+                                2,
+                                'unknown deleter should fail'
+                            );
+                            t.end();
+                        }
+                    );
+                }
+            );
+        });
+    });
+});
+
+test('teardown', function _testTeardown(t) {
+    child_process.execFileSync('/usr/bin/rm', ['-fr', TEST_DIR], {});
+    t.ok(true, 'teardown');
+    t.end();
+});
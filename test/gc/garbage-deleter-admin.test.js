@@ -0,0 +1,224 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * This file contains tests for the admin routes that the `garbage-deleter`
+ * serves on its metrics server.
+ */
+var child_process = require('child_process');
+var fs = require('fs');
+var path = require('path');
+
+var bunyan = require('bunyan');
+var restify = require('restify');
+var test = require('@smaller/tap').test;
+
+var addAdminRoutes = require('../../lib/garbage-deleter-admin.js')
+    .addAdminRoutes;
+var GarbageDeleter = require('../../lib/garbage-deleter.js');
+
+var TEST_DIR = path.join(
+    '/tmp',
+    Math.random()
+        .toString(36)
+        .slice(2) + '.garbage-deleter-admin-test'
+);
+var TEST_DIR_INSTR = path.join(TEST_DIR, 'instructions');
+
+var client;
+var deleter;
+var logger = bunyan.createLogger({
+    level: process.env.LOG_LEVEL || 'fatal',
+    name: 'garbage-deleter-admin-test'
+});
+var multiClient;
+var multiServer;
+var namedDeleters;
+var server;
+
+test('setup', function _testSetup(t) {
+    fs.mkdirSync(TEST_DIR);
+    fs.mkdirSync(TEST_DIR_INSTR);
+    fs.writeFileSync(path.join(TEST_DIR_INSTR, 'queued.instruction'), '');
+
+    deleter = new GarbageDeleter({
+        badInstructionDir: path.join(TEST_DIR, 'bad_instructions'),
+        config: {
+            manta_storage_id: '1.testymctestface'
+        },
+        instructionDir: TEST_DIR_INSTR,
+        log: logger
+    });
+
+    // Don't actually process the queued file when we resume.
+    deleter.processFile = function _processFile(_, cb) {
+        cb(null, 0);
+    };
+
+    server = restify.createServer({log: logger});
+    addAdminRoutes({deleter: deleter, log: logger, server: server});
+
+    server.listen(0, '127.0.0.1', function _onListen() {
+        client = restify.createJsonClient({
+            url: 'http://127.0.0.1:' + server.address().port
+        });
+        t.ok(client, 'create client');
+        t.end();
+    });
+});
+
+test('GET /status', function _testStatus(t) {
+    client.get('/status', function _onGet(err, req, res, obj) {
+        t.error(err, 'GET /status');
+        t.equal(obj.state, 'running', 'should be running');
+        t.equal(obj.queued, 1, 'should have 1 file queued');
+        t.equal(obj.currentFile, null, 'should have no current file');
+        t.equal(obj.lastRun, null, 'should not have run yet');
+        t.end();
+    });
+});
+
+test('POST /pause', function _testPause(t) {
+    client.post('/pause', {}, function _onPost(err, req, res, obj) {
+        t.error(err, 'POST /pause');
+        t.equal(obj.state, 'paused', 'should be paused');
+        t.ok(deleter.paused, 'deleter should be paused');
+        t.end();
+    });
+});
+
+test('POST /run while paused', function _testRunPaused(t) {
+    client.post('/run', {}, function _onPost(err, req, res) {
+        t.ok(err, 'POST /run should fail');
+        t.equal(res.statusCode, 409, 'should be a conflict');
+        t.end();
+    });
+});
+
+test('POST /resume', function _testResume(t) {
+    client.post('/resume', {}, function _onPost(err, req, res, obj) {
+        t.error(err, 'POST /resume');
+        t.equal(obj.state, 'running', 'should be running');
+        t.notOk(deleter.paused, 'deleter should not be paused');
+        t.end();
+    });
+});
+
+test('POST /run', function _testRun(t) {
+    client.post('/run', {}, function _onPost(err, req, res, obj) {
+        t.error(err, 'POST /run');
+        t.equal(obj.state, 'running', 'should be running');
+
+        // Give the run a chance to happen.
+        setTimeout(function _checkRan() {
+            t.ok(deleter.lastRun > 0, 'deleter should have run');
+            t.end();
+        }, 100);
+    });
+});
+
+test('setup multiple deleters', function _testSetupMultiple(t) {
+    namedDeleters = ['a', 'b'].map(function _create(name) {
+        var gd = new GarbageDeleter({
+            badInstructionDir: path.join(TEST_DIR, 'bad_instructions'),
+            config: {
+                manta_storage_id: '1.testymctestface'
+            },
+            instructionDir: TEST_DIR_INSTR,
+            log: logger,
+            name: name
+        });
+
+        gd.processFile = function _processFile(_, cb) {
+            cb(null, 0);
+        };
+
+        return gd;
+    });
+
+    multiServer = restify.createServer({log: logger});
+    addAdminRoutes({
+        deleters: namedDeleters,
+        log: logger,
+        server: multiServer
+    });
+
+    multiServer.listen(0, '127.0.0.1', function _onListen() {
+        multiClient = restify.createJsonClient({
+            url: 'http://127.0.0.1:' + multiServer.address().port
+        });
+        t.ok(multiClient, 'create client');
+        t.end();
+    });
+});
+
+test('GET /status with multiple deleters', function _testMultiStatus(t) {
+    multiClient.get('/status', function _onGet(err, req, res, obj) {
+        t.error(err, 'GET /status');
+        t.deepEqual(
+            Object.keys(obj.deleters).sort(),
+            ['a', 'b'],
+            'should have status of each deleter'
+        );
+        t.equal(obj.deleters.a.queued, 1, 'should have 1 file queued');
+        t.end();
+    });
+});
+
+test('POST /pause?deleter=a', function _testMultiPause(t) {
+    multiClient.post('/pause?deleter=a', {}, function _onPost(
+        err,
+        req,
+        res,
+        obj
+    ) {
+        t.error(err, 'POST /pause?deleter=a');
+        t.deepEqual(
+            Object.keys(obj.deleters),
+            ['a'],
+            'should have status of only the named deleter'
+        );
+        t.ok(namedDeleters[0].paused, 'a should be paused');
+        t.notOk(namedDeleters[1].paused, 'b should not be paused');
+        t.end();
+    });
+});
+
+test('POST /run with a deleter paused', function _testMultiRunPaused(t) {
+    multiClient.post('/run', {}, function _onPost(err, req, res) {
+        t.ok(err, 'POST /run should fail');
+        t.equal(res.statusCode, 409, 'should be a conflict');
+        t.end();
+    });
+});
+
+test('GET /status?deleter=c', function _testMultiUnknown(t) {
+    multiClient.get('/status?deleter=c', function _onGet(err, req, res) {
+        t.ok(err, 'GET /status?deleter=c should fail');
+        t.equal(res.statusCode, 404, 'should be not found');
+        t.end();
+    });
+});
+
+test('teardown', function _testTeardown(t) {
+    client.close();
+    multiClient.close();
+    deleter.stop();
+    namedDeleters.forEach(function _stop(gd) {
+        gd.stop();
+    });
+    multiServer.close(function _onMultiClose() {
+        server.close(function _onClose() {
+            child_process.execFileSync('/usr/bin/rm', ['-fr', TEST_DIR], {});
+            t.ok(true, 'teardown');
+            t.end();
+        });
+    });
+});
@@ -6,6 +6,7 @@
 
 /*
  * Copyright 2020 Joyent, Inc.
+ * Copyright 2026 MNX Cloud, Inc.
  */
 
 /*
@@ -21,9 +22,13 @@ var path = require('path');
 var assert = require('assert-plus');
 var test = require('@smaller/tap').test;
 var uuidv4 = require('uuid/v4');
+var vasync = require('vasync');
 var VError = require('verror').VError;
 
+var forEachRecord = require('../../lib/audit-journal.js').forEachRecord;
+var DeleteBudget = require('../../lib/delete-budget.js');
 var GarbageDeleter = require('../../lib/garbage-deleter.js');
+var gcConfig = require('../../lib/gc-config.js');
 
 var TEST_DIR = path.join('/tmp', _randomString() + '.garbage-deleter-test');
 var TEST_DIR_BAD_INSTR = path.join(TEST_DIR, 'bad_instructions');
@@ -206,6 +211,7 @@ test('create testdirs', function _testCreateTestdirs(t) {
 
 test('create GarbageDeleter', function _testCreateDeleter(t) {
     deleter = new GarbageDeleter({
+        auditJournalDir: path.join(TEST_DIR_MANTA, 'manta_gc', 'audit'),
         badInstructionDir: TEST_DIR_BAD_INSTR,
         config: {
             manta_storage_id: TEST_STORAGE_ID
@@ -213,6 +219,9 @@ test('create GarbageDeleter', function _testCreateDeleter(t) {
         instructionDir: TEST_DIR_INSTR,
         log: logger,
         mantaRoot: TEST_DIR_MANTA,
+        // Keep the files for the too many lines test small.
+        maxLines: 1000,
+        minRunFreq: 10,
         _processFileHook: _processFileHook
         // metricsManager: ctx.metricsManager
     });
@@ -627,6 +636,2515 @@ test('test deleting non-existent files', function _testDeleteNonExistent(t) {
     );
 });
 
+// Ensure that when some lines fail, only those are moved to bad_instructions
+test('test partially bad instruction file', function _testPartialBad(t) {
+    var badLines;
+    var idx;
+    var lines = [];
+    var mantaDir;
+    var mantaObjects = [];
+    var mantaOwner = uuidv4();
+
+    mantaDir = path.join(TEST_DIR_MANTA, mantaOwner);
+
+    t.doesNotThrow(function() {
+        fs.mkdirSync(mantaDir);
+    }, 'create test /manta/' + mantaOwner + ' dir');
+
+    for (idx = 0; idx < 5; idx++) {
+        mantaObjects.push(uuidv4());
+
+        // eslint-disable-next-line no-loop-func
+        t.doesNotThrow(function() {
+            fs.writeFileSync(path.join(mantaDir, mantaObjects[idx]), '');
+        }, 'write manta file ' + mantaOwner + '/' + mantaObjects[idx]);
+
+        lines.push(
+            [TEST_STORAGE_ID, mantaOwner, mantaObjects[idx], 'blah', 0].join(
+                '\t'
+            )
+        );
+    }
+
+    // One line with the wrong number of fields, one with a bad size.
+    badLines = [
+        [TEST_STORAGE_ID, mantaOwner, uuidv4()].join('\t'),
+        [TEST_STORAGE_ID, mantaOwner, uuidv4(), 'blah', 'big'].join('\t')
+    ];
+    lines.splice(1, 0, badLines[0]);
+    lines.push(badLines[1]);
+
+    _testFile(
+        t,
+        {
+            contents: lines.join('\n') + '\n',
+            desc: 'create file with some bad lines',
+            filename: _instrFilename()
+        },
+        function _onProcessed(err, info) {
+            var badContents;
+
+            t.ok(err, 'should have an error for the bad lines');
+
+            for (idx = 0; idx < 5; idx++) {
+                t.notOk(
+                    fs.existsSync(path.join(mantaDir, mantaObjects[idx])),
+                    mantaObjects[idx] + ' should have been deleted'
+                );
+            }
+
+            t.notOk(
+                fs.existsSync(info.filenamePath),
+                info.filename + ' should have been deleted'
+            );
+
+            badContents = fs.readFileSync(info.filenameBadPath, 'utf8');
+            t.deepEqual(
+                badContents.split('\n').filter(function _notComment(line) {
+                    return line.length > 0 && line[0] !== '#';
+                }),
+                badLines,
+                'only bad lines should be in bad_instructions'
+            );
+            t.ok(
+                badContents.indexOf('# InvalidNumberOfFieldsError: ') !== -1,
+                'bad_instructions should note InvalidNumberOfFieldsError'
+            );
+            t.ok(
+                badContents.indexOf('# InvalidInstructionError: ') !== -1,
+                'bad_instructions should note InvalidInstructionError'
+            );
+
+            t.end();
+        }
+    );
+});
+
+// Ensure paths that escape the object namespace or traverse symlinks are
+// refused, while the safe lines in the same file are still processed.
+test('test unsafe paths', function _testUnsafePaths(t) {
+    var bucketDir;
+    var bucketId = uuidv4();
+    var lines;
+    var mantaOwner = uuidv4();
+    var outsideDir = path.join(TEST_DIR, 'outside');
+    var safeObject = uuidv4() + ',' + randomV2StorHash();
+    var symlinkObject = uuidv4() + ',' + randomV2StorHash();
+    var traversalOwner = uuidv4();
+    var traversalObject = uuidv4();
+
+    bucketDir = path.join(TEST_DIR_MANTA, 'v2', mantaOwner, bucketId);
+
+    // The two objects need to be in different subdirectories.
+    while (symlinkObject.substr(0, 2) === safeObject.substr(0, 2)) {
+        symlinkObject = uuidv4() + ',' + randomV2StorHash();
+    }
+
+    t.doesNotThrow(function() {
+        fs.mkdirSync(path.join(TEST_DIR_MANTA, 'v2', mantaOwner));
+        fs.mkdirSync(bucketDir);
+        fs.mkdirSync(path.join(bucketDir, safeObject.substr(0, 2)));
+        fs.writeFileSync(
+            path.join(bucketDir, safeObject.substr(0, 2), safeObject),
+            ''
+        );
+
+        // This object is only reachable through a symlink.
+        fs.mkdirSync(outsideDir);
+        fs.writeFileSync(path.join(outsideDir, symlinkObject), '');
+        fs.symlinkSync(
+            outsideDir,
+            path.join(bucketDir, symlinkObject.substr(0, 2))
+        );
+
+        // This v1 object is only reachable by traversing out of /v2.
+        fs.mkdirSync(path.join(TEST_DIR_MANTA, traversalOwner));
+        fs.writeFileSync(
+            path.join(TEST_DIR_MANTA, traversalOwner, traversalObject),
+            ''
+        );
+    }, 'create test objects');
+
+    lines = [
+        [
+            TEST_STORAGE_ID,
+            'DELETEv2',
+            [
+                '/v2',
+                mantaOwner,
+                bucketId,
+                safeObject.substr(0, 2),
+                safeObject
+            ].join('/'),
+            'blah',
+            0
+        ].join('\t'),
+        [
+            TEST_STORAGE_ID,
+            'DELETEv2',
+            [
+                '/v2',
+                mantaOwner,
+                bucketId,
+                symlinkObject.substr(0, 2),
+                symlinkObject
+            ].join('/'),
+            'blah',
+            0
+        ].join('\t'),
+        [
+            TEST_STORAGE_ID,
+            'DELETEv2',
+            ['/v2/..', traversalOwner, traversalObject].join('/'),
+            'blah',
+            0
+        ].join('\t')
+    ];
+
+    _testFile(
+        t,
+        {
+            contents: lines.join('\n') + '\n',
+            desc: 'create file with unsafe paths',
+            filename: _instrFilename()
+        },
+        function _onProcessed(err, info) {
+            var badContents;
+
+            t.ok(err, 'should have an error for the unsafe lines');
+
+            t.notOk(
+                fs.existsSync(
+                    path.join(bucketDir, safeObject.substr(0, 2), safeObject)
+                ),
+                'safe object should have been deleted'
+            );
+            t.ok(
+                fs.existsSync(path.join(outsideDir, symlinkObject)),
+                'object behind symlink should not have been deleted'
+            );
+            t.ok(
+                fs.existsSync(
+                    path.join(TEST_DIR_MANTA, traversalOwner, traversalObject)
+                ),
+                'object outside /v2 should not have been deleted'
+            );
+
+            // The failed lines are written in the order they complete.
+            badContents = fs.readFileSync(info.filenameBadPath, 'utf8');
+            t.deepEqual(
+                badContents
+                    .split('\n')
+                    .filter(function _notComment(line) {
+                        return line.length > 0 && line[0] !== '#';
+                    })
+                    .sort(),
+                lines.slice(1).sort(),
+                'only unsafe lines should be in bad_instructions'
+            );
+            t.equal(
+                badContents.split('# UnsafePathError: ').length - 1,
+                2,
+                'bad_instructions should note UnsafePathError for both'
+            );
+            t.equal(
+                deleter.getCounter('deleteUnsafePathCount'),
+                2,
+                'should have counted 2 unsafe paths'
+            );
+
+            t.end();
+        }
+    );
+});
+
+// Ensure objects whose size doesn't match the instruction are not deleted
+test('test size verification', function _testVerifySize(t) {
+    var goodObject = uuidv4();
+    var lines;
+    var mantaDir;
+    var mantaOwner = uuidv4();
+    var mismatchObject = uuidv4();
+
+    mantaDir = path.join(TEST_DIR_MANTA, mantaOwner);
+
+    t.doesNotThrow(function() {
+        fs.mkdirSync(mantaDir);
+        fs.writeFileSync(path.join(mantaDir, goodObject), 'hello');
+        fs.writeFileSync(path.join(mantaDir, mismatchObject), 'hello');
+    }, 'create test objects in /manta/' + mantaOwner);
+
+    lines = [
+        [TEST_STORAGE_ID, mantaOwner, goodObject, 'blah', 5].join('\t'),
+        [TEST_STORAGE_ID, mantaOwner, mismatchObject, 'blah', 3].join('\t')
+    ];
+
+    deleter.verifySize = true;
+
+    _testFile(
+        t,
+        {
+            contents: lines.join('\n') + '\n',
+            desc: 'create file with size mismatch',
+            filename: _instrFilename()
+        },
+        function _onProcessed(err, info) {
+            var mismatchFile = path.join(
+                TEST_DIR,
+                'mismatched_instructions',
+                info.filename
+            );
+
+            deleter.verifySize = false;
+
+            t.equal(
+                err && err.name,
+                'SizeMismatchError',
+                'should fail due to size mismatch'
+            );
+            t.notOk(
+                fs.existsSync(path.join(mantaDir, goodObject)),
+                'object with matching size should have been deleted'
+            );
+            t.ok(
+                fs.existsSync(path.join(mantaDir, mismatchObject)),
+                'object with mismatched size should not have been deleted'
+            );
+            t.notOk(
+                fs.existsSync(info.filenameBadPath),
+                'nothing should have been moved to bad_instructions'
+            );
+            t.ok(
+                fs.readFileSync(mismatchFile, 'utf8').indexOf(lines[1]) !== -1,
+                'mismatched line should be in mismatched_instructions'
+            );
+            t.equal(
+                deleter.metrics.deleteSizeMismatchCount,
+                1,
+                'should count 1 size mismatch'
+            );
+            t.end();
+        }
+    );
+});
+
+// Ensure quarantine mode moves files aside and the reaper purges them
+test('test quarantine mode', function _testQuarantine(t) {
+    var idx;
+    var lines = [];
+    var mantaDir;
+    var mantaObjects = [];
+    var mantaOwner = uuidv4();
+    var quarantineDir = path.join(TEST_DIR_MANTA, 'manta_gc', 'quarantine');
+
+    mantaDir = path.join(TEST_DIR_MANTA, mantaOwner);
+
+    t.doesNotThrow(function() {
+        fs.mkdirSync(mantaDir);
+    }, 'create test /manta/' + mantaOwner + ' dir');
+
+    for (idx = 0; idx < 10; idx++) {
+        mantaObjects.push(uuidv4());
+
+        // eslint-disable-next-line no-loop-func
+        t.doesNotThrow(function() {
+            fs.writeFileSync(path.join(mantaDir, mantaObjects[idx]), 'x');
+        }, 'write manta file ' + mantaOwner + '/' + mantaObjects[idx]);
+
+        lines.push(
+            [TEST_STORAGE_ID, mantaOwner, mantaObjects[idx], 'blah', 1].join(
+                '\t'
+            )
+        );
+    }
+
+    deleter.quarantine = true;
+
+    _testFile(
+        t,
+        {
+            contents: lines.join('\n') + '\n',
+            desc: 'create file for quarantine',
+            filename: _instrFilename()
+        },
+        function _onProcessed(err) {
+            deleter.quarantine = false;
+
+            t.error(err, 'should be no error quarantining files');
+
+            for (idx = 0; idx < 10; idx++) {
+                t.notOk(
+                    fs.existsSync(path.join(mantaDir, mantaObjects[idx])),
+                    mantaObjects[idx] + ' should have been removed'
+                );
+                t.ok(
+                    fs.existsSync(
+                        path.join(quarantineDir, mantaOwner, mantaObjects[idx])
+                    ),
+                    mantaObjects[idx] + ' should be in quarantine'
+                );
+            }
+
+            deleter.reapQuarantine(function _onReap(reapErr) {
+                t.error(reapErr, 'reap quarantine');
+                t.equal(
+                    deleter.metrics.quarantineFiles,
+                    10,
+                    'should have 10 files in quarantine'
+                );
+                t.equal(
+                    deleter.metrics.quarantineBytes,
+                    10,
+                    'should have 10 bytes in quarantine'
+                );
+
+                // With no retention, everything should be purged.
+                deleter.quarantineRetention = 0;
+                deleter.reapQuarantine(function _onReapAll(e) {
+                    t.error(e, 'reap quarantine with no retention');
+                    t.equal(
+                        deleter.metrics.quarantineFiles,
+                        0,
+                        'should have 0 files in quarantine'
+                    );
+                    t.equal(
+                        deleter.metrics.quarantineReapedFiles,
+                        10,
+                        'should have reaped 10 files'
+                    );
+                    t.notOk(
+                        fs.existsSync(path.join(quarantineDir, mantaOwner)),
+                        'empty quarantine dir should have been removed'
+                    );
+                    t.end();
+                });
+            });
+        }
+    );
+});
+
+// Ensure failing to reset the mtime of a quarantined object doesn't make the
+// delete fail, since the object has already been moved.
+test('test quarantine mtime failure', function _testQuarantineUtimes(t) {
+    var mantaObject = uuidv4();
+    var mantaOwner = uuidv4();
+    var mantaDir = path.join(TEST_DIR_MANTA, mantaOwner);
+    var missingBefore = deleter.getCounter('deleteCountMissing');
+    var realUtimes = deleter.fsUtimes;
+    var touchErrorsBefore = deleter.getCounter('quarantineTouchErrorCount');
+
+    fs.mkdirSync(mantaDir);
+    fs.writeFileSync(path.join(mantaDir, mantaObject), 'x');
+
+    deleter.quarantine = true;
+    deleter.fsUtimes = function _failUtimes(_f, _atime, _mtime, cb) {
+        setImmediate(cb, new Error('utimes failed'));
+    };
+
+    _testFile(
+        t,
+        {
+            contents:
+                [TEST_STORAGE_ID, mantaOwner, mantaObject, 'blah', 1].join(
+                    '\t'
+                ) + '\n',
+            desc: 'create file for quarantine with failing utimes',
+            filename: _instrFilename()
+        },
+        function _onProcessed(err, results) {
+            deleter.fsUtimes = realUtimes;
+            deleter.quarantine = false;
+
+            t.error(err, 'should be no error quarantining file');
+            t.notOk(
+                fs.existsSync(results.filenameBadPath),
+                'should be no bad instructions'
+            );
+            t.ok(
+                fs.existsSync(
+                    path.join(
+                        TEST_DIR_MANTA,
+                        'manta_gc',
+                        'quarantine',
+                        mantaOwner,
+                        mantaObject
+                    )
+                ),
+                'object should be in quarantine'
+            );
+            t.equal(
+                deleter.getCounter('quarantineTouchErrorCount'),
+                touchErrorsBefore + 1,
+                'should count the mtime failure'
+            );
+            t.equal(
+                deleter.getCounter('deleteCountMissing'),
+                missingBefore,
+                'should not count the object as missing'
+            );
+            t.end();
+        }
+    );
+});
+
+// Ensure deletes are held back by the objects/sec and bytes/sec limits
+test('test delete rate limits', function _testRateLimits(t) {
+    var mantaOwner = uuidv4();
+    var startTime;
+
+    function _lines(count, size) {
+        var idx;
+        var lines = [];
+
+        for (idx = 0; idx < count; idx++) {
+            lines.push(
+                [TEST_STORAGE_ID, mantaOwner, uuidv4(), 'blah', size].join('\t')
+            );
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    // 30 objects at 20/sec with a burst of 20 should take at least 0.5s.
+    deleter.setRateLimits({maxDeleteObjectsPerSecond: 20});
+    startTime = Date.now();
+
+    _testFile(
+        t,
+        {
+            contents: _lines(30, 0),
+            desc: 'create file to test objects/sec limit',
+            filename: _instrFilename()
+        },
+        function _onObjectsProcessed(err) {
+            t.error(err, 'should be no error with objects/sec limit');
+            t.ok(
+                Date.now() - startTime >= 450,
+                'objects/sec limit should have delayed deletes'
+            );
+            t.equal(
+                deleter.getGauge('deleteThrottleWaiting', {limit: 'objects'}),
+                0,
+                'should be no deletes waiting on objects/sec limit'
+            );
+
+            // 4 objects of 500 bytes at 1000 bytes/sec with a burst of 1000
+            // should take at least 1s.
+            deleter.setRateLimits({maxDeleteBytesPerSecond: 1000});
+            startTime = Date.now();
+
+            _testFile(
+                t,
+                {
+                    contents: _lines(4, 500),
+                    desc: 'create file to test bytes/sec limit',
+                    filename: _instrFilename()
+                },
+                function _onBytesProcessed(bytesErr) {
+                    t.error(
+                        bytesErr,
+                        'should be no error with bytes/sec limit'
+                    );
+                    t.ok(
+                        Date.now() - startTime >= 950,
+                        'bytes/sec limit should have delayed deletes'
+                    );
+                    t.ok(
+                        deleter.getCounter('deleteThrottleSeconds', {
+                            limit: 'bytes'
+                        }) >= 0.95,
+                        'should have counted time waiting on bytes/sec limit'
+                    );
+
+                    deleter.setRateLimits({});
+                    t.end();
+                }
+            );
+        }
+    );
+});
+
+// Ensure each object we try to delete is recorded in the audit journal
+test('test audit journal', function _testAuditJournal(t) {
+    var lines;
+    var mantaDir;
+    var mantaObjects = [uuidv4(), uuidv4()];
+    var mantaOwner = uuidv4();
+
+    mantaDir = path.join(TEST_DIR_MANTA, mantaOwner);
+
+    t.doesNotThrow(function() {
+        fs.mkdirSync(mantaDir);
+        // Only the first object exists, the second should be "missing".
+        fs.writeFileSync(path.join(mantaDir, mantaObjects[0]), '');
+    }, 'create test objects');
+
+    lines = mantaObjects.map(function _toLine(obj, idx) {
+        return [
+            TEST_STORAGE_ID,
+            mantaOwner,
+            obj,
+            'shard-' + idx,
+            10 + idx
+        ].join('\t');
+    });
+
+    _testFile(
+        t,
+        {
+            contents: lines.join('\n') + '\n',
+            desc: 'create file to test audit journal',
+            filename: _instrFilename()
+        },
+        function _onProcessed(err, info) {
+            var records = [];
+
+            t.error(err, 'should be no error deleting files');
+
+            forEachRecord(
+                {
+                    dir: path.join(TEST_DIR_MANTA, 'manta_gc', 'audit'),
+                    func: function _onRecord(record) {
+                        if (record.instructionFile === info.filename) {
+                            records.push(record);
+                        }
+                    }
+                },
+                function _onRead(readErr) {
+                    t.error(readErr, 'read audit journal');
+
+                    records.sort(function _byShard(a, b) {
+                        return a.shard < b.shard ? -1 : 1;
+                    });
+                    t.deepEqual(
+                        records.map(function _summarize(record) {
+                            return [
+                                record.path,
+                                record.shard,
+                                record.size,
+                                record.outcome
+                            ];
+                        }),
+                        [
+                            [
+                                path.join(mantaDir, mantaObjects[0]),
+                                'shard-0',
+                                10,
+                                'deleted'
+                            ],
+                            [
+                                path.join(mantaDir, mantaObjects[1]),
+                                'shard-1',
+                                11,
+                                'missing'
+                            ]
+                        ],
+                        'should have journaled both objects'
+                    );
+
+                    t.end();
+                }
+            );
+        }
+    );
+});
+
+// Ensure reclaimed bytes and objects are counted by shard and account
+test('test reclaimed accounting', function _testReclaimed(t) {
+    var bucketDir;
+    var bucketId = uuidv4();
+    var lines;
+    var ownerV1 = uuidv4();
+    var ownerV2 = uuidv4();
+    var rollupFile = path.join(TEST_DIR, 'gc_reclaimed.out');
+    var shard = 'reclaimed.moray.test';
+    var v1Objects = [uuidv4(), uuidv4(), uuidv4()];
+    var v2Object = uuidv4() + ',' + randomV2StorHash();
+
+    bucketDir = path.join(
+        TEST_DIR_MANTA,
+        'v2',
+        ownerV2,
+        bucketId,
+        v2Object.substr(0, 2)
+    );
+
+    t.doesNotThrow(function() {
+        fs.mkdirSync(path.join(TEST_DIR_MANTA, ownerV1));
+        // The last v1 object is left missing, so shouldn't be counted.
+        fs.writeFileSync(path.join(TEST_DIR_MANTA, ownerV1, v1Objects[0]), '');
+        fs.writeFileSync(path.join(TEST_DIR_MANTA, ownerV1, v1Objects[1]), '');
+        fs.mkdirSync(path.join(TEST_DIR_MANTA, 'v2', ownerV2));
+        fs.mkdirSync(path.join(TEST_DIR_MANTA, 'v2', ownerV2, bucketId));
+        fs.mkdirSync(bucketDir);
+        fs.writeFileSync(path.join(bucketDir, v2Object), '');
+    }, 'create test objects');
+
+    lines = [
+        [TEST_STORAGE_ID, ownerV1, v1Objects[0], shard, 10],
+        [TEST_STORAGE_ID, ownerV1, v1Objects[1], shard, 20],
+        [TEST_STORAGE_ID, ownerV1, v1Objects[2], shard, 40],
+        [
+            TEST_STORAGE_ID,
+            'DELETEv2',
+            ['/v2', ownerV2, bucketId, v2Object.substr(0, 2), v2Object].join(
+                '/'
+            ),
+            shard,
+            5
+        ]
+    ].map(function _toLine(fields) {
+        return fields.join('\t');
+    });
+
+    deleter.reclaimedByAccount = true;
+    deleter.reclaimedRollupFile = rollupFile;
+
+    _testFile(
+        t,
+        {
+            contents: lines.join('\n') + '\n',
+            desc: 'create file to test reclaimed accounting',
+            filename: _instrFilename()
+        },
+        function _onProcessed(err) {
+            t.error(err, 'should be no error deleting files');
+
+            t.equal(
+                deleter.getCounter('reclaimedBytes', {shard: shard}),
+                35,
+                'should have counted bytes reclaimed for shard'
+            );
+            t.equal(
+                deleter.getCounter('reclaimedObjects', {shard: shard}),
+                3,
+                'should have counted objects reclaimed for shard'
+            );
+            t.equal(
+                deleter.getCounter('reclaimedAccountBytes', {account: ownerV1}),
+                30,
+                'should have counted bytes reclaimed for v1 owner'
+            );
+            t.equal(
+                deleter.getCounter('reclaimedAccountObjects', {
+                    account: ownerV2
+                }),
+                1,
+                'should have counted objects reclaimed for v2 owner'
+            );
+
+            // Disable before writing so that no further writes get scheduled.
+            deleter.reclaimedByAccount = false;
+            deleter.writeReclaimedRollup(function _onWritten(writeErr) {
+                var rollup;
+
+                t.error(writeErr, 'write reclaimed rollup');
+
+                rollup = fs.readFileSync(rollupFile, 'utf8');
+                t.ok(
+                    rollup.indexOf('# TYPE reclaimed_bytes counter\n') !== -1,
+                    'rollup should have reclaimed_bytes type'
+                );
+                t.ok(
+                    rollup.indexOf(
+                        'reclaimed_bytes{account="' + ownerV1 + '"} 30\n'
+                    ) !== -1,
+                    'rollup should have bytes for v1 owner'
+                );
+                t.ok(
+                    rollup.indexOf(
+                        'reclaimed_object_count{account="' + ownerV2 + '"} 1\n'
+                    ) !== -1,
+                    'rollup should have objects for v2 owner'
+                );
+
+                t.end();
+            });
+        }
+    );
+});
+// Ensure applying a reloaded config applies safe changes and rejects the rest
+// Ensure reloading the config applies safe changes and rejects the rest
+test('test config reload', function _testConfigReload(t) {
+    var configFile = path.join(TEST_DIR, 'gc_config.json');
+    var identity = {
+        admin_ip: '10.99.99.7',
+        datacenter: 'coal',
+        instance: uuidv4(),
+        manta_storage_id: TEST_STORAGE_ID,
+        server_uuid: uuidv4()
+    };
+    var origConcurrentDeletes = deleter.concurrentDeletes;
+    var origConfig = deleter.config;
+    var origMaxRunWait = deleter.maxRunWait;
+
+    function _writeConfig(tunables) {
+        var config = {};
+
+        Object.keys(identity).forEach(function _copy(field) {
+            config[field] = identity[field];
+        });
+        Object.keys(tunables).forEach(function _copy(name) {
+            config[name] = tunables[name];
+        });
+
+        fs.writeFileSync(configFile, JSON.stringify(config));
+    }
+
+    function _loadConfig(cb) {
+        gcConfig.loadConfig(
+            {filename: configFile, log: logger},
+            function _onLoad(err, config) {
+                t.error(err, 'load config');
+                cb(config);
+            }
+        );
+    }
+
+    identity.manta_root = TEST_DIR_MANTA;
+    deleter.config = gcConfig.validateConfig(identity, {log: logger});
+    delete identity.manta_root;
+
+    _writeConfig({
+        concurrent_deletes: 3,
+        max_delete_objects_per_second: 1000,
+        max_run_wait: 60000
+    });
+
+    _loadConfig(function _onLoad(config) {
+        var diff = deleter.applyConfig(config);
+
+        t.deepEqual(
+            diff.changed,
+            [
+                'concurrent_deletes',
+                'max_delete_objects_per_second',
+                'max_run_wait'
+            ],
+            'should have changed reloadable tunables'
+        );
+        t.deepEqual(
+            diff.rejected,
+            ['manta_root'],
+            'should have rejected manta_root change'
+        );
+        t.equal(deleter.concurrentDeletes, 3, 'concurrentDeletes applied');
+        t.equal(deleter.maxRunWait, 60000, 'maxRunWait applied');
+        t.equal(
+            deleter.rateLimiters.objects.rate,
+            1000,
+            'objects/sec limit applied'
+        );
+        t.equal(deleter.mantaRoot, TEST_DIR_MANTA, 'mantaRoot unchanged');
+        t.equal(
+            deleter.config.manta_root,
+            TEST_DIR_MANTA,
+            'config should keep running manta_root'
+        );
+        t.notEqual(
+            config.manta_root,
+            TEST_DIR_MANTA,
+            'loaded config should be left as it was'
+        );
+        t.equal(deleter.configGeneration, 2, 'configGeneration incremented');
+
+        diff = deleter.applyConfig(config);
+        t.deepEqual(diff.changed, [], 'should have changed nothing');
+        t.equal(deleter.configGeneration, 2, 'configGeneration unchanged');
+        t.equal(
+            deleter.getCounter('configReloads', {result: 'success'}),
+            2,
+            'should have counted successful reloads'
+        );
+        t.equal(
+            deleter.getGauge('configGeneration'),
+            2,
+            'configGeneration gauge'
+        );
+
+        deleter.reconfigure({
+            concurrentDeletes: origConcurrentDeletes,
+            maxDeleteObjectsPerSecond: 0,
+            maxRunWait: origMaxRunWait
+        });
+        deleter.config = origConfig;
+        t.end();
+    });
+});
+
+// Ensure stopping part way through a file waits for in-flight deletes and
+// leaves only the lines which weren't started, to be resumed later.
+test('test graceful stop', function _testGracefulStop(t) {
+    var drainDeleter;
+    var drainDir = path.join(TEST_DIR, 'drain_instructions');
+    var filename = _instrFilename();
+    var filenamePath = path.join(drainDir, filename);
+    var lines = [];
+    var mantaOwner = uuidv4();
+    var objectIds = [];
+    var unlinked = [];
+
+    function _createDeleter(fsUnlink, extraOpts) {
+        var opts = {
+            auditJournalDir: path.join(TEST_DIR, 'drain_audit'),
+            badInstructionDir: TEST_DIR_BAD_INSTR,
+            concurrentDeletes: 2,
+            config: {
+                manta_storage_id: TEST_STORAGE_ID
+            },
+            instructionDir: drainDir,
+            log: logger,
+            mantaRoot: TEST_DIR_MANTA,
+            _fsUnlink: fsUnlink
+        };
+
+        Object.keys(extraOpts || {}).forEach(function _copy(k) {
+            opts[k] = extraOpts[k];
+        });
+
+        return new GarbageDeleter(opts);
+    }
+
+    // Slow deletes of the objects, the instruction file is really deleted.
+    function _unlink(unlinkFile, cb) {
+        if (objectIds.indexOf(path.basename(unlinkFile)) === -1) {
+            fs.unlink(unlinkFile, cb);
+            return;
+        }
+        unlinked.push(path.basename(unlinkFile));
+        setTimeout(cb, 50);
+    }
+
+    while (objectIds.length < 10) {
+        objectIds.push(uuidv4());
+        lines.push(
+            [
+                TEST_STORAGE_ID,
+                mantaOwner,
+                objectIds[objectIds.length - 1],
+                'blah',
+                0
+            ].join('\t')
+        );
+    }
+
+    fs.mkdirSync(drainDir);
+    fs.writeFileSync(filenamePath, lines.join('\n') + '\n');
+
+    drainDeleter = _createDeleter(function _stopOnFirst(unlinkFile, cb) {
+        if (unlinked.length === 0) {
+            drainDeleter.stop(_onStopped);
+        }
+        _unlink(unlinkFile, cb);
+    });
+    drainDeleter.start();
+
+    function _onStopped(err) {
+        var remaining;
+
+        t.error(err, 'stop should wait for in-flight deletes');
+        t.ok(unlinked.length > 0, 'should have deleted some objects');
+        t.ok(unlinked.length < 10, 'should not have deleted all objects');
+
+        remaining = fs
+            .readFileSync(filenamePath, 'utf8')
+            .split('\n')
+            .filter(function _nonEmpty(line) {
+                return line.length > 0;
+            });
+        t.deepEqual(
+            remaining,
+            lines.filter(function _notDeleted(line) {
+                return unlinked.indexOf(line.split('\t')[2]) === -1;
+            }),
+            'instruction file should contain only the lines not started'
+        );
+        t.deepEqual(
+            fs.readdirSync(drainDir),
+            [filename],
+            'should be no temporary files left behind'
+        );
+
+        // Resume, which should delete only the remaining objects.
+        _createDeleter(_unlink).processInstructionDir(function _onResumed(
+            resumeErr
+        ) {
+            t.error(resumeErr, 'resume processing');
+            t.deepEqual(
+                unlinked.slice().sort(),
+                objectIds.slice().sort(),
+                'each object should have been deleted exactly once'
+            );
+            t.notOk(
+                fs.existsSync(filenamePath),
+                'instruction file should be deleted after resuming'
+            );
+
+            _testTimeout();
+        });
+    }
+
+    // If in-flight deletes take longer than drainTimeout, stop() should give
+    // up waiting.
+    function _testTimeout() {
+        var held = [];
+        var timeoutDeleter;
+
+        fs.writeFileSync(filenamePath, lines.join('\n') + '\n');
+
+        timeoutDeleter = _createDeleter(
+            function _holdUnlink(unlinkFile, cb) {
+                if (objectIds.indexOf(path.basename(unlinkFile)) === -1) {
+                    fs.unlink(unlinkFile, cb);
+                    return;
+                }
+                held.push(cb);
+                if (held.length === 1) {
+                    timeoutDeleter.stop(function _onTimedOut(err) {
+                        t.equal(
+                            err && err.name,
+                            'DrainTimeoutError',
+                            'stop should time out'
+                        );
+
+                        held.forEach(function _release(heldCb) {
+                            heldCb();
+                        });
+                    });
+                }
+            },
+            {
+                drainTimeout: 100,
+                _processFileHook: function _onProcessed(obj) {
+                    t.ok(obj.remainingLines > 0, 'should have lines left');
+                    t.end();
+                }
+            }
+        );
+        timeoutDeleter.start();
+    }
+});
+
+// Ensure lines completed before a restart are skipped (and not counted as
+// missing) when the file is processed again, and leftover files are removed.
+test('test resuming from checkpoint', function _testResume(t) {
+    var filename = _instrFilename();
+    var idx;
+    var lines = [];
+    var mantaDir;
+    var mantaObjects = [];
+    var mantaOwner = uuidv4();
+    var resumeDeleter;
+    var resumeDir = path.join(TEST_DIR, 'resume_instructions');
+
+    mantaDir = path.join(TEST_DIR_MANTA, mantaOwner);
+    fs.mkdirSync(mantaDir);
+    fs.mkdirSync(resumeDir);
+
+    for (idx = 0; idx < 5; idx++) {
+        mantaObjects.push(uuidv4());
+        // The first 2 were deleted before the "restart".
+        if (idx >= 2) {
+            fs.writeFileSync(path.join(mantaDir, mantaObjects[idx]), '');
+        }
+        lines.push(
+            [TEST_STORAGE_ID, mantaOwner, mantaObjects[idx], 'blah', 0].join(
+                '\t'
+            )
+        );
+    }
+
+    fs.writeFileSync(path.join(resumeDir, filename), lines.join('\n') + '\n');
+    fs.writeFileSync(
+        path.join(resumeDir, '.' + filename + '.checkpoint'),
+        JSON.stringify({
+            ino: fs.statSync(path.join(resumeDir, filename)).ino,
+            lines: 5
+        }) + '\n1\n0\n'
+    );
+    fs.writeFileSync(
+        path.join(resumeDir, '.gone.instruction.checkpoint'),
+        '{}\n'
+    );
+    fs.writeFileSync(path.join(resumeDir, '.gone.instruction.tmp'), '');
+    fs.writeFileSync(path.join(resumeDir, '.keepme'), '');
+
+    resumeDeleter = new GarbageDeleter({
+        auditJournalDir: path.join(TEST_DIR, 'resume_audit'),
+        badInstructionDir: TEST_DIR_BAD_INSTR,
+        config: {
+            manta_storage_id: TEST_STORAGE_ID
+        },
+        instructionDir: resumeDir,
+        log: logger,
+        mantaRoot: TEST_DIR_MANTA
+    });
+
+    resumeDeleter.processInstructionDir(function _onProcessed(err) {
+        t.error(err, 'process resumed file');
+        t.equal(
+            resumeDeleter.getCounter('instructionLinesResumed'),
+            2,
+            'should have resumed 2 lines'
+        );
+        t.equal(
+            resumeDeleter.getCounter('instructionLinesProcessed'),
+            3,
+            'should have processed 3 lines'
+        );
+        t.equal(
+            resumeDeleter.getCounter('deleteCountMissing'),
+            0,
+            'should be no missing objects'
+        );
+        t.equal(
+            fs.readdirSync(mantaDir).length,
+            0,
+            'remaining objects should have been deleted'
+        );
+        t.deepEqual(
+            fs.readdirSync(resumeDir),
+            ['.keepme'],
+            'instruction file, checkpoint and stale files should be removed'
+        );
+        t.end();
+    });
+});
+
+// Ensure instruction files are processed oldest first, by mtime or by the
+// timestamp in the filename.
+test('test instruction file order', function _testOrder(t) {
+    var orderDeleter;
+    var orderDir = path.join(TEST_DIR, 'order_instructions');
+    var processed = [];
+
+    //
+    // Each file is named for a time `nameAge` seconds ago, and has an mtime
+    // `mtimeAge` seconds ago, so the two orders are the reverse of each other.
+    //
+    var files = [
+        {mtimeAge: 60, nameAge: 7200},
+        {mtimeAge: 3600, nameAge: 600},
+        {mtimeAge: 600, nameAge: 3600}
+    ].map(function _createFile(ages) {
+        var now = Date.now();
+        var filename =
+            new Date(now - ages.nameAge * 1000)
+                .toISOString()
+                .replace(/[-:]/g, '')
+                .replace(/\..*$/, 'Z') +
+            _instrFilename().slice('YYYYMMDDTHHMMSSZ'.length);
+
+        return {
+            filename: filename,
+            mtime: (now - ages.mtimeAge * 1000) / 1000
+        };
+    });
+
+    function _writeFiles() {
+        files.forEach(function _writeFile(file) {
+            var filename = path.join(orderDir, file.filename);
+
+            fs.writeFileSync(
+                filename,
+                [TEST_STORAGE_ID, uuidv4(), uuidv4(), 'blah', 0].join('\t') +
+                    '\n'
+            );
+            fs.utimesSync(filename, file.mtime, file.mtime);
+        });
+    }
+
+    fs.mkdirSync(orderDir);
+    _writeFiles();
+
+    // One file at a time, so that they complete in the order they started.
+    orderDeleter = new GarbageDeleter({
+        auditJournalDir: path.join(TEST_DIR, 'order_audit'),
+        badInstructionDir: TEST_DIR_BAD_INSTR,
+        concurrentFiles: 1,
+        config: {
+            manta_storage_id: TEST_STORAGE_ID
+        },
+        instructionDir: orderDir,
+        log: logger,
+        mantaRoot: TEST_DIR_MANTA,
+        _processFileHook: function _onProcessed(obj) {
+            processed.push(obj.filename);
+        }
+    });
+
+    orderDeleter.processInstructionDir(function _onMtimeOrder(err) {
+        t.error(err, 'process files by mtime');
+        t.deepEqual(
+            processed,
+            [files[1].filename, files[2].filename, files[0].filename],
+            'should process oldest mtime first'
+        );
+        t.ok(
+            orderDeleter.getGauge('instructionFilesOldestAgeSeconds') >= 3600,
+            'oldest age should be from the oldest mtime'
+        );
+
+        processed = [];
+        _writeFiles();
+        orderDeleter.reconfigure({instructionOrder: 'filename'});
+
+        orderDeleter.processInstructionDir(function _onFilenameOrder(
+            filenameErr
+        ) {
+            t.error(filenameErr, 'process files by filename');
+            t.deepEqual(
+                processed,
+                [files[0].filename, files[2].filename, files[1].filename],
+                'should process oldest filename timestamp first'
+            );
+            t.ok(
+                orderDeleter.getGauge('instructionFilesOldestAgeSeconds') >=
+                    7200,
+                'oldest age should be from the oldest filename timestamp'
+            );
+
+            orderDeleter.orderInstructionFiles([], function _onEmpty(ordered) {
+                t.deepEqual(ordered, [], 'nothing to order');
+                t.equal(
+                    orderDeleter.getGauge('instructionFilesOldestAgeSeconds'),
+                    0,
+                    'oldest age should be 0 with nothing queued'
+                );
+                t.end();
+            });
+        });
+    });
+});
+
+// Ensure that when pruneEmptyDirs is set, directories emptied by the deletes
+// are removed up to, but not including, the account root.
+test('test pruning empty directories', function _testPruneDirs(t) {
+    var bucketEmptied = uuidv4();
+    var bucketKept = uuidv4();
+    var creator = uuidv4();
+    var dirInodes = {};
+    var lines = [];
+    var mantaOwner = uuidv4();
+    var objects;
+    var ownerDir = path.join(TEST_DIR_MANTA, 'v2', mantaOwner);
+    var prunableDirs;
+    var prunedBefore = deleter.getCounter('prunedDirs');
+    var recreatedDir;
+
+    // The last object is the only one not deleted.
+    objects = [
+        path.join(ownerDir, bucketEmptied, 'aa', 'aa' + uuidv4()),
+        path.join(ownerDir, bucketEmptied, 'bb', 'bb' + uuidv4()),
+        path.join(ownerDir, bucketKept, 'cc', 'cc' + uuidv4()),
+        path.join(TEST_DIR_MANTA, creator, uuidv4()),
+        path.join(ownerDir, bucketKept, 'cc', 'cc' + uuidv4())
+    ];
+
+    objects.forEach(function _createObject(objectPath, idx) {
+        child_process.execFileSync('/usr/bin/mkdir', [
+            '-p',
+            path.dirname(objectPath)
+        ]);
+        fs.writeFileSync(objectPath, '');
+
+        if (idx < objects.length - 1) {
+            lines.push(
+                [
+                    TEST_STORAGE_ID,
+                    'DELETEv2',
+                    '/' + path.relative(TEST_DIR_MANTA, objectPath),
+                    'blah',
+                    0
+                ].join('\t')
+            );
+        }
+    });
+
+    // The v1 object.
+    lines[3] = [
+        TEST_STORAGE_ID,
+        creator,
+        path.basename(objects[3]),
+        'blah',
+        0
+    ].join('\t');
+
+    deleter.pruneEmptyDirs = true;
+
+    _testFile(
+        t,
+        {
+            contents: lines.join('\n') + '\n',
+            desc: 'create file with deletes emptying directories',
+            filename: _instrFilename()
+        },
+        function _onProcessed(err) {
+            deleter.pruneEmptyDirs = false;
+
+            t.error(err, 'should be no error deleting files');
+            t.equal(
+                deleter.getCounter('prunedDirs') - prunedBefore,
+                3,
+                'should have pruned 3 directories'
+            );
+            t.deepEqual(
+                fs.readdirSync(ownerDir),
+                [bucketKept],
+                'emptied bucket directory should be removed'
+            );
+            t.ok(
+                fs.existsSync(objects[4]),
+                'object not deleted should still exist'
+            );
+            t.deepEqual(
+                fs.readdirSync(path.join(TEST_DIR_MANTA, creator)),
+                [],
+                'v1 account directory should be left'
+            );
+
+            // A directory which has been recreated since its path was checked
+            // (so has a different inode) is left alone.
+            recreatedDir = path.join(ownerDir, bucketKept, 'dd');
+            fs.mkdirSync(recreatedDir);
+            dirInodes[recreatedDir] = fs.statSync(recreatedDir).ino + 1;
+
+            deleter.pruneEmptyDirs = true;
+            prunableDirs = {};
+            deleter.addPrunableDirs(prunableDirs, {
+                deleteFile: path.join(recreatedDir, 'dd' + uuidv4()),
+                dirInodes: dirInodes
+            });
+            deleter.pruneDirs(prunableDirs, function _onPruned() {
+                deleter.pruneEmptyDirs = false;
+
+                t.ok(
+                    fs.existsSync(recreatedDir),
+                    'recreated directory should be left'
+                );
+                t.end();
+            });
+        }
+    );
+});
+
+// Ensure several instruction files are processed at once while the number of
+// deletes in flight stays within concurrentDeletes.
+test('test parallel instruction files', function _testParallelFiles(t) {
+    var inFlight = 0;
+    var maxCurrentFiles = 0;
+    var maxInFlight = 0;
+    var objectIds = [];
+    var parallelDeleter;
+    var parallelDir = path.join(TEST_DIR, 'parallel_instructions');
+    var processed = [];
+
+    fs.mkdirSync(parallelDir);
+
+    while (processed.length < 6) {
+        processed.push(_instrFilename());
+    }
+    processed.forEach(function _writeFile(filename) {
+        var lines = [];
+
+        while (lines.length < 3) {
+            objectIds.push(uuidv4());
+            lines.push(
+                [
+                    TEST_STORAGE_ID,
+                    uuidv4(),
+                    objectIds[objectIds.length - 1],
+                    'blah',
+                    0
+                ].join('\t')
+            );
+        }
+        fs.writeFileSync(
+            path.join(parallelDir, filename),
+            lines.join('\n') + '\n'
+        );
+    });
+    processed = [];
+
+    parallelDeleter = new GarbageDeleter({
+        auditJournalDir: path.join(TEST_DIR, 'parallel_audit'),
+        badInstructionDir: TEST_DIR_BAD_INSTR,
+        concurrentDeletes: 3,
+        concurrentFiles: 4,
+        config: {
+            manta_storage_id: TEST_STORAGE_ID
+        },
+        instructionDir: parallelDir,
+        log: logger,
+        mantaRoot: TEST_DIR_MANTA,
+        // Slow deletes of the objects, the instruction files are really
+        // deleted.
+        _fsUnlink: function _unlink(unlinkFile, cb) {
+            if (objectIds.indexOf(path.basename(unlinkFile)) === -1) {
+                fs.unlink(unlinkFile, cb);
+                return;
+            }
+
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            maxCurrentFiles = Math.max(
+                maxCurrentFiles,
+                parallelDeleter.currentFiles.length
+            );
+
+            setTimeout(function _onUnlinked() {
+                inFlight--;
+                cb();
+            }, 20);
+        },
+        _processFileHook: function _onProcessed(obj) {
+            processed.push(obj.filename);
+        }
+    });
+
+    parallelDeleter.processInstructionDir(function _onProcessed(err, results) {
+        t.error(err, 'process instruction files');
+        t.equal(results.lines, 18, 'should have processed 18 lines');
+        t.equal(processed.length, 6, 'should have processed 6 files');
+        t.ok(maxCurrentFiles > 1, 'should process files in parallel');
+        t.ok(maxCurrentFiles <= 4, 'should be limited by concurrentFiles');
+        t.equal(maxInFlight, 3, 'should be limited by concurrentDeletes');
+        t.equal(
+            parallelDeleter.getCounter('deleteCountTotal'),
+            18,
+            'should have deleted 18 objects'
+        );
+        t.deepEqual(
+            parallelDeleter.currentFiles,
+            [],
+            'should be no current files'
+        );
+        t.deepEqual(
+            fs.readdirSync(parallelDir),
+            [],
+            'instruction files should be removed'
+        );
+        t.end();
+    });
+});
+
+// Ensure lines for other storage zones are set aside by storage ID, while lines
+// for one of our aliases are processed as our own.
+test('test misdirected instructions', function _testMisdirected(t) {
+    var aliasObject = uuidv4();
+    var lines;
+    var mantaDir;
+    var mantaOwner = uuidv4();
+    var otherObject = uuidv4();
+    var otherStorageId = '2.other.stor';
+
+    mantaDir = path.join(TEST_DIR_MANTA, mantaOwner);
+
+    t.doesNotThrow(function() {
+        fs.mkdirSync(mantaDir);
+        fs.writeFileSync(path.join(mantaDir, aliasObject), '');
+        fs.writeFileSync(path.join(mantaDir, otherObject), '');
+    }, 'create test objects in /manta/' + mantaOwner);
+
+    lines = [
+        ['1.old.stor', mantaOwner, aliasObject, 'blah', 0].join('\t'),
+        [otherStorageId, mantaOwner, otherObject, 'blah', 0].join('\t')
+    ];
+
+    deleter.storageIdAliases = ['1.old.stor'];
+
+    _testFile(
+        t,
+        {
+            contents: lines.join('\n') + '\n',
+            desc: 'create file with a misdirected line',
+            filename: _instrFilename()
+        },
+        function _onProcessed(err, info) {
+            var misdirectedContents;
+            var misdirectedFile = path.join(
+                TEST_DIR,
+                'misdirected_instructions',
+                otherStorageId,
+                info.filename
+            );
+
+            deleter.storageIdAliases = [];
+
+            t.equal(
+                err && err.name,
+                'MisdirectedInstructionError',
+                'should fail due to misdirected line'
+            );
+            t.notOk(
+                fs.existsSync(path.join(mantaDir, aliasObject)),
+                'object for alias should have been deleted'
+            );
+            t.ok(
+                fs.existsSync(path.join(mantaDir, otherObject)),
+                'object for other storage zone should not have been deleted'
+            );
+            t.notOk(
+                fs.existsSync(info.filenameBadPath),
+                'nothing should have been moved to bad_instructions'
+            );
+
+            misdirectedContents = fs.readFileSync(misdirectedFile, 'utf8');
+            t.ok(
+                misdirectedContents.indexOf(lines[1]) !== -1,
+                'misdirected line should be in misdirected_instructions'
+            );
+            t.ok(
+                misdirectedContents.indexOf(
+                    '# MisdirectedInstructionError: '
+                ) !== -1,
+                'misdirected_instructions should note the error'
+            );
+            t.equal(
+                deleter.getCounter('instructionLinesMisdirected', {
+                    storage_id: otherStorageId
+                }),
+                1,
+                'should count 1 misdirected line for ' + otherStorageId
+            );
+            t.end();
+        }
+    );
+});
+
+// Ensure the bad_instructions retention limits prune oldest first.
+test('test bad instruction retention', function _testBadRetention(t) {
+    var badDir = path.join(TEST_DIR, 'retention_bad_instructions');
+    var now = Date.now() / 1000;
+    var pruneDeleter;
+
+    //
+    // The first file is past the max age. Of the rest, the oldest is pruned
+    // to get down to the max files, then the next 2 to get down to the max
+    // bytes. The temporary file is left alone even though it's old.
+    //
+    var files = [
+        {age: 10 * 86400, name: 'expired.instruction', size: 10},
+        {age: 5 * 3600, name: 'a.instruction', size: 100},
+        {age: 4 * 3600, name: 'b.instruction', size: 100},
+        {age: 3 * 3600, name: 'c.instruction', size: 100},
+        {age: 2 * 3600, name: 'd.instruction', size: 100},
+        {age: 3600, name: 'e.instruction', size: 100},
+        {age: 10 * 86400, name: 'f.instruction.tmp', size: 100}
+    ];
+
+    fs.mkdirSync(badDir);
+    files.forEach(function _writeFile(file) {
+        var filename = path.join(badDir, file.name);
+
+        fs.writeFileSync(filename, Buffer.alloc(file.size, '#'));
+        fs.utimesSync(filename, now - file.age, now - file.age);
+    });
+
+    pruneDeleter = new GarbageDeleter({
+        auditJournalDir: path.join(TEST_DIR, 'retention_audit'),
+        badInstructionDir: badDir,
+        badInstructionMaxAge: 7 * 86400 * 1000,
+        badInstructionMaxBytes: 250,
+        badInstructionMaxFiles: 4,
+        config: {
+            manta_storage_id: TEST_STORAGE_ID
+        },
+        instructionDir: TEST_DIR_INSTR,
+        log: logger,
+        mantaRoot: TEST_DIR_MANTA
+    });
+
+    pruneDeleter.pruneBadInstructions(function _onPruned(err) {
+        clearTimeout(pruneDeleter.badInstructionPruneTimer);
+
+        t.error(err, 'prune bad instructions');
+        t.deepEqual(
+            fs.readdirSync(badDir).sort(),
+            ['d.instruction', 'e.instruction', 'f.instruction.tmp'],
+            'should have pruned the oldest files'
+        );
+        t.equal(
+            pruneDeleter.getCounter('badInstructionPrunedFiles'),
+            4,
+            'should count 4 files pruned'
+        );
+        t.equal(
+            pruneDeleter.getCounter('badInstructionPrunedBytes'),
+            310,
+            'should count 310 bytes pruned'
+        );
+        t.equal(
+            pruneDeleter.getGauge('badInstructionFiles'),
+            2,
+            'should have 2 files left'
+        );
+        t.equal(
+            pruneDeleter.getGauge('badInstructionBytes'),
+            200,
+            'should have 200 bytes left'
+        );
+        t.end();
+    });
+});
+
+// Ensure an object that was just deleted via one instruction file is skipped
+// when it shows up again in another, rather than counted as missing.
+test('test duplicate instructions', function _testDuplicates(t) {
+    var line;
+    var mantaDir;
+    var mantaObject = uuidv4();
+    var mantaOwner = uuidv4();
+    var missingBefore = deleter.getCounter('deleteCountMissing');
+
+    mantaDir = path.join(TEST_DIR_MANTA, mantaOwner);
+
+    t.doesNotThrow(function() {
+        fs.mkdirSync(mantaDir);
+        fs.writeFileSync(path.join(mantaDir, mantaObject), '');
+    }, 'create test object in /manta/' + mantaOwner);
+
+    line = [TEST_STORAGE_ID, mantaOwner, mantaObject, 'blah', 0].join('\t');
+
+    _testFile(
+        t,
+        {
+            contents: line + '\n',
+            desc: 'create first instruction file',
+            filename: _instrFilename()
+        },
+        function _onFirst(err) {
+            t.error(err, 'first file should succeed');
+            t.notOk(
+                fs.existsSync(path.join(mantaDir, mantaObject)),
+                mantaObject + ' should have been deleted'
+            );
+
+            _testFile(
+                t,
+                {
+                    contents: line + '\n',
+                    desc: 'create duplicate instruction file',
+                    filename: _instrFilename()
+                },
+                function _onDuplicate(dupErr, info) {
+                    t.error(dupErr, 'duplicate file should succeed');
+                    t.notOk(
+                        fs.existsSync(info.filenamePath),
+                        info.filename + ' should have been deleted'
+                    );
+                    t.equal(
+                        deleter.getCounter('deleteCountDuplicate'),
+                        1,
+                        'should count 1 duplicate'
+                    );
+                    t.equal(
+                        deleter.getCounter('deleteCountMissing'),
+                        missingBefore,
+                        'duplicate should not count as missing'
+                    );
+                    t.end();
+                }
+            );
+        }
+    );
+});
+
+// Ensure objects modified within minObjectAge are deferred rather than
+// deleted, and that the deferred lines are processed again on a later run.
+test('test deferring recently modified objects', function _testDefer(t) {
+    var lines;
+    var mantaDir;
+    var mantaOwner = uuidv4();
+    var newObject = uuidv4();
+    var oldObject = uuidv4();
+    var oldTime = Date.now() / 1000 - 3600;
+
+    mantaDir = path.join(TEST_DIR_MANTA, mantaOwner);
+
+    t.doesNotThrow(function() {
+        fs.mkdirSync(mantaDir);
+        fs.writeFileSync(path.join(mantaDir, newObject), '');
+        fs.writeFileSync(path.join(mantaDir, oldObject), '');
+        fs.utimesSync(path.join(mantaDir, oldObject), oldTime, oldTime);
+    }, 'create test objects in /manta/' + mantaOwner);
+
+    lines = [
+        [TEST_STORAGE_ID, mantaOwner, newObject, 'blah', 0].join('\t'),
+        [TEST_STORAGE_ID, mantaOwner, oldObject, 'blah', 0].join('\t')
+    ];
+
+    deleter.minObjectAge = 60000;
+
+    _testFile(
+        t,
+        {
+            contents: lines.join('\n') + '\n',
+            desc: 'create file with a recently modified object',
+            filename: _instrFilename()
+        },
+        function _onProcessed(err, info) {
+            var deferredFile = path.join(
+                TEST_DIR,
+                'deferred_instructions',
+                info.filename
+            );
+            var deferredContents;
+
+            t.error(err, 'deferring should not be an error');
+            t.ok(
+                fs.existsSync(path.join(mantaDir, newObject)),
+                'recently modified object should not have been deleted'
+            );
+            t.notOk(
+                fs.existsSync(path.join(mantaDir, oldObject)),
+                'old object should have been deleted'
+            );
+            t.notOk(
+                fs.existsSync(info.filenamePath),
+                info.filename + ' should have been deleted'
+            );
+            t.notOk(
+                fs.existsSync(info.filenameBadPath),
+                'nothing should have been moved to bad_instructions'
+            );
+
+            deferredContents = fs.readFileSync(deferredFile, 'utf8');
+            t.ok(
+                deferredContents.indexOf(lines[0]) !== -1,
+                'deferred line should be in deferred_instructions'
+            );
+            t.ok(
+                deferredContents.indexOf('# ObjectTooNewError: ') !== -1,
+                'deferred_instructions should note the error'
+            );
+            t.equal(
+                deleter.getCounter('instructionLinesDeferred'),
+                1,
+                'should count 1 deferred line'
+            );
+
+            // Once both the object and the deferred file are old enough, the
+            // next run should requeue and process the deferred line.
+            fs.utimesSync(path.join(mantaDir, newObject), oldTime, oldTime);
+            fs.utimesSync(deferredFile, oldTime, oldTime);
+
+            deleteEmitter.once('processed', function _onRequeued(obj) {
+                deleter.minObjectAge = 0;
+
+                t.equal(
+                    obj.filename,
+                    info.filename,
+                    'should process the requeued file'
+                );
+                t.error(obj.err, 'requeued file should succeed');
+                t.notOk(
+                    fs.existsSync(path.join(mantaDir, newObject)),
+                    'deferred object should have been deleted'
+                );
+                t.notOk(
+                    fs.existsSync(deferredFile),
+                    'deferred file should have been requeued'
+                );
+
+                _checkJournal();
+            });
+
+            deleter.runAsap();
+
+            function _checkJournal() {
+                var outcomes = [];
+
+                forEachRecord(
+                    {
+                        dir: path.join(TEST_DIR_MANTA, 'manta_gc', 'audit'),
+                        func: function _onRecord(record) {
+                            if (
+                                record.path === path.join(mantaDir, newObject)
+                            ) {
+                                outcomes.push(record.outcome);
+                            }
+                        }
+                    },
+                    function _onRead(readErr) {
+                        t.error(readErr, 'read audit journal');
+                        t.deepEqual(
+                            outcomes,
+                            ['deferred', 'deleted'],
+                            'journal should record deferral then delete'
+                        );
+                        t.end();
+                    }
+                );
+            }
+        }
+    );
+});
+
+// Ensure deleters for different instruction dirs sharing a DeleteBudget are
+// limited by it together, while each counts only its own deletes.
+test('test deleters sharing a delete budget', function _testSharedBudget(t) {
+    var deleteBudget = new DeleteBudget({limit: 3});
+    var deleters;
+    var inFlight = 0;
+    var maxInFlight = 0;
+    var objectIds = [];
+
+    function _sharedDeleter(name) {
+        var dir = path.join(TEST_DIR, name + '_instructions');
+        var filename = _instrFilename();
+        var lines = [];
+
+        fs.mkdirSync(dir);
+        while (lines.length < 6) {
+            objectIds.push(uuidv4());
+            lines.push(
+                [
+                    TEST_STORAGE_ID,
+                    uuidv4(),
+                    objectIds[objectIds.length - 1],
+                    'blah',
+                    0
+                ].join('\t')
+            );
+        }
+        fs.writeFileSync(path.join(dir, filename), lines.join('\n') + '\n');
+
+        return new GarbageDeleter({
+            auditJournalDir: path.join(TEST_DIR, name + '_audit'),
+            badInstructionDir: TEST_DIR_BAD_INSTR,
+            concurrentDeletes: 3,
+            config: {
+                manta_storage_id: TEST_STORAGE_ID
+            },
+            deleteBudget: deleteBudget,
+            instructionDir: dir,
+            log: logger,
+            mantaRoot: TEST_DIR_MANTA,
+            name: name,
+            // Slow deletes of the objects, the instruction files are really
+            // deleted.
+            _fsUnlink: function _unlink(unlinkFile, cb) {
+                if (objectIds.indexOf(path.basename(unlinkFile)) === -1) {
+                    fs.unlink(unlinkFile, cb);
+                    return;
+                }
+
+                inFlight++;
+                maxInFlight = Math.max(maxInFlight, inFlight);
+
+                setTimeout(function _onUnlinked() {
+                    inFlight--;
+                    cb();
+                }, 20);
+            }
+        });
+    }
+
+    deleters = [_sharedDeleter('first'), _sharedDeleter('second')];
+
+    vasync.forEachParallel(
+        {
+            func: function _process(gd, cb) {
+                gd.processInstructionDir(cb);
+            },
+            inputs: deleters
+        },
+        function _onProcessed(err) {
+            t.error(err, 'process instruction files');
+            t.equal(maxInFlight, 3, 'should be limited by shared budget');
+            deleters.forEach(function _checkDeleter(gd) {
+                t.equal(gd.deleteBudget, deleteBudget, 'should share budget');
+                t.equal(
+                    gd.getCounter('deleteCountTotal'),
+                    6,
+                    gd.name + ' should have deleted its 6 objects'
+                );
+                t.deepEqual(
+                    fs.readdirSync(gd.instructionDir),
+                    [],
+                    gd.name + ' instruction file should be removed'
+                );
+            });
+            t.end();
+        }
+    );
+});
+
+// Ensure a rate-limited deleter sharing a DeleteBudget doesn't hold slots in
+// it while waiting on its rate limit, so other deleters aren't held up.
+test('test rate-limited deleter sharing a delete budget', function _testRateLimitedBudget(t) {
+    var deleteBudget = new DeleteBudget({limit: 2});
+    var fastDeleter;
+    var objectIds = [];
+    var slowDeleter;
+    var slowDeletes = 0;
+    var slowDone = false;
+
+    function _budgetDeleter(name, opts) {
+        var dir = path.join(TEST_DIR, name + '_instructions');
+        var filename = _instrFilename();
+        var lines = [];
+
+        fs.mkdirSync(dir);
+        while (lines.length < 4) {
+            objectIds.push(uuidv4());
+            lines.push(
+                [
+                    TEST_STORAGE_ID,
+                    uuidv4(),
+                    objectIds[objectIds.length - 1],
+                    'blah',
+                    0
+                ].join('\t')
+            );
+        }
+        fs.writeFileSync(path.join(dir, filename), lines.join('\n') + '\n');
+
+        return new GarbageDeleter({
+            badInstructionDir: TEST_DIR_BAD_INSTR,
+            config: {
+                manta_storage_id: TEST_STORAGE_ID
+            },
+            deleteBudget: deleteBudget,
+            instructionDir: dir,
+            log: logger,
+            mantaRoot: TEST_DIR_MANTA,
+            maxDeleteObjectsPerSecond: opts.maxDeleteObjectsPerSecond,
+            name: name,
+            // The objects don't exist, the instruction files are really
+            // deleted.
+            _fsUnlink: function _unlink(unlinkFile, cb) {
+                if (objectIds.indexOf(path.basename(unlinkFile)) === -1) {
+                    fs.unlink(unlinkFile, cb);
+                    return;
+                }
+
+                if (opts.onDelete) {
+                    opts.onDelete();
+                }
+                setImmediate(cb);
+            }
+        });
+    }
+
+    // The first 2 deletes use up the bucket, then the other 2 have to wait
+    // 0.5s each. Once the slow deleter has started waiting, we start the fast
+    // one, which would otherwise wait at least 0.5s for one of the slots.
+    slowDeleter = _budgetDeleter('slow', {
+        maxDeleteObjectsPerSecond: 2,
+        onDelete: function _onSlowDelete() {
+            slowDeletes++;
+            if (slowDeletes === 2) {
+                setTimeout(_runFast, 50);
+            }
+        }
+    });
+    fastDeleter = _budgetDeleter('fast', {});
+
+    function _runFast() {
+        var started = Date.now();
+
+        fastDeleter.processInstructionDir(function _onFastProcessed(err) {
+            t.error(err, 'process fast instruction file');
+            t.ok(
+                Date.now() - started < 250,
+                'fast deleter should not wait for the slow one'
+            );
+            t.notOk(slowDone, 'fast deleter should finish first');
+            t.equal(
+                fastDeleter.getCounter('deleteCountTotal'),
+                4,
+                'fast deleter should have deleted its 4 objects'
+            );
+        });
+    }
+
+    slowDeleter.processInstructionDir(function _onSlowProcessed(err) {
+        slowDone = true;
+        t.error(err, 'process slow instruction file');
+        t.equal(
+            slowDeleter.getCounter('deleteCountTotal'),
+            4,
+            'slow deleter should have deleted its 4 objects'
+        );
+        t.equal(deleteBudget.inFlight, 0, 'all slots should be released');
+        t.end();
+    });
+});
+
+// Ensure a reload lowering max_lines while a file is being processed doesn't
+// fail the second pass over the file once its deletes have started.
+test('test max_lines lowered between passes', function _testLimitsReload(t) {
+    var filename = _instrFilename();
+    var gd;
+    var limitsDir = path.join(TEST_DIR, 'limits_instructions');
+    var lines = [];
+    var objectIds = [];
+    var reads = 0;
+
+    fs.mkdirSync(limitsDir);
+    while (lines.length < 3) {
+        objectIds.push(uuidv4());
+        lines.push(
+            [
+                TEST_STORAGE_ID,
+                uuidv4(),
+                objectIds[objectIds.length - 1],
+                'blah',
+                0
+            ].join('\t')
+        );
+    }
+    fs.writeFileSync(path.join(limitsDir, filename), lines.join('\n') + '\n');
+
+    gd = new GarbageDeleter({
+        badInstructionDir: TEST_DIR_BAD_INSTR,
+        config: {
+            manta_storage_id: TEST_STORAGE_ID
+        },
+        instructionDir: limitsDir,
+        log: logger,
+        mantaRoot: TEST_DIR_MANTA,
+        // Lower the limit, as a reload would, once the first pass is done.
+        _fsCreateReadStream: function _createReadStream(readFile, opts) {
+            var stream = fs.createReadStream(readFile, opts);
+
+            reads++;
+            if (reads === 1) {
+                stream.on('end', function _onFirstPassEnd() {
+                    gd.maxLines = 1;
+                });
+            }
+            return stream;
+        },
+        _fsUnlink: function _unlink(unlinkFile, cb) {
+            if (objectIds.indexOf(path.basename(unlinkFile)) === -1) {
+                fs.unlink(unlinkFile, cb);
+                return;
+            }
+            setImmediate(cb);
+        }
+    });
+
+    gd.processInstructionDir(function _onProcessed(err) {
+        t.error(err, 'process instruction file');
+        t.equal(reads, 2, 'should have read the file twice');
+        t.equal(gd.maxLines, 1, 'should have lowered maxLines');
+        t.equal(
+            gd.getCounter('deleteCountTotal'),
+            3,
+            'should have deleted all 3 objects'
+        );
+        t.notOk(
+            fs.existsSync(path.join(TEST_DIR_BAD_INSTR, filename)),
+            'file should not be in bad_instructions'
+        );
+        t.end();
+    });
+});
+
+// Ensure the min age check and directory pruning go through the fs hooks, so
+// they can be tested without real objects or directories.
+test('test min age and pruning through fs hooks', function _testFsHooks(t) {
+    var bucketDir = path.join(TEST_DIR_MANTA, 'v2', uuidv4(), uuidv4());
+    var deferredDir = path.join(TEST_DIR, 'hooks_deferred');
+    var dirs = {};
+    var fakeInodes = {};
+    var filename = _instrFilename();
+    var gd;
+    var hooksDir = path.join(TEST_DIR, 'hooks_instructions');
+    var lines = [];
+    var objectIds = [];
+    var removed = [];
+    var statted = [];
+
+    fs.mkdirSync(hooksDir);
+    while (lines.length < 2) {
+        objectIds.push(uuidv4());
+        lines.push(
+            [
+                TEST_STORAGE_ID,
+                uuidv4(),
+                objectIds[objectIds.length - 1],
+                'blah',
+                0
+            ].join('\t')
+        );
+    }
+    fs.writeFileSync(path.join(hooksDir, filename), lines.join('\n') + '\n');
+
+    // The inode of 'bb' has changed since it was checked, so it and its
+    // parent are kept.
+    fakeInodes[bucketDir] = 1;
+    fakeInodes[path.join(bucketDir, 'aa')] = 2;
+    fakeInodes[path.join(bucketDir, 'bb')] = 4;
+    dirs[bucketDir] = 1;
+    dirs[path.join(bucketDir, 'aa')] = 2;
+    dirs[path.join(bucketDir, 'bb')] = 3;
+
+    gd = new GarbageDeleter({
+        badInstructionDir: TEST_DIR_BAD_INSTR,
+        config: {
+            manta_storage_id: TEST_STORAGE_ID
+        },
+        deferredInstructionDir: deferredDir,
+        instructionDir: hooksDir,
+        log: logger,
+        mantaRoot: TEST_DIR_MANTA,
+        minObjectAge: 60000,
+        pruneEmptyDirs: true,
+        _fsLstat: function _lstat(lstatPath, cb) {
+            if (!fakeInodes.hasOwnProperty(lstatPath)) {
+                fs.lstat(lstatPath, cb);
+                return;
+            }
+            setImmediate(cb, null, {
+                ino: fakeInodes[lstatPath],
+                isDirectory: function _isDirectory() {
+                    return true;
+                }
+            });
+        },
+        _fsRmdir: function _rmdir(dir, cb) {
+            removed.push(dir);
+            setImmediate(cb);
+        },
+        // The objects don't exist, but look like they were just modified.
+        _fsStat: function _stat(statFile, cb) {
+            if (objectIds.indexOf(path.basename(statFile)) === -1) {
+                fs.stat(statFile, cb);
+                return;
+            }
+            statted.push(statFile);
+            setImmediate(cb, null, {mtime: new Date(), size: 0});
+        }
+    });
+
+    gd.processInstructionDir(function _onProcessed(err) {
+        var deferredContents;
+
+        t.error(err, 'process instruction file');
+        t.equal(statted.length, 2, 'should have checked both objects');
+        t.equal(
+            gd.getCounter('instructionLinesDeferred'),
+            2,
+            'should have deferred both lines'
+        );
+        t.equal(gd.getCounter('deleteCountTotal'), 0, 'should delete nothing');
+        deferredContents = fs.readFileSync(
+            path.join(deferredDir, filename),
+            'utf8'
+        );
+        lines.forEach(function _checkDeferred(line) {
+            t.ok(
+                deferredContents.indexOf(line) !== -1,
+                'line should be in deferred_instructions'
+            );
+        });
+
+        gd.pruneDirs(dirs, function _onPruned() {
+            t.deepEqual(
+                removed,
+                [path.join(bucketDir, 'aa')],
+                'should only remove directory with the same inode'
+            );
+            t.end();
+        });
+    });
+});
+
+// Ensure requeueing deferred lines doesn't replace the remaining lines that
+// were written back under the same name when the deleter stopped part way
+// through the file.
+test('test requeue after stopping with deferred lines', function _testRequeueStopped(t) {
+    var deferredDir = path.join(TEST_DIR, 'requeue_deferred');
+    var filename = _instrFilename();
+    var freshId = uuidv4();
+    var gd;
+    var lines = [];
+    var objectIds = [];
+    var oldTime = Date.now() / 1000 - 3600;
+    var requeueDir = path.join(TEST_DIR, 'requeue_instructions');
+    var unlinked = [];
+
+    function _createDeleter(fsUnlink) {
+        return new GarbageDeleter({
+            auditJournalDir: path.join(TEST_DIR, 'requeue_audit'),
+            badInstructionDir: TEST_DIR_BAD_INSTR,
+            concurrentDeletes: 1,
+            config: {
+                manta_storage_id: TEST_STORAGE_ID
+            },
+            deferredInstructionDir: deferredDir,
+            instructionDir: requeueDir,
+            log: logger,
+            mantaRoot: TEST_DIR_MANTA,
+            minObjectAge: 60000,
+            // The objects don't exist. The first looks like it was just
+            // modified, the others like they were modified long ago.
+            _fsStat: function _stat(statFile, cb) {
+                var id = path.basename(statFile);
+
+                if (objectIds.indexOf(id) === -1) {
+                    fs.stat(statFile, cb);
+                    return;
+                }
+                setImmediate(cb, null, {
+                    mtime: id === freshId ? new Date() : new Date(0),
+                    size: 0
+                });
+            },
+            _fsUnlink: fsUnlink
+        });
+    }
+
+    objectIds.push(freshId);
+    while (objectIds.length < 4) {
+        objectIds.push(uuidv4());
+    }
+    objectIds.forEach(function _addLine(objectId) {
+        lines.push([TEST_STORAGE_ID, uuidv4(), objectId, 'blah', 0].join('\t'));
+    });
+
+    fs.mkdirSync(requeueDir);
+    fs.writeFileSync(path.join(requeueDir, filename), lines.join('\n') + '\n');
+
+    // Stop on the first delete, which follows the deferral of the first line.
+    gd = _createDeleter(function _stopOnFirst(unlinkFile, cb) {
+        if (objectIds.indexOf(path.basename(unlinkFile)) === -1) {
+            fs.unlink(unlinkFile, cb);
+            return;
+        }
+        unlinked.push(path.basename(unlinkFile));
+        if (unlinked.length === 1) {
+            gd.stop(_onStopped);
+        }
+        setTimeout(cb, 50);
+    });
+    gd.start();
+
+    function _onStopped(err) {
+        t.error(err, 'stop deleter');
+        t.deepEqual(unlinked, [objectIds[1]], 'should have deleted 1 object');
+        t.ok(
+            fs.existsSync(path.join(deferredDir, filename)),
+            'deferred line should have been spooled'
+        );
+        t.ok(
+            fs.existsSync(path.join(requeueDir, filename)),
+            'remaining lines should have been written back'
+        );
+
+        fs.utimesSync(path.join(deferredDir, filename), oldTime, oldTime);
+
+        _createDeleter(fs.unlink).requeueDeferred(function _onRequeued() {
+            var requeued = {};
+
+            t.deepEqual(fs.readdirSync(deferredDir), [], 'should requeue file');
+            fs.readdirSync(requeueDir).forEach(function _read(file) {
+                fs.readFileSync(path.join(requeueDir, file), 'utf8')
+                    .split('\n')
+                    .forEach(function _addLine(line) {
+                        if (line.length > 0 && line[0] !== '#') {
+                            requeued[line] = file;
+                        }
+                    });
+            });
+
+            t.deepEqual(
+                Object.keys(requeued).sort(),
+                [lines[0], lines[2], lines[3]].sort(),
+                'deferred and remaining lines should all be queued'
+            );
+            t.equal(
+                requeued[lines[0]],
+                filename.replace(/\.instruction$/, '.1.instruction'),
+                'deferred lines should be requeued under a new name'
+            );
+            t.equal(
+                requeued[lines[2]],
+                filename,
+                'remaining lines should keep their name'
+            );
+            t.end();
+        });
+    }
+});
+
+// Ensure the delete time gauges hold the all-time min and max when there's no
+// window
+test('test delete time gauges without a window', function _testNoWindow(t) {
+    var gd = new GarbageDeleter({
+        badInstructionDir: TEST_DIR_BAD_INSTR,
+        config: {
+            manta_storage_id: TEST_STORAGE_ID
+        },
+        deleteTimeWindow: 0,
+        instructionDir: TEST_DIR_INSTR,
+        log: logger,
+        mantaRoot: TEST_DIR_MANTA
+    });
+
+    t.equal(gd.deleteTimes, null, 'should be no rolling window');
+    t.equal(gd.getGauge('deleteTimeMaxSeconds'), 0, 'max starts at 0');
+    t.equal(gd.getGauge('deleteTimeMinSeconds'), 0, 'min starts at 0');
+
+    [0.5, 0.2, 0.9, 0.4].forEach(function _observe(elapsed) {
+        gd.observeDeleteTime(elapsed);
+    });
+
+    t.equal(gd.getGauge('deleteTimeMaxSeconds'), 0.9, 'should have max');
+    t.equal(gd.getGauge('deleteTimeMinSeconds'), 0.2, 'should have min');
+    t.end();
+});
+
+// Ensure dry run mode deletes nothing and counts what it would have done
+test('test dry run mode', function _testDryRun(t) {
+    var dryRunDeleter;
+    var dryRunDir = path.join(TEST_DIR, 'dry_run_instructions');
+    var existing = uuidv4();
+    var instrFiles = [_instrFilename(), _instrFilename() + '.trash'];
+    var mantaDir;
+    var mantaOwner = uuidv4();
+
+    mantaDir = path.join(TEST_DIR_MANTA, mantaOwner);
+
+    t.doesNotThrow(function() {
+        fs.mkdirSync(dryRunDir);
+        fs.mkdirSync(mantaDir);
+        fs.writeFileSync(path.join(mantaDir, existing), 'hello');
+        fs.writeFileSync(
+            path.join(dryRunDir, instrFiles[0]),
+            [
+                [TEST_STORAGE_ID, mantaOwner, existing, 'blah', 5].join('\t'),
+                [TEST_STORAGE_ID, mantaOwner, uuidv4(), 'blah', 5].join('\t')
+            ].join('\n') + '\n'
+        );
+        fs.writeFileSync(path.join(dryRunDir, instrFiles[1]), 'junk\n');
+    }, 'create dry run instructions');
+
+    dryRunDeleter = new GarbageDeleter({
+        badInstructionDir: TEST_DIR_BAD_INSTR,
+        config: {
+            manta_storage_id: TEST_STORAGE_ID
+        },
+        dryRun: true,
+        instructionDir: dryRunDir,
+        log: logger,
+        mantaRoot: TEST_DIR_MANTA
+    });
+
+    dryRunDeleter.processInstructionDir(function _onDryRun(err, results) {
+        t.error(err, 'dry run should succeed');
+        t.equal(results.files, 2, 'should have seen 2 files');
+        t.equal(
+            dryRunDeleter.auditJournal,
+            null,
+            'should be no audit journal without auditJournalDir'
+        );
+        t.deepEqual(
+            dryRunDeleter.dryRunResults,
+            {
+                badFiles: 1,
+                deferred: 0,
+                errors: 0,
+                missing: 1,
+                sizeMismatch: 0,
+                wouldDelete: 1,
+                wouldDeleteBytes: 5
+            },
+            'dry run results should be correct'
+        );
+        t.ok(
+            fs.existsSync(path.join(mantaDir, existing)),
+            'object should not have been deleted'
+        );
+        t.deepEqual(
+            fs.readdirSync(dryRunDir).sort(),
+            instrFiles.sort(),
+            'instruction files should not have been moved'
+        );
+        t.end();
+    });
+});
+
+// Ensure dry run mode counts objects it would defer for min_object_age
+test('test dry run mode with minObjectAge', function _testDryRunAge(t) {
+    var dryRunDeleter;
+    var dryRunDir = path.join(TEST_DIR, 'dry_run_age_instructions');
+    var instrFile = _instrFilename();
+    var mantaDir;
+    var mantaOwner = uuidv4();
+    var newObject = uuidv4();
+    var oldObject = uuidv4();
+    var oldTime = new Date(Date.now() - 120000);
+
+    mantaDir = path.join(TEST_DIR_MANTA, mantaOwner);
+
+    t.doesNotThrow(function() {
+        fs.mkdirSync(dryRunDir);
+        fs.mkdirSync(mantaDir);
+        fs.writeFileSync(path.join(mantaDir, newObject), 'hello');
+        fs.writeFileSync(path.join(mantaDir, oldObject), 'hello');
+        fs.utimesSync(path.join(mantaDir, oldObject), oldTime, oldTime);
+        fs.writeFileSync(
+            path.join(dryRunDir, instrFile),
+            [
+                [TEST_STORAGE_ID, mantaOwner, newObject, 'blah', 5].join('\t'),
+                [TEST_STORAGE_ID, mantaOwner, oldObject, 'blah', 5].join('\t')
+            ].join('\n') + '\n'
+        );
+    }, 'create dry run instructions');
+
+    dryRunDeleter = new GarbageDeleter({
+        badInstructionDir: TEST_DIR_BAD_INSTR,
+        config: {
+            manta_storage_id: TEST_STORAGE_ID
+        },
+        dryRun: true,
+        instructionDir: dryRunDir,
+        log: logger,
+        mantaRoot: TEST_DIR_MANTA,
+        minObjectAge: 60000
+    });
+
+    dryRunDeleter.processInstructionDir(function _onDryRun(err) {
+        t.error(err, 'dry run should succeed');
+        t.equal(
+            dryRunDeleter.dryRunResults.deferred,
+            1,
+            'should count the new object as deferred'
+        );
+        t.equal(
+            dryRunDeleter.dryRunResults.wouldDelete,
+            1,
+            'should count the old object as would delete'
+        );
+        t.ok(
+            fs.existsSync(path.join(mantaDir, newObject)),
+            'new object should not have been deleted'
+        );
+        t.ok(
+            fs.existsSync(path.join(mantaDir, oldObject)),
+            'old object should not have been deleted'
+        );
+        t.deepEqual(
+            fs.readdirSync(dryRunDir),
+            [instrFile],
+            'instruction file should not have been moved'
+        );
+        t.notOk(
+            fs.existsSync(
+                path.join(TEST_DIR, 'deferred_instructions', instrFile)
+            ),
+            'line should not have been written to deferred_instructions'
+        );
+        t.end();
+    });
+});
+
+// Ensure transient unlink errors are retried and others are not
+test('test retrying transient delete errors', function _testRetry(t) {
+    var attempts = {};
+    var busyObject = uuidv4();
+    var eioObject = uuidv4();
+    var mantaOwner = uuidv4();
+    var permObject = uuidv4();
+    var retryDeleter;
+
+    function _instr(objectId) {
+        return [TEST_STORAGE_ID, mantaOwner, objectId, 'blah', 0].join('\t');
+    }
+
+    retryDeleter = new GarbageDeleter({
+        badInstructionDir: TEST_DIR_BAD_INSTR,
+        config: {
+            manta_storage_id: TEST_STORAGE_ID
+        },
+        deleteRetryDelay: 1,
+        instructionDir: TEST_DIR_INSTR,
+        log: logger,
+        mantaRoot: TEST_DIR_MANTA,
+        maxDeleteRetries: 3,
+        _fsUnlink: function _fsUnlink(filename, cb) {
+            var code;
+            var objectId = path.basename(filename);
+            var err;
+
+            attempts[objectId] = (attempts[objectId] || 0) + 1;
+
+            if (objectId === busyObject && attempts[objectId] <= 2) {
+                code = 'EBUSY';
+            } else if (objectId === eioObject) {
+                code = 'EIO';
+            } else if (objectId === permObject) {
+                code = 'EPERM';
+            }
+
+            if (code) {
+                err = new Error(code + ': ' + filename);
+                err.code = code;
+            }
+
+            setImmediate(cb, err);
+        }
+    });
+
+    retryDeleter.processInstruction(
+        {filename: 'retry.instruction', instructionLine: _instr(busyObject)},
+        function _onBusy(busyErr) {
+            t.error(busyErr, 'EBUSY should succeed after retrying');
+            t.equal(attempts[busyObject], 3, 'should take 3 attempts');
+
+            retryDeleter.processInstruction(
+                {
+                    filename: 'retry.instruction',
+                    instructionLine: _instr(eioObject)
+                },
+                function _onEio(eioErr) {
+                    t.equal(
+                        eioErr && eioErr.name,
+                        'UnlinkFileError',
+                        'EIO should fail after retrying'
+                    );
+                    t.equal(attempts[eioObject], 4, 'should take 4 attempts');
+
+                    retryDeleter.processInstruction(
+                        {
+                            filename: 'retry.instruction',
+                            instructionLine: _instr(permObject)
+                        },
+                        function _onPerm(permErr) {
+                            t.equal(
+                                permErr && permErr.name,
+                                'UnlinkFileError',
+                                'EPERM should fail'
+                            );
+                            t.equal(
+                                attempts[permObject],
+                                1,
+                                'EPERM should not be retried'
+                            );
+                            t.deepEqual(
+                                retryDeleter.metrics.deleteRetryCount,
+                                {EBUSY: 2, EIO: 3},
+                                'retries should be counted by errno'
+                            );
+                            t.deepEqual(
+                                retryDeleter.metrics.deletePermanentErrorCount,
+                                {EIO: 1, EPERM: 1},
+                                'permanent errors should be counted by errno'
+                            );
+                            t.end();
+                        }
+                    );
+                }
+            );
+        }
+    );
+});
+
 // teardown / final checks
 
 test('stop GarbageDeleter', function _testStopDeleter(t) {
@@ -684,6 +3202,17 @@ test('check metrics', function _testMetrics(t) {
     tGreater('deleteTimeMaxSeconds', 'deleteTimeMinSeconds');
     tGreater('deleteTimeSeconds', 'deleteTimeMaxSeconds');
 
+    t.equal(
+        metrics.deleteLatencySeconds.count,
+        metrics.deleteCountTotal,
+        'should have observed latency for each delete'
+    );
+    t.equal(
+        metrics.instructionFileProcessingSeconds.count,
+        metrics.instructionFilesProcessed,
+        'should have observed processing time for each file'
+    );
+
     t.end();
 });
 
@@ -0,0 +1,409 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * This file contains tests for loading and validating the `garbage-deleter`
+ * config file.
+ */
+var child_process = require('child_process');
+var fs = require('fs');
+var path = require('path');
+
+var test = require('@smaller/tap').test;
+
+var gcConfig = require('../../lib/gc-config.js');
+
+var TEST_DIR = path.join(
+    '/tmp',
+    Math.random()
+        .toString(36)
+        .slice(2) + '.gc-config-test'
+);
+
+var IDENTITY = {
+    admin_ip: '10.99.99.7',
+    datacenter: 'coal',
+    instance: 'c1d6c4e7-6c2b-4f5a-8a4e-1d8b0c6e9f10',
+    manta_storage_id: '1.stor.coal.joyent.us',
+    server_uuid: '564d9b5e-3a4f-4c1e-9a2b-7f6e5d4c3b2a'
+};
+
+var warnings = [];
+var logger = {
+    trace: function _trace() {},
+    warn: function _warn(fields) {
+        warnings.push(fields);
+    }
+};
+
+function _config(tunables) {
+    var config = {};
+
+    Object.keys(IDENTITY).forEach(function _copy(field) {
+        config[field] = IDENTITY[field];
+    });
+    Object.keys(tunables).forEach(function _copy(name) {
+        config[name] = tunables[name];
+    });
+
+    return config;
+}
+
+test('setup', function _testSetup(t) {
+    fs.mkdirSync(TEST_DIR);
+    t.ok(true, 'create ' + TEST_DIR);
+    t.end();
+});
+
+test('defaults', function _testDefaults(t) {
+    var config = gcConfig.validateConfig(_config({}), {log: logger});
+
+    t.equal(config.manta_storage_id, IDENTITY.manta_storage_id, 'identity');
+    t.equal(config.bad_instruction_max_age, 0, 'bad_instruction_max_age');
+    t.equal(config.bad_instruction_max_bytes, 0, 'bad_instruction_max_bytes');
+    t.equal(config.bad_instruction_max_files, 0, 'bad_instruction_max_files');
+    t.equal(config.concurrent_deletes, 10, 'concurrent_deletes default');
+    t.equal(
+        config.instruction_dir,
+        '/manta/manta_gc/instructions',
+        'instruction_dir default'
+    );
+    t.equal(config.metrics_port, 8881, 'metrics_port default');
+    t.equal(config.quarantine_dir, null, 'quarantine_dir default');
+    t.end();
+});
+
+test('valid tunables', function _testValid(t) {
+    var config;
+    var opts;
+
+    warnings = [];
+    config = gcConfig.validateConfig(
+        _config({
+            bad_instruction_max_files: 500,
+            concurrent_deletes: 4,
+            instruction_order: 'filename',
+            max_delete_bytes_per_second: 1048576.5,
+            metrics_port: 9999,
+            min_object_age: 60000,
+            quarantine: true,
+            quarantine_dir: '/var/tmp/quarantine',
+            storage_id_aliases: ' 1.stor.old.joyent.us,,2.stor.old.joyent.us'
+        }),
+        {log: logger}
+    );
+
+    t.equal(warnings.length, 0, 'should be no warnings');
+    t.equal(config.concurrent_deletes, 4, 'concurrent_deletes');
+    t.equal(config.metrics_port, 9999, 'metrics_port');
+
+    opts = gcConfig.deleterOptions(config);
+    t.equal(opts.badInstructionMaxFiles, 500, 'badInstructionMaxFiles option');
+    t.equal(opts.concurrentDeletes, 4, 'concurrentDeletes option');
+    t.equal(opts.instructionOrder, 'filename', 'instructionOrder option');
+    t.equal(opts.maxDeleteBytesPerSecond, 1048576.5, 'bytes/sec option');
+    t.equal(opts.minObjectAge, 60000, 'minObjectAge option');
+    t.equal(opts.quarantine, true, 'quarantine option');
+    t.equal(opts.quarantineDir, '/var/tmp/quarantine', 'quarantineDir option');
+    t.deepEqual(
+        opts.storageIdAliases,
+        ['1.stor.old.joyent.us', '2.stor.old.joyent.us'],
+        'storageIdAliases option from comma separated string'
+    );
+    t.notOk(opts.hasOwnProperty('auditJournalDir'), 'null options left out');
+    t.notOk(opts.hasOwnProperty('metricsPort'), 'bin-only options left out');
+    t.end();
+});
+
+test('invalid tunables fall back to defaults', function _testInvalid(t) {
+    var config;
+
+    warnings = [];
+    config = gcConfig.validateConfig(
+        _config({
+            concurrent_deletes: 0,
+            instruction_dir: 'relative/dir',
+            log_level: 'loud',
+            max_lines: 10.5,
+            metrics_port: 70000,
+            not_a_tunable: true,
+            storage_id_aliases: ['1.stor.old.joyent.us', ''],
+            verify_size: 'yes'
+        }),
+        {log: logger}
+    );
+
+    t.equal(config.concurrent_deletes, 10, 'concurrent_deletes default');
+    t.equal(
+        config.instruction_dir,
+        '/manta/manta_gc/instructions',
+        'instruction_dir default'
+    );
+    t.equal(config.log_level, 'info', 'log_level default');
+    t.equal(config.max_lines, 100000, 'max_lines default');
+    t.equal(config.metrics_port, 8881, 'metrics_port default');
+    t.deepEqual(config.storage_id_aliases, [], 'storage_id_aliases default');
+    t.equal(config.verify_size, false, 'verify_size default');
+    t.equal(warnings.length, 8, 'should warn for each bad or unknown field');
+    t.end();
+});
+
+test('invalid identity fields', function _testIdentity(t) {
+    var config = _config({});
+
+    delete config.datacenter;
+    config.instance = 'not-a-uuid';
+
+    t.throws(
+        function _validate() {
+            gcConfig.validateConfig(config, {log: logger});
+        },
+        /datacenter is required, instance must be a UUID/,
+        'should fail for missing and invalid identity fields'
+    );
+
+    t.doesNotThrow(function _validate() {
+        gcConfig.validateConfig(config, {
+            log: logger,
+            required: ['manta_storage_id']
+        });
+    }, 'should be ok when only manta_storage_id is required');
+
+    t.end();
+});
+
+test('diffConfig', function _testDiffConfig(t) {
+    var diff;
+    var newConfig;
+    var oldConfig = gcConfig.validateConfig(_config({}), {log: logger});
+
+    newConfig = gcConfig.validateConfig(
+        _config({
+            bad_instruction_dir: '/var/tmp/bad',
+            concurrent_deletes: 20,
+            log_level: 'debug',
+            storage_id_aliases: ['1.stor.old.joyent.us']
+        }),
+        {log: logger}
+    );
+    newConfig.instance = 'e4f1c0a2-1b3d-4c5e-8f7a-9b0c1d2e3f40';
+
+    diff = gcConfig.diffConfig(oldConfig, newConfig);
+    t.deepEqual(
+        diff.changed,
+        ['concurrent_deletes', 'log_level', 'storage_id_aliases'],
+        'reloadable changes'
+    );
+    t.deepEqual(
+        diff.rejected,
+        ['instance', 'bad_instruction_dir'],
+        'changes requiring a restart'
+    );
+
+    diff = gcConfig.diffConfig(
+        newConfig,
+        gcConfig.validateConfig(
+            _config({
+                bad_instruction_dir: '/var/tmp/bad',
+                concurrent_deletes: 20,
+                instance: newConfig.instance,
+                log_level: 'debug',
+                storage_id_aliases: '1.stor.old.joyent.us'
+            }),
+            {log: logger}
+        )
+    );
+    t.deepEqual(diff, {changed: [], rejected: []}, 'no changes');
+    t.end();
+});
+
+test('deleters', function _testDeleters(t) {
+    var config;
+    var deleters = [
+        {
+            bad_instruction_dir: '/manta/manta_gc/bad_instructions',
+            instruction_dir: '/manta/manta_gc/instructions',
+            name: 'main'
+        },
+        {
+            bad_instruction_dir: '/data2/manta_gc/bad_instructions',
+            instruction_dir: '/data2/manta_gc/instructions',
+            manta_root: '/data2',
+            name: 'data2'
+        }
+    ];
+    var instances;
+
+    instances = gcConfig.instanceOptions(
+        gcConfig.validateConfig(_config({quarantine_dir: '/var/tmp/q'}), {
+            log: logger
+        })
+    );
+    t.equal(instances.length, 1, 'one deleter by default');
+    t.equal(instances[0].name, null, 'default deleter has no name');
+    t.equal(
+        instances[0].options.quarantineDir,
+        '/var/tmp/q',
+        'default deleter uses top-level config'
+    );
+
+    warnings = [];
+    config = gcConfig.validateConfig(
+        _config({
+            concurrent_deletes: 4,
+            deleters: deleters,
+            manta_root: '/data1',
+            quarantine_dir: '/var/tmp/q'
+        }),
+        {log: logger}
+    );
+    t.equal(warnings.length, 0, 'should be no warnings');
+    t.deepEqual(config.deleters, deleters, 'deleters');
+    t.notEqual(config.deleters[0], deleters[0], 'deleters are copied');
+
+    instances = gcConfig.instanceOptions(config);
+    t.deepEqual(
+        instances.map(function _getName(instance) {
+            return instance.name;
+        }),
+        ['main', 'data2'],
+        'names'
+    );
+    t.equal(
+        instances[1].options.instructionDir,
+        '/data2/manta_gc/instructions',
+        'instructionDir from deleter'
+    );
+    t.equal(instances[0].options.mantaRoot, '/data1', 'top-level manta_root');
+    t.equal(
+        instances[1].options.mantaRoot,
+        '/data2',
+        'manta_root from deleter'
+    );
+    t.equal(
+        instances[0].options.quarantineDir,
+        '/var/tmp/q/main',
+        'quarantineDir per deleter under top-level quarantine_dir'
+    );
+    t.notOk(
+        instances[0].options.hasOwnProperty('auditJournalDir'),
+        'no audit journal when top-level audit_journal_dir unset'
+    );
+    t.equal(
+        instances[1].options.reclaimedRollupFile,
+        '/var/tmp/mako_rollup/gc_reclaimed.data2.out',
+        'reclaimedRollupFile per deleter'
+    );
+    t.equal(instances[1].options.concurrentDeletes, 4, 'shared tunables');
+
+    instances = gcConfig.instanceOptions(
+        gcConfig.validateConfig(
+            _config({
+                audit_journal_dir: '/var/log/gc_audit',
+                deleters: [
+                    deleters[0],
+                    {
+                        audit_journal_dir: '/data2/audit',
+                        bad_instruction_dir: '/data2/manta_gc/bad',
+                        instruction_dir: '/data2/manta_gc/instr',
+                        name: 'data2',
+                        quarantine_dir: '/data2/q'
+                    }
+                ]
+            }),
+            {log: logger}
+        )
+    );
+    t.equal(
+        instances[0].options.auditJournalDir,
+        '/var/log/gc_audit/main',
+        'auditJournalDir per deleter under top-level audit_journal_dir'
+    );
+    t.equal(
+        instances[0].options.quarantineDir,
+        '/manta/manta_gc/quarantine/main',
+        'quarantineDir per deleter under its manta_root'
+    );
+    t.equal(
+        instances[1].options.auditJournalDir,
+        '/data2/audit',
+        'auditJournalDir from deleter'
+    );
+    t.equal(
+        instances[1].options.quarantineDir,
+        '/data2/q',
+        'quarantineDir from deleter'
+    );
+
+    [
+        {name: 'main'},
+        [deleters[0], deleters[0]],
+        [{bad_instruction_dir: '/b', instruction_dir: '/i', name: 'a b'}],
+        [{bad_instruction_dir: '/b', instruction_dir: 'i', name: 'a'}],
+        [{bad_instruction_dir: '/b', instruction_dir: '/i', name: 'a', x: 1}],
+        [{instruction_dir: '/i', name: 'a'}]
+    ].forEach(function _checkInvalid(value) {
+        warnings = [];
+        config = gcConfig.validateConfig(_config({deleters: value}), {
+            log: logger
+        });
+        t.deepEqual(config.deleters, [], 'invalid deleters use default');
+        t.equal(warnings.length, 1, 'should warn for invalid deleters');
+    });
+
+    t.deepEqual(
+        gcConfig.diffConfig(
+            gcConfig.validateConfig(_config({deleters: deleters}), {
+                log: logger
+            }),
+            gcConfig.validateConfig(_config({deleters: deleters.slice(1)}), {
+                log: logger
+            })
+        ),
+        {changed: [], rejected: ['deleters']},
+        'changing deleters requires a restart'
+    );
+    t.deepEqual(
+        gcConfig.diffConfig(config, config).rejected,
+        [],
+        'same deleters are not a change'
+    );
+    t.end();
+});
+
+test('loadConfig', function _testLoadConfig(t) {
+    var badFile = path.join(TEST_DIR, 'bad.json');
+    var goodFile = path.join(TEST_DIR, 'good.json');
+
+    fs.writeFileSync(badFile, '{"manta_storage_id": ');
+    fs.writeFileSync(goodFile, JSON.stringify(_config({max_lines: 10})));
+
+    gcConfig.loadConfig({filename: goodFile, log: logger}, function _onGood(
+        err,
+        config
+    ) {
+        t.error(err, 'load good config');
+        t.equal(config.max_lines, 10, 'max_lines');
+
+        gcConfig.loadConfig({filename: badFile, log: logger}, function _onBad(
+            badErr
+        ) {
+            t.ok(badErr, 'should fail to load bad config');
+            t.equal(badErr.name, 'InvalidConfigError', 'InvalidConfigError');
+            t.end();
+        });
+    });
+});
+
+test('teardown', function _testTeardown(t) {
+    child_process.execFileSync('/usr/bin/rm', ['-fr', TEST_DIR], {});
+    t.ok(true, 'teardown');
+    t.end();
+});
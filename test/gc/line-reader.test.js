@@ -0,0 +1,214 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * This file contains tests for the streaming reader the `garbage-deleter` uses
+ * for instruction files.
+ */
+var child_process = require('child_process');
+var fs = require('fs');
+var path = require('path');
+
+var test = require('@smaller/tap').test;
+var VError = require('verror').VError;
+
+var lineReader = require('../../lib/line-reader.js');
+
+var TEST_DIR = path.join(
+    '/tmp',
+    Math.random()
+        .toString(36)
+        .slice(2) + '.line-reader-test'
+);
+var TEST_FILE = path.join(TEST_DIR, 'test.instruction');
+
+function _readAll(opts, callback) {
+    var lines = [];
+
+    lineReader.forEachLine(
+        {
+            createReadStream: opts.createReadStream,
+            filename: TEST_FILE,
+            maxLineLength: opts.maxLineLength || 100,
+            maxLines: opts.maxLines || 100
+        },
+        function _onLine(line, idx, next) {
+            lines.push({idx: idx, line: line});
+            next();
+        },
+        function _onRead(err, count) {
+            callback(err, count, lines);
+        }
+    );
+}
+
+test('setup', function _testSetup(t) {
+    fs.mkdirSync(TEST_DIR);
+    t.ok(true, 'setup');
+    t.end();
+});
+
+test('comments and empty lines are skipped', function _testSkip(t) {
+    fs.writeFileSync(
+        TEST_FILE,
+        '# a comment\nfirst\n\nsecond\n# another comment\nthird'
+    );
+
+    _readAll({}, function _onRead(err, count, lines) {
+        t.error(err, 'should read file');
+        t.equal(count, 3, 'should count 3 lines');
+        t.deepEqual(
+            lines,
+            [
+                {idx: 0, line: 'first'},
+                {idx: 1, line: 'second'},
+                {idx: 2, line: 'third'}
+            ],
+            'should pass lines without trailing newline'
+        );
+        t.end();
+    });
+});
+
+test('lines split across reads', function _testSplitReads(t) {
+    var expected = [];
+    var n;
+
+    for (n = 0; n < 50; n++) {
+        expected.push({idx: n, line: 'line number ' + n + ' é'});
+    }
+    fs.writeFileSync(
+        TEST_FILE,
+        expected
+            .map(function _getLine(entry) {
+                return entry.line + '\n';
+            })
+            .join('')
+    );
+
+    _readAll(
+        {
+            createReadStream: function _createReadStream(filename, opts) {
+                // Small reads so that lines (and characters) are split.
+                opts.highWaterMark = 7;
+                return fs.createReadStream(filename, opts);
+            }
+        },
+        function _onRead(err, count, lines) {
+            t.error(err, 'should read file');
+            t.equal(count, 50, 'should count 50 lines');
+            t.deepEqual(lines, expected, 'should pass all lines intact');
+            t.end();
+        }
+    );
+});
+
+test('reading waits for next()', function _testBackpressure(t) {
+    var inFlight = 0;
+    var maxInFlight = 0;
+    var n;
+    var seen = [];
+    var text = '';
+
+    for (n = 0; n < 20; n++) {
+        text += 'line' + n + '\n';
+    }
+    fs.writeFileSync(TEST_FILE, text);
+
+    lineReader.forEachLine(
+        {
+            filename: TEST_FILE,
+            maxLineLength: 100,
+            maxLines: 100
+        },
+        function _onLine(_line, idx, next) {
+            inFlight++;
+            maxInFlight = Math.max(maxInFlight, inFlight);
+            seen.push(idx);
+            setImmediate(function _later() {
+                inFlight--;
+                next();
+            });
+        },
+        function _onRead(err, count) {
+            t.error(err, 'should read file');
+            t.equal(count, 20, 'should count 20 lines');
+            t.equal(maxInFlight, 1, 'should pass one line at a time');
+            t.equal(seen.length, 20, 'should pass every line');
+            t.equal(seen[19], 19, 'should pass lines in order');
+            t.end();
+        }
+    );
+});
+
+test('line too long', function _testLineTooLong(t) {
+    fs.writeFileSync(TEST_FILE, 'short\n' + 'x'.repeat(20) + '\nafter\n');
+
+    _readAll({maxLineLength: 10}, function _onRead(err, count, lines) {
+        t.ok(err, 'should fail');
+        t.equal(err && err.name, 'LineTooLongError', 'should be too long');
+        t.deepEqual(
+            err && VError.info(err),
+            {
+                filename: TEST_FILE,
+                lineNum: 2,
+                length: 20,
+                maxLength: 10
+            },
+            'should have details of the long line'
+        );
+        t.equal(count, 3, 'should still count all lines');
+        t.deepEqual(
+            lines,
+            [{idx: 0, line: 'short'}],
+            'should not pass lines after the long line'
+        );
+        t.end();
+    });
+});
+
+test('too many lines', function _testTooManyLines(t) {
+    fs.writeFileSync(TEST_FILE, 'a\nb\nc\nd\n');
+
+    _readAll({maxLines: 3}, function _onRead(err, count, lines) {
+        t.ok(err, 'should fail');
+        t.equal(err && err.name, 'TooManyLinesError', 'should be too many');
+        t.equal(count, 4, 'should count all lines');
+        t.equal(lines.length, 3, 'should pass only maxLines lines');
+        t.end();
+    });
+});
+
+test('file too big', function _testFileTooBig(t) {
+    fs.writeFileSync(TEST_FILE, 'x'.repeat(100) + '\n');
+
+    _readAll({maxLineLength: 10, maxLines: 3}, function _onRead(err) {
+        t.ok(err, 'should fail');
+        t.equal(err && err.name, 'FileTooBigError', 'should be too big');
+        t.equal(err && VError.info(err).maxSize, 33, 'should have maxSize');
+        t.end();
+    });
+});
+
+test('missing file', function _testMissingFile(t) {
+    fs.unlinkSync(TEST_FILE);
+
+    _readAll({}, function _onRead(err, count) {
+        t.equal(err && err.code, 'ENOENT', 'should fail to read');
+        t.equal(count, 0, 'should count no lines');
+        t.end();
+    });
+});
+
+test('teardown', function _testTeardown(t) {
+    child_process.execFileSync('/usr/bin/rm', ['-fr', TEST_DIR], {});
+    t.ok(true, 'teardown');
+    t.end();
+});
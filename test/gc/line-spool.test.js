@@ -0,0 +1,143 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * This file contains tests for the spools the `garbage-deleter` writes the
+ * failed, deferred and remaining lines of an instruction file to.
+ */
+var child_process = require('child_process');
+var fs = require('fs');
+var path = require('path');
+
+var test = require('@smaller/tap').test;
+
+var LineSpool = require('../../lib/line-spool.js').LineSpool;
+
+var TEST_DIR = path.join(
+    '/tmp',
+    Math.random()
+        .toString(36)
+        .slice(2) + '.line-spool-test'
+);
+
+test('write and commit', function _testCommit(t) {
+    var filename = path.join(TEST_DIR, 'sub', 'test.instruction');
+    var spool = new LineSpool({filename: filename});
+
+    spool.write('line 1\n');
+    spool.write('line 2\n');
+    t.equal(spool.lines, 2, 'should count lines');
+
+    spool.commit(function _onCommit(err) {
+        t.error(err, 'commit spool');
+        t.equal(
+            fs.readFileSync(filename, 'utf8'),
+            'line 1\nline 2\n',
+            'should have written lines'
+        );
+        t.notOk(
+            fs.existsSync(filename + '.tmp'),
+            'temporary file should be gone'
+        );
+        t.end();
+    });
+});
+
+test('append to existing file', function _testAppend(t) {
+    var filename = path.join(TEST_DIR, 'sub', 'test.instruction');
+    var spool = new LineSpool({append: true, filename: filename});
+
+    spool.write('line 3\n');
+    spool.commit(function _onCommit(err) {
+        t.error(err, 'commit spool');
+        t.equal(
+            fs.readFileSync(filename, 'utf8'),
+            'line 1\nline 2\nline 3\n',
+            'should have added line after existing ones'
+        );
+        t.end();
+    });
+});
+
+test('replace existing file', function _testReplace(t) {
+    var filename = path.join(TEST_DIR, 'sub', 'test.instruction');
+    var tmpFilename = path.join(TEST_DIR, 'sub', '.test.instruction.tmp');
+    var spool = new LineSpool({filename: filename, tmpFilename: tmpFilename});
+
+    spool.write('line 4\n');
+    spool.commit(function _onCommit(err) {
+        t.error(err, 'commit spool');
+        t.equal(
+            fs.readFileSync(filename, 'utf8'),
+            'line 4\n',
+            'should have replaced file'
+        );
+        t.notOk(fs.existsSync(tmpFilename), 'temporary file should be gone');
+        t.end();
+    });
+});
+
+test('abort', function _testAbort(t) {
+    var filename = path.join(TEST_DIR, 'aborted.instruction');
+    var spool = new LineSpool({filename: filename});
+
+    spool.write('line 1\n');
+    spool.abort(function _onAbort() {
+        t.notOk(fs.existsSync(filename), 'file should not exist');
+        t.notOk(
+            fs.existsSync(filename + '.tmp'),
+            'temporary file should be gone'
+        );
+        t.end();
+    });
+});
+
+test('failed open', function _testFailedOpen(t) {
+    var notADir = path.join(TEST_DIR, 'not-a-dir');
+    var spool;
+
+    // The directory can't be created under a file.
+    fs.writeFileSync(notADir, '');
+    spool = new LineSpool({filename: path.join(notADir, 'test.instruction')});
+
+    spool.write('line 1\n');
+    spool.commit(function _onCommit(err) {
+        t.ok(err, 'commit should fail');
+        t.equal(spool.lines, 1, 'should still count lines');
+        t.end();
+    });
+});
+
+test('failed rename', function _testFailedRename(t) {
+    var filename = path.join(TEST_DIR, 'renamed.instruction');
+    var spool = new LineSpool({
+        filename: filename,
+        rename: function _failRename(_from, _to, cb) {
+            setImmediate(cb, new Error('rename failed'));
+        }
+    });
+
+    spool.write('line 1\n');
+    spool.commit(function _onCommit(err) {
+        t.ok(err, 'commit should fail');
+        t.notOk(fs.existsSync(filename), 'file should not exist');
+        t.notOk(
+            fs.existsSync(filename + '.tmp'),
+            'temporary file should be gone'
+        );
+        t.end();
+    });
+});
+
+test('teardown', function _testTeardown(t) {
+    child_process.execFileSync('/usr/bin/rm', ['-fr', TEST_DIR], {});
+    t.ok(true, 'teardown');
+    t.end();
+});
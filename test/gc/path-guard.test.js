@@ -0,0 +1,166 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * This file contains tests for the checks the `garbage-deleter` runs against
+ * the paths it has been instructed to delete.
+ */
+var child_process = require('child_process');
+var fs = require('fs');
+var path = require('path');
+
+var test = require('@smaller/tap').test;
+var uuidv4 = require('uuid/v4');
+
+var pathGuard = require('../../lib/path-guard.js');
+
+var TEST_DIR = path.join(
+    '/tmp',
+    Math.random()
+        .toString(36)
+        .slice(2) + '.path-guard-test'
+);
+var TEST_OWNER = uuidv4();
+var TEST_BUCKET_DIR = path.join(TEST_DIR, 'v2', TEST_OWNER, uuidv4());
+
+//
+// Call pathGuard.checkNoSymlinks() for `objectPath`, counting the lstat(2)
+// calls it makes.
+//
+function _checkCounted(objectPath, verifiedDirs, callback) {
+    var lstats = 0;
+    var realLstat = fs.lstat;
+
+    fs.lstat = function _countLstat() {
+        lstats++;
+        return realLstat.apply(fs, arguments);
+    };
+
+    pathGuard.checkNoSymlinks(
+        TEST_DIR,
+        objectPath,
+        verifiedDirs,
+        function _onChecked(err, dirInodes) {
+            fs.lstat = realLstat;
+            callback(err, dirInodes, lstats);
+        }
+    );
+}
+
+test('setup', function _testSetup(t) {
+    fs.mkdirSync(TEST_DIR);
+    fs.mkdirSync(path.join(TEST_DIR, 'v2'));
+    fs.mkdirSync(path.join(TEST_DIR, 'v2', TEST_OWNER));
+    fs.mkdirSync(TEST_BUCKET_DIR);
+    fs.mkdirSync(path.join(TEST_BUCKET_DIR, 'ab'));
+    t.ok(true, 'setup');
+    t.end();
+});
+
+test('checkObjectPath', function _testCheckObjectPath(t) {
+    t.equal(
+        pathGuard.checkObjectPath(
+            TEST_DIR,
+            path.join(TEST_DIR, uuidv4(), uuidv4())
+        ),
+        null,
+        'v1 path is ok'
+    );
+    t.equal(
+        pathGuard.checkObjectPath(
+            TEST_DIR,
+            path.join(TEST_BUCKET_DIR, 'ab', 'abcd,1')
+        ),
+        null,
+        'v2 path is ok'
+    );
+    [
+        path.join(TEST_DIR, uuidv4()),
+        path.join(TEST_DIR, uuidv4(), '..', uuidv4()),
+        path.join(TEST_DIR, 'manta_gc', 'instructions'),
+        path.join(TEST_BUCKET_DIR, 'not.hex'),
+        '/etc/passwd'
+    ].forEach(function _checkUnsafe(objectPath) {
+        var err = pathGuard.checkObjectPath(TEST_DIR, objectPath);
+
+        t.equal(err && err.name, 'UnsafePathError', objectPath + ' is unsafe');
+    });
+    t.end();
+});
+
+test('checkNoSymlinks', function _testCheckNoSymlinks(t) {
+    var objectPath = path.join(TEST_BUCKET_DIR, 'ab', 'abcd');
+
+    fs.writeFileSync(objectPath, 'x');
+
+    _checkCounted(objectPath, null, function _onChecked(err, dirInodes, n) {
+        t.error(err, 'should be no error');
+        t.equal(n, 5, 'should lstat each component');
+        t.deepEqual(
+            Object.keys(dirInodes).sort(),
+            [
+                path.join(TEST_DIR, 'v2'),
+                path.join(TEST_DIR, 'v2', TEST_OWNER),
+                TEST_BUCKET_DIR,
+                path.join(TEST_BUCKET_DIR, 'ab')
+            ],
+            'should have inode of each parent'
+        );
+        t.end();
+    });
+});
+
+test('checkNoSymlinks with verifiedDirs', function _testVerifiedDirs(t) {
+    var firstInodes;
+    var verifiedDirs = {};
+
+    _checkCounted(
+        path.join(TEST_BUCKET_DIR, 'ab', 'abcd'),
+        verifiedDirs,
+        function _onFirst(err, dirInodes, n) {
+            t.error(err, 'should be no error');
+            t.equal(n, 5, 'should lstat each component the first time');
+            t.deepEqual(verifiedDirs, dirInodes, 'should add checked parents');
+            firstInodes = dirInodes;
+
+            _checkCounted(
+                path.join(TEST_BUCKET_DIR, 'ab', 'ef01'),
+                verifiedDirs,
+                function _onSecond(secondErr, secondInodes, secondN) {
+                    t.error(secondErr, 'should be no error');
+                    t.equal(secondN, 1, 'should lstat only the object');
+                    t.deepEqual(
+                        secondInodes,
+                        firstInodes,
+                        'should have inodes of the cached parents'
+                    );
+                    t.end();
+                }
+            );
+        }
+    );
+});
+
+test('checkNoSymlinks refuses symlinks', function _testSymlink(t) {
+    var linkDir = path.join(TEST_BUCKET_DIR, 'cd');
+
+    fs.symlinkSync('/tmp', linkDir);
+
+    _checkCounted(path.join(linkDir, 'abcd'), {}, function _onChecked(err) {
+        t.equal(err && err.name, 'UnsafePathError', 'should refuse symlink');
+        t.end();
+    });
+});
+
+test('teardown', function _testTeardown(t) {
+    child_process.execFileSync('/usr/bin/rm', ['-fr', TEST_DIR], {});
+    t.ok(true, 'teardown');
+    t.end();
+});
@@ -0,0 +1,52 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * This file contains tests for the set of recently deleted paths the
+ * `garbage-deleter` uses to skip duplicate instructions.
+ */
+var test = require('@smaller/tap').test;
+
+var RecentPaths = require('../../lib/recent-paths.js');
+
+test('paths expire after window', function _testWindow(t) {
+    var recent = new RecentPaths({maxSize: 10, window: 100});
+
+    recent.add('/manta/a');
+    recent.add('/manta/a');
+    t.ok(recent.has('/manta/a'), 'should have added path');
+    t.notOk(recent.has('/manta/b'), 'should not have other path');
+    t.equal(recent.size(), 1, 'adding again should not add another');
+
+    setTimeout(function _afterWindow() {
+        t.notOk(recent.has('/manta/a'), 'path should have expired');
+        t.equal(recent.size(), 0, 'should be empty');
+        t.end();
+    }, 150);
+});
+
+test('oldest paths discarded beyond maxSize', function _testMaxSize(t) {
+    var n;
+    var recent = new RecentPaths({maxSize: 3, window: 60000});
+
+    for (n = 0; n < 10; n++) {
+        recent.add('/manta/' + n);
+    }
+
+    t.equal(recent.size(), 3, 'should hold maxSize paths');
+    t.notOk(recent.has('/manta/6'), 'older paths should be discarded');
+    t.ok(recent.has('/manta/7'), 'should have /manta/7');
+    t.ok(recent.has('/manta/9'), 'should have /manta/9');
+    t.ok(
+        recent.queue.length < 10,
+        'discarded paths should be removed from the queue'
+    );
+    t.end();
+});
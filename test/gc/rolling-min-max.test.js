@@ -0,0 +1,47 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 MNX Cloud, Inc.
+ */
+
+/*
+ * This file contains tests for the rolling window min/max tracking used for
+ * the `garbage-deleter` delete time gauges.
+ */
+var test = require('@smaller/tap').test;
+
+var RollingMinMax = require('../../lib/rolling-min-max.js');
+
+test('min and max within window', function _testMinMax(t) {
+    var window = new RollingMinMax({window: 60000});
+
+    t.equal(window.max(), undefined, 'no max before observations');
+    t.equal(window.min(), undefined, 'no min before observations');
+
+    window.observe(0.5);
+    window.observe(0.1);
+    window.observe(2);
+
+    t.equal(window.max(), 2, 'max');
+    t.equal(window.min(), 0.1, 'min');
+    t.end();
+});
+
+test('values expire after window', function _testExpire(t) {
+    var window = new RollingMinMax({slots: 2, window: 200});
+
+    window.observe(5);
+
+    setTimeout(function _afterWindow() {
+        t.equal(window.max(), undefined, 'max should have expired');
+        t.equal(window.min(), undefined, 'min should have expired');
+
+        window.observe(1);
+        t.equal(window.max(), 1, 'max after new observation');
+        t.end();
+    }, 250);
+});